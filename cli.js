@@ -0,0 +1,151 @@
+import 'dotenv/config';
+import { parseArgs } from "util";
+import { supabase } from "./src/supabase.js";
+import { calibrationConfig, providerConfig, retentionConfig } from "./src/config.js";
+import { createConfiguredProviders } from "./src/providers/index.js";
+import { createPipeline } from "./src/pipeline.js";
+import { compareToBaseline, readBaseline, runCalibration, writeBaseline } from "./src/calibration.js";
+import { createRetentionManager } from "./src/retention.js";
+
+// --------------------------------------------------
+// Maintenance commands
+// --------------------------------------------------
+// Usage:
+//   node cli.js rescore --attempt <id> [--attempt <id> ...] [--apply] [--label <text>]
+//   node cli.js rescore --station <id> [--apply] [--label <text>]
+//   node cli.js calibrate [--runs <n>] [--baseline <path>] [--save-baseline]
+//   node cli.js sweep-recordings
+
+const USAGE = `Usage:
+  node cli.js rescore --attempt <id> [--attempt <id> ...] [--apply] [--label <text>]
+  node cli.js rescore --station <id> [--apply] [--label <text>]
+
+  node cli.js calibrate [--runs <n>] [--baseline <path>] [--save-baseline]
+
+  node cli.js sweep-recordings
+
+Without --apply, results are only added to attempt_analyses for comparison.
+calibrate exits with status 1 when agreement with examiners is worse than the baseline.
+sweep-recordings applies the RECORDING_RETENTION* rules once, one batch per rule.`;
+
+const commands = {
+  rescore,
+  calibrate,
+  'sweep-recordings': sweepRecordings
+};
+
+async function rescore(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      attempt: { type: 'string', multiple: true },
+      station: { type: 'string' },
+      apply: { type: 'boolean', default: false },
+      label: { type: 'string' }
+    }
+  });
+
+  if (!values.attempt === !values.station) {
+    throw new Error('Provide either --attempt or --station');
+  }
+
+  const { analysisProvider, embeddingProvider } = createConfiguredProviders(providerConfig);
+  const pipeline = createPipeline({ supabase, analysisProvider, embeddingProvider });
+
+  const attemptIds = values.attempt || await pipeline.findStationAttempts(values.station);
+  console.log(`Re-scoring ${attemptIds.length} attempt(s) with ${analysisProvider.name} (${analysisProvider.model})${values.apply ? '' : ' - dry run, results go to history only'}`);
+
+  const results = await pipeline.rescoreAttempts(attemptIds, {
+    apply: values.apply,
+    label: values.label || null
+  });
+
+  for (const r of results) {
+    if (r.error) {
+      console.log(`✗ ${r.attemptId}: ${r.error}`);
+    } else {
+      console.log(`✓ ${r.attemptId}: Overall ${r.previousOverall ?? '-'} → ${r.overall}${r.applied ? ' (applied)' : ''}`);
+    }
+  }
+
+  return results.some(r => r.error) ? 1 : 0;
+}
+
+async function calibrate(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      runs: { type: 'string' },
+      baseline: { type: 'string', default: calibrationConfig.baselinePath },
+      'save-baseline': { type: 'boolean', default: false }
+    }
+  });
+
+  const runs = values.runs ? Number(values.runs) : calibrationConfig.runs;
+  if (!Number.isInteger(runs) || runs < 1) {
+    throw new Error('--runs must be a positive integer');
+  }
+
+  const { analysisProvider } = createConfiguredProviders(providerConfig);
+  const pipeline = createPipeline({ supabase, analysisProvider });
+
+  console.log(`Calibrating ${analysisProvider.name} (${analysisProvider.model}) with ${runs} run(s) per reference...`);
+  const report = await runCalibration({ supabase, pipeline, runs });
+
+  console.log(`\n${report.referenceCount} reference(s), prompt ${report.promptVersion}, model ${report.model}`);
+  console.table(report.dimensions);
+
+  if (report.failures.length > 0) {
+    console.error(`❌ ${report.failures.length} scoring run(s) failed - not comparing or saving a baseline`);
+    return 1;
+  }
+
+  if (values['save-baseline']) {
+    await writeBaseline(values.baseline, report);
+    console.log(`✅ Baseline saved to ${values.baseline}`);
+    return 0;
+  }
+
+  const baseline = await readBaseline(values.baseline);
+  if (!baseline) {
+    console.warn(`No baseline at ${values.baseline} - run with --save-baseline to create one`);
+    return 0;
+  }
+
+  const regressions = compareToBaseline(report, baseline, calibrationConfig);
+  if (regressions.length > 0) {
+    console.error(`❌ Agreement regressed against baseline (${baseline.model}, prompt ${baseline.promptVersion}):`);
+    for (const r of regressions) {
+      console.error(`  ${r.dimension} ${r.metric}: ${r.baseline ?? '-'} → ${r.current ?? '-'}`);
+    }
+    return 1;
+  }
+
+  console.log(`✅ Agreement within tolerance of baseline (${baseline.model}, prompt ${baseline.promptVersion})`);
+  return 0;
+}
+
+async function sweepRecordings() {
+  const retention = createRetentionManager({ supabase, ...retentionConfig });
+
+  console.log(`Sweeping recordings: policy ${retentionConfig.policy}, retention ${retentionConfig.retentionDays ?? '-'} day(s), failed ${retentionConfig.failedRetentionDays ?? '-'} day(s)`);
+  const summary = await retention.sweep();
+
+  console.log(`${summary.expired} expired, ${summary.failed} failed, ${summary.policy} by policy, ${summary.errors} error(s)`);
+  return summary.errors > 0 ? 1 : 0;
+}
+
+const [command, ...rest] = process.argv.slice(2);
+
+if (!commands[command]) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+try {
+  process.exitCode = await commands[command](rest);
+} catch (err) {
+  console.error('❌', err.message);
+  console.error(USAGE);
+  process.exitCode = 1;
+}
@@ -1,42 +1,89 @@
 import 'dotenv/config';
 import express from "express";
-import fetch from "node-fetch";
-import FormData from "form-data";
-import { createClient } from "@supabase/supabase-js";
+import { supabase } from "./src/supabase.js";
+import {
+  MAX_WHISPER_BYTES,
+  authConfig,
+  deliveryConfig,
+  progressConfig,
+  providerConfig,
+  queueConfig,
+  redactionConfig,
+  retentionConfig,
+  retryConfig,
+  usageConfig,
+  webhookConfig
+} from "./src/config.js";
+import { decodePcm, prepareAudioChunks } from "./src/audio.js";
+import { analyseDelivery } from "./src/delivery.js";
+import { mergeTranscriptions } from "./src/whisper.js";
+import { createConfiguredProviders } from "./src/providers/index.js";
+import { createQueueConsumer } from "./src/queue.js";
+import { clearedProgress, createProgressTracker, isTerminal } from "./src/progress.js";
+import { WEBHOOK_EVENTS, createWebhookDispatcher } from "./src/webhooks.js";
+import { createAuthMiddleware, createRateLimiter, isUuid } from "./src/auth.js";
+import { createPipeline } from "./src/pipeline.js";
+import { getStationRecordings, rangesFromMarkers } from "./src/circuit.js";
+import { labelSpeakers, turnsFromAttempt, turnsFromDiarization } from "./src/speakers.js";
+import { redactTranscript, saveOriginalTranscript } from "./src/redaction.js";
+import { createRetentionManager } from "./src/retention.js";
+import { describeUsage, findExceededQuota, recordJobUsage, transcriptionUsage } from "./src/usage.js";
+import {
+  LeaseLostError,
+  PermanentJobError,
+  ProviderConfigError,
+  QuotaExceededError,
+  TransientJobError,
+  computeBackoffMs,
+  isPermanentError
+} from "./src/errors.js";
 
 // --------------------------------------------------
 // Environment validation
 // --------------------------------------------------
-if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
-  console.error('❌ Missing Supabase environment variables');
+if (!authConfig.apiToken && !authConfig.jwtSecret) {
+  console.error('❌ Missing WORKER_API_TOKEN or WORKER_JWT_SECRET - refusing to run an unauthenticated worker');
   process.exit(1);
 }
 
-if (!process.env.OPENAI_API_KEY) {
-  console.error('❌ Missing OPENAI_API_KEY');
+let transcriptionProvider;
+let analysisProvider;
+let embeddingProvider;
+let diarizationProvider;
+try {
+  ({ transcriptionProvider, analysisProvider, embeddingProvider, diarizationProvider } = createConfiguredProviders(providerConfig));
+} catch (err) {
+  console.error('❌', err.message);
   process.exit(1);
 }
 
-// Validate API key format
-const apiKey = process.env.OPENAI_API_KEY.trim();
-if (!apiKey.startsWith('sk-')) {
-  console.error('❌ Invalid OPENAI_API_KEY format - should start with "sk-"');
-  console.error('Key preview:', apiKey.substring(0, 10) + '...');
-  process.exit(1);
-}
-
-console.log('✅ OpenAI API key validated (starts with sk-)');
+console.log(`✅ Providers: transcription=${transcriptionProvider.name} (${transcriptionProvider.model}), analysis=${analysisProvider.name} (${analysisProvider.model}), embedding=${embeddingProvider.name} (${embeddingProvider.model}), diarization=${diarizationProvider?.name || 'none'}`);
 
 const app = express();
 app.use(express.json());
 
 // --------------------------------------------------
-// Supabase client
+// Queue consumer, progress tracking, webhooks and analysis pipeline
 // --------------------------------------------------
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+const pipeline = createPipeline({ supabase, analysisProvider, embeddingProvider });
+
+const progressTracker = createProgressTracker(supabase);
+
+const webhooks = createWebhookDispatcher({
+  supabase,
+  ...webhookConfig
+});
+
+const retention = createRetentionManager({
+  supabase,
+  ...retentionConfig
+});
+
+const consumer = createQueueConsumer({
+  supabase,
+  handler: processJob,
+  ...queueConfig
+});
 
 // --------------------------------------------------
 // Validate Supabase connection on startup
@@ -53,638 +100,823 @@ const supabase = createClient(
   }
 
   console.log("✅ Supabase connected successfully");
+
+  // Jobs a crashed worker left in processing would otherwise wait for their
+  // lease to expire, or stay stuck if they never had one
+  try {
+    const requeued = await consumer.requeueStale();
+    if (requeued > 0) {
+      console.log(`↩️ Requeued ${requeued} stale job(s) left in processing`);
+    }
+  } catch (err) {
+    console.error("Failed to requeue stale jobs:", err.message);
+  }
+
+  consumer.start();
+  retention.start();
 })();
 
 // --------------------------------------------------
 // Routes
 // --------------------------------------------------
-app.post("/analyze", async (req, res) => {
-  const { job_id } = req.body;
+const requireAuth = createAuthMiddleware(authConfig);
+// Job status is also readable by candidates, for their own attempts
+const requireJobAuth = createAuthMiddleware(authConfig, { allowUsers: true });
+const analyzeRateLimit = createRateLimiter(authConfig.analyzeRateLimit);
+
+function requireUuidParam(req, res, next) {
+  if (!isUuid(req.params.id)) return res.status(400).json({ error: "Invalid id" });
+  next();
+}
+
+// End users may only see jobs (progress snapshots) for their own attempts;
+// other jobs look missing
+async function canReadJob(req, job) {
+  if (req.auth.service) {
+    return true;
+  }
+
+  const { data: attempt, error } = await supabase
+    .from("attempts")
+    .select("user_id")
+    .eq("id", job.attemptId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch attempt: ${error.message}`);
+  }
+  return Boolean(attempt) && attempt.user_id === req.auth.subject;
+}
+
+app.post("/analyze", requireAuth, analyzeRateLimit, async (req, res) => {
+  const { job_id } = req.body || {};
   if (!job_id) return res.status(400).json({ error: "Missing job_id" });
+  if (!isUuid(job_id)) return res.status(400).json({ error: "job_id must be a UUID" });
+
+  try {
+    const job = await progressTracker.getJob(job_id);
+    if (!job) return res.status(404).json({ error: "Job not found" });
 
-  // Process asynchronously
-  processJob(job_id);
-  res.json({ success: true });
+    // Repeated calls for a job that is running or finished are no-ops
+    if (job.status !== 'pending') {
+      console.log(`Ignoring /analyze for job ${job_id} (status: ${job.status})`);
+      return res.json({ success: true, ignored: true, status: job.status });
+    }
+
+    // Claim immediately if there is a free slot; otherwise the poller picks it up
+    const claimed = await consumer.submit(job_id);
+    res.json({ success: true, claimed });
+  } catch (err) {
+    console.error("Failed to submit job:", err.message);
+    res.status(500).json({ error: "Failed to queue job" });
+  }
 });
 
-app.listen(process.env.PORT || 4000, () => {
+app.get("/jobs/:id", requireJobAuth, requireUuidParam, async (req, res) => {
+  try {
+    const job = await progressTracker.getJob(req.params.id);
+    if (!job || !(await canReadJob(req, job))) return res.status(404).json({ error: "Job not found" });
+    res.json(job);
+  } catch (err) {
+    console.error("Failed to fetch job status:", err.message);
+    res.status(500).json({ error: "Failed to fetch job" });
+  }
+});
+
+// Server-Sent Events stream of job snapshots; closes once the job completes or fails
+app.get("/jobs/:id/events", requireJobAuth, requireUuidParam, async (req, res) => {
+  const jobId = req.params.id;
+
+  let initial;
+  try {
+    initial = await progressTracker.getJob(jobId);
+    if (initial && !(await canReadJob(req, initial))) initial = null;
+  } catch (err) {
+    console.error("Failed to fetch job status:", err.message);
+    return res.status(500).json({ error: "Failed to fetch job" });
+  }
+  if (!initial) return res.status(404).json({ error: "Job not found" });
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
+  });
+  res.flushHeaders();
+
+  let lastPayload = null;
+  let closed = false;
+
+  const send = (snapshot) => {
+    if (closed) return;
+    const payload = JSON.stringify(snapshot);
+    if (payload !== lastPayload) {
+      lastPayload = payload;
+      res.write(`event: progress\ndata: ${payload}\n\n`);
+    }
+    if (isTerminal(snapshot)) close();
+  };
+
+  const unsubscribe = progressTracker.subscribe(jobId, send);
+
+  // Jobs running on another replica are only visible through the database
+  const poll = setInterval(async () => {
+    try {
+      const snapshot = await progressTracker.getJob(jobId);
+      if (snapshot) send(snapshot);
+    } catch (err) {
+      console.error("SSE poll failed:", err.message);
+    }
+  }, progressConfig.ssePollIntervalMs);
+
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(poll);
+    clearInterval(keepAlive);
+    unsubscribe();
+    res.end();
+  }
+
+  req.on("close", close);
+  send(initial);
+});
+
+app.post("/webhooks/deliveries/:id/replay", requireAuth, requireUuidParam, async (req, res) => {
+  try {
+    const result = await webhooks.replay(req.params.id);
+    if (result === null) return res.status(404).json({ error: "Delivery not found" });
+    if (!result.queued) {
+      return res.status(409).json({ error: `Only failed or abandoned deliveries can be replayed (this one is ${result.status})` });
+    }
+    res.status(202).json({ success: true, queued: true });
+  } catch (err) {
+    console.error("Webhook replay failed:", err.message);
+    res.status(500).json({ error: "Failed to replay delivery" });
+  }
+});
+
+app.post("/webhooks/deliveries/replay-failed", requireAuth, async (req, res) => {
+  try {
+    const result = await webhooks.replayFailed();
+    res.status(202).json({ success: true, ...result });
+  } catch (err) {
+    console.error("Webhook replay failed:", err.message);
+    res.status(500).json({ error: "Failed to replay deliveries" });
+  }
+});
+
+// Re-runs analysis on attempts with a cached transcript, either a list of
+// attempts or every attempt at a station. Results go to the attempt history
+// and only replace the current result when `apply` is true.
+app.post("/attempts/rescore", requireAuth, async (req, res) => {
+  const { attempt_ids, station_id, apply = false, label = null } = req.body || {};
+
+  if (!Array.isArray(attempt_ids) === !station_id) {
+    return res.status(400).json({ error: "Provide either attempt_ids or station_id" });
+  }
+  if (attempt_ids && (attempt_ids.length === 0 || !attempt_ids.every(isUuid))) {
+    return res.status(400).json({ error: "attempt_ids must be a non-empty array of UUIDs" });
+  }
+  if (station_id && !isUuid(station_id)) {
+    return res.status(400).json({ error: "station_id must be a UUID" });
+  }
+
+  try {
+    const attemptIds = attempt_ids || await pipeline.findStationAttempts(station_id);
+
+    // Runs in the background; progress is visible in the worker logs and
+    // the attempt_analyses table
+    pipeline.rescoreAttempts(attemptIds, { apply: apply === true, label, enforceQuota: true })
+      .then(results => {
+        const failed = results.filter(r => r.error).length;
+        console.log(`✅ Re-scored ${results.length - failed}/${results.length} attempt(s)${label ? ` (${label})` : ''}`);
+      })
+      .catch(err => console.error("Re-score batch failed:", err.message));
+
+    res.status(202).json({ success: true, queued: attemptIds.length, apply: apply === true });
+  } catch (err) {
+    console.error("Failed to start re-score:", err.message);
+    res.status(500).json({ error: "Failed to start re-score" });
+  }
+});
+
+const server = app.listen(process.env.PORT || 4000, () => {
   console.log("✅ Worker running on", process.env.PORT || 4000);
 });
 
 // --------------------------------------------------
-// Main job processing function
+// Graceful shutdown
 // --------------------------------------------------
-async function processJob(job_id) {
-  const jobStartTime = Date.now();
-  console.log("🔄 Processing job:", job_id);
+// Stops taking new work, gives in-flight jobs until the deadline to finish
+// and releases the rest back to pending. A second signal exits immediately.
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    console.warn(`${signal} received again - exiting without waiting`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+
+  console.log(`🛑 ${signal} received - waiting up to ${queueConfig.shutdownTimeoutMs / 1000}s for ${consumer.activeCount()} job(s)`);
+  server.close();
+  retention.stop();
 
   try {
-    // Fetch job
-    const { data: job, error: jobError } = await supabase
-      .from("analysis_queue")
-      .select("*")
-      .eq("id", job_id)
-      .single();
+    await consumer.stop({ timeoutMs: queueConfig.shutdownTimeoutMs });
+    console.log("✅ Shutdown complete");
+    process.exit(0);
+  } catch (err) {
+    // Unreleased jobs are requeued by the next startup or when their lease expires
+    console.error("❌ Shutdown failed:", err.message);
+    process.exit(1);
+  }
+}
 
-    if (jobError || !job) {
-      throw new Error(`Job not found: ${jobError?.message || 'Unknown error'}`);
-    }
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
 
-    // Check retry count
-    if (job.retry_count >= job.max_retries) {
-      console.error(`Max retries exceeded for job: ${job_id}`);
-      await supabase.from("analysis_queue").update({
-        status: "failed",
-        error_message: `Max retries (${job.max_retries}) exceeded`,
-        completed_at: new Date().toISOString()
-      }).eq("id", job_id);
-      return;
-    }
+// --------------------------------------------------
+// Main job processing function
+// --------------------------------------------------
+// Receives a job already claimed (status 'processing', lease held) by the
+// queue consumer. `signal` is aborted if the lease is lost; the job then stops
+// at the next stage and writes nothing more.
+async function processJob(job, { signal } = {}) {
+  const job_id = job.id;
+  const jobStartTime = Date.now();
+  const progress = progressTracker.trackJob(job_id, {
+    signal,
+    update: changes => updateOwnedJob(job_id, changes)
+  });
+  console.log("🔄 Processing job:", job_id);
 
-    // Update status to processing
-    await supabase.from("analysis_queue").update({
-      status: "processing",
-      started_at: new Date().toISOString()
-    }).eq("id", job_id);
+  // Everything spent on paid providers, recorded even if the job fails
+  const usage = [];
+  let attempt = null;
 
+  try {
     // Fetch attempt
-    const { data: attempt, error: attemptError } = await supabase
+    const { data, error: attemptError } = await supabase
       .from("attempts")
       .select("*")
       .eq("id", job.attempt_id)
       .single();
+    attempt = data;
 
-    if (attemptError || !attempt) {
-      throw new Error(`Attempt not found: ${attemptError?.message || 'Unknown error'}`);
+    // PGRST116: no rows returned - the attempt was deleted
+    if (!attempt && (!attemptError || attemptError.code === 'PGRST116')) {
+      throw new PermanentJobError(`Attempt not found: ${job.attempt_id}`, {
+        userMessage: 'The interview attempt for this recording no longer exists.'
+      });
+    }
+    if (attemptError) {
+      throw new TransientJobError(`Failed to fetch attempt: ${attemptError.message}`);
     }
 
-    // Validate video path
-    const videoPath = job.video_url;
-    
-    if (!videoPath || typeof videoPath !== 'string' || videoPath.trim() === '') {
-      throw new Error('Job has empty video path - likely created before video upload completed');
+    // Quotas are checked before anything is sent to a paid provider
+    if (usageConfig.quotasEnabled) {
+      const exceeded = await findExceededQuota(supabase, {
+        userId: attempt.user_id,
+        organisationId: attempt.organisation_id
+      });
+      if (exceeded) {
+        throw new QuotaExceededError(exceeded);
+      }
     }
 
-    console.log(`Downloading video from path: ${videoPath}`);
+    // Speaker turns tagged by the client win; otherwise role-play recordings
+    // are diarized when a diarization provider is configured
+    const taggedTurns = turnsFromAttempt(attempt);
+    const diarize = !taggedTurns && diarizationProvider !== null &&
+      await pipeline.hasRolePlayStation(attempt.station_ids);
+
+    // Circuits recorded one station at a time are stitched onto one timeline
+    const stationRecordings = getStationRecordings(attempt);
+    let transcript;
+    let segments;
+    let words;
+    let language;
+    let ranges;
+    let samples;
+    let diarizedTurns = null;
+
+    if (stationRecordings) {
+      console.log(`Circuit attempt with ${stationRecordings.length} station recordings`);
+      const parts = [];
+      const sampleParts = [];
+      ranges = [];
+      let offset = 0;
+
+      for (const recording of stationRecordings) {
+        const part = await transcribeRecording(recording.videoPath, progress, {
+          diarize: diarize && await pipeline.hasRolePlayStation([recording.stationId])
+        });
+        usage.push(part.usage);
+        parts.push({
+          whisper: { text: part.transcript, segments: part.segments, words: part.words, language: part.language, duration: part.duration },
+          offset
+        });
+        ranges.push({ stationId: recording.stationId, startSec: offset, endSec: offset + part.duration });
+        sampleParts.push(part.samples);
+        if (part.turns) {
+          const shifted = part.turns.map(turn => ({ ...turn, start: turn.start + offset, end: turn.end + offset }));
+          diarizedTurns = [...(diarizedTurns || []), ...shifted];
+        }
+        offset += part.duration;
+      }
 
-    // Check if file exists first
-    const folderPath = videoPath.substring(0, videoPath.lastIndexOf('/'));
-    const fileName = videoPath.substring(videoPath.lastIndexOf('/') + 1);
-    
-    const { data: fileList, error: listError } = await supabase
-      .storage
-      .from('recordings')
-      .list(folderPath);
+      const merged = mergeTranscriptions(parts);
+      transcript = merged.text;
+      segments = merged.segments;
+      words = merged.words;
+      language = merged.language;
+      samples = concatSamples(sampleParts);
+    } else {
+      const recording = await transcribeRecording(job.video_url, progress, { diarize });
+      ({ transcript, segments, words, language, samples } = recording);
+      diarizedTurns = recording.turns;
+      usage.push(recording.usage);
+      ranges = rangesFromMarkers(attempt.station_markers);
+    }
 
-    if (listError) {
-      throw new Error(`Failed to list files in storage: ${listError.message}`);
+    const speakerTurns = taggedTurns || diarizedTurns;
+    if (speakerTurns) {
+      segments = labelSpeakers(segments, speakerTurns);
+      words = labelSpeakers(words, speakerTurns);
+      console.log(`Speaker turns (${taggedTurns ? 'tagged' : 'diarized'}): ${speakerTurns.length}`);
     }
 
-    const fileExists = fileList?.some(f => f.name === fileName);
-    
-    if (!fileExists) {
-      throw new Error(`Video file not found in storage: ${videoPath}`);
+    // Delivery analysis is a bonus; scoring goes ahead without it
+    let delivery = null;
+    if (samples) {
+      try {
+        delivery = await analyseDelivery(samples, deliveryConfig.sampleRate, deliveryConfig);
+        console.log(`Delivery: ${delivery.metrics.silenceCount} silences, speech ${delivery.metrics.speechLoudnessDbfs} dBFS, clipping ${delivery.metrics.clippingPct}%, pitch spread ${delivery.metrics.pitchVariationSt} st`);
+      } catch (err) {
+        console.warn('Delivery analysis failed:', err.message);
+      }
     }
 
-    // Download video
-    const { data: videoBlob, error: downloadError } = await supabase
-      .storage
-      .from("recordings")
-      .download(videoPath);
+    // Personal details are removed before the transcript is stored or sent
+    // for analysis
+    let redactions = null;
+    if (redactionConfig.enabled) {
+      const original = { transcript, segments, words };
+      ({ transcript, segments, words, redactions } = redactTranscript(original));
+      console.log(`Redacted ${redactions.count} personal detail(s)`);
 
-    if (downloadError || !videoBlob || videoBlob.size === 0) {
-      throw new Error(`Video download failed: ${downloadError?.message || 'Empty file'}`);
+      if (redactionConfig.keepOriginal && redactions.count > 0) {
+        await saveOriginalTranscript(supabase, attempt.id, original, redactions);
+      }
     }
 
-    console.log(
-      `Video downloaded: ${(videoBlob.size / 1024 / 1024).toFixed(2)} MB (${videoBlob.size} bytes)`
-    );
-
-    // Check Whisper size limit (25 MB)
-    const MAX_WHISPER_BYTES = 25 * 1024 * 1024;
-    if (videoBlob.size > MAX_WHISPER_BYTES) {
-      await supabase.from("analysis_queue").update({
-        status: "failed",
-        error_message: 'Recording is too large to process. Please record a shorter clip (under ~2 minutes or <25MB).',
-        completed_at: new Date().toISOString()
-      }).eq("id", job_id);
-      return;
-    }
+    // Cache the transcript so the attempt can be re-scored without the recording
+    signal?.throwIfAborted();
+    const { error: transcriptError } = await supabase.from("attempts").update({
+      transcript: transcript || '(No speech detected)',
+      transcript_segments: segments,
+      transcript_words: words,
+      transcript_language: language || null,
+      transcript_redactions: redactions
+    }).eq("id", attempt.id);
 
-    // Verify file format
-    const fileExtension = videoPath.substring(videoPath.lastIndexOf('.') + 1).toLowerCase();
-    const supportedFormats = ['flac', 'm4a', 'mp3', 'mp4', 'mpeg', 'mpga', 'oga', 'ogg', 'wav', 'webm'];
-    
-    if (!supportedFormats.includes(fileExtension)) {
-      throw new Error(`Unsupported audio format: ${fileExtension}. Supported formats: ${supportedFormats.join(', ')}`);
+    if (transcriptError) {
+      throw new Error(`Failed to save transcript: ${transcriptError.message}`);
     }
 
+    const { result, rubric } = await pipeline.scoreAttempt({
+      attempt,
+      transcript,
+      segments,
+      words,
+      language,
+      ranges,
+      delivery,
+      onStage: stage => progress.enter(stage)
+    });
+    usage.push(...result.usage);
+
     // --------------------------------------------------
-    // Whisper Transcription
+    // Update attempt with results
     // --------------------------------------------------
-    const whisperStartTime = Date.now();
-    console.log('Transcribing with Whisper (with timestamps)...');
+    signal?.throwIfAborted();
+    await pipeline.saveResults(attempt, result, { rubric, source: 'job' });
 
-    // Convert Blob to Buffer for form-data
-    const arrayBuffer = await videoBlob.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
-
-    const formData = new FormData();
-    formData.append("file", buffer, {
-      filename: fileName,
-      contentType: videoBlob.type || "video/webm"
-    });
-    formData.append("model", "whisper-1");
-    formData.append("response_format", "verbose_json");
-    formData.append("timestamp_granularities[]", "segment");
-
-    const whisperRes = await fetch(
-      "https://api.openai.com/v1/audio/transcriptions",
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          ...formData.getHeaders()
-        },
-        body: formData
-      }
-    );
+    await completeJob(job, progress, { overall: result.scores.Overall, rejection: result.rejection });
+    await recordUsage(job, attempt, usage);
+    await retention.applyAfterAnalysis(attempt);
+    const processingDuration = ((Date.now() - jobStartTime) / 1000).toFixed(2);
+    console.log(`✅ Job completed${result.noSpeech ? ` (not assessed: ${result.rejection || 'no speech'})` : ''} in ${processingDuration}s`);
 
-    // Log response status for debugging
-    console.log(`Whisper API response status: ${whisperRes.status}`);
+  } catch (err) {
+    if (err instanceof LeaseLostError) {
+      console.warn(`⚠️ Job ${job_id} abandoned: ${err.message}`);
+    } else {
+      console.error("❌ Worker error:", err.message);
+      console.error("Error stack:", err.stack);
 
-    if (!whisperRes.ok) {
-      const errText = await whisperRes.text();
-      console.error("Whisper API error response:", errText);
-      throw new Error(`Whisper transcription failed (${whisperRes.status}): ${errText}`);
+      try {
+        await handleJobFailure(job, err);
+      } catch (e) {
+        console.error('Failed to mark job as failed:', e);
+      }
     }
 
-    let whisper;
-    try {
-      const responseText = await whisperRes.text();
-      console.log('Whisper API raw response preview:', responseText.substring(0, 200));
-      whisper = JSON.parse(responseText);
-    } catch (parseError) {
-      console.error('Failed to parse Whisper response:', parseError.message);
-      throw new Error(`Whisper API returned invalid JSON: ${parseError.message}`);
+    if (usage.length > 0) {
+      await recordUsage(job, attempt, usage);
     }
+  }
+}
 
-    // More robust validation of Whisper response
-    if (!whisper || typeof whisper !== 'object') {
-      console.error('Whisper response is not an object:', whisper);
-      throw new Error('Whisper API returned invalid response: not an object');
-    }
+// Usage accounting must never fail the job itself
+async function recordUsage(job, attempt, usage) {
+  try {
+    const summary = await recordJobUsage(supabase, { job, attempt, items: usage, prices: usageConfig.prices });
+    console.log(`💰 Usage: ${describeUsage(summary)}`);
+  } catch (err) {
+    console.error(`Failed to record usage for job ${job.id}:`, err.message);
+  }
+}
 
-    // Check for text field with multiple fallbacks
-    let transcript = '';
-    let segments = [];
+// Downloads one recording and transcribes it, chunking it first when it is
+// over the Whisper upload limit. With `diarize` the speaker turns are also
+// returned, labelled candidate / actor.
+async function transcribeRecording(videoPath, progress, { diarize = false } = {}) {
+  await progress.enter('downloading');
 
-    if (whisper.text !== undefined && whisper.text !== null) {
-      transcript = String(whisper.text).trim();
-    } else if (whisper.segments && Array.isArray(whisper.segments)) {
-      // Try to reconstruct text from segments if main text field is missing
-      transcript = whisper.segments.map(seg => seg.text || '').join(' ').trim();
-      console.log('Reconstructed transcript from segments');
-    } else {
-      console.error('Whisper response structure:', JSON.stringify(whisper, null, 2));
-      throw new Error('Whisper API returned invalid response: missing both text field and segments');
-    }
+  // Validate video path
+  if (!videoPath || typeof videoPath !== 'string' || videoPath.trim() === '') {
+    throw new PermanentJobError('Job has empty video path - likely created before video upload completed', {
+      userMessage: 'Your recording did not finish uploading. Please record again.'
+    });
+  }
 
-    // Get segments if available
-    if (whisper.segments && Array.isArray(whisper.segments)) {
-      segments = whisper.segments;
-    } else {
-      console.warn('Whisper response missing segments array, creating single segment');
-      segments = [{
-        start: 0,
-        end: whisper.duration || 0,
-        text: transcript
-      }];
-    }
+  console.log(`Downloading video from path: ${videoPath}`);
 
-    const whisperDuration = ((Date.now() - whisperStartTime) / 1000).toFixed(2);
-    
-    console.log(`Transcription completed in ${whisperDuration}s`);
-    console.log(`Transcript length: ${transcript.length} chars`);
-    console.log(`Segments: ${segments.length}`);
-    console.log(`Transcript preview: ${transcript.substring(0, 100)}...`);
+  // Check if file exists first
+  const folderPath = videoPath.substring(0, videoPath.lastIndexOf('/'));
+  const fileName = videoPath.substring(videoPath.lastIndexOf('/') + 1);
+  
+  const { data: fileList, error: listError } = await supabase
+    .storage
+    .from('recordings')
+    .list(folderPath);
 
-    // --------------------------------------------------
-    // Speech quality gate
-    // --------------------------------------------------
-    const wordCount = transcript.trim().split(/\s+/).filter(w => w.length > 0).length;
-    const transcriptLength = transcript.trim().length;
-    
-    // Calculate duration from segments
-    const totalDuration = segments.length > 0
-      ? segments[segments.length - 1].end
-      : 0;
-    
-    // Detect gibberish
-    const avgWordsPerSecond = totalDuration > 0 ? wordCount / totalDuration : 0;
-    const isGibberish = wordCount < 15 || 
-                        transcriptLength < 50 || 
-                        (totalDuration > 10 && avgWordsPerSecond < 0.3);
-    
-    console.log(`Transcript analysis: ${wordCount} words, ${transcriptLength} chars, ${totalDuration.toFixed(1)}s duration, ${avgWordsPerSecond.toFixed(2)} words/sec`);
-
-    if (isGibberish) {
-      console.warn('No meaningful speech detected in recording');
-      
-      await supabase.from("attempts").update({
-        transcript: transcript || '(No speech detected)',
-        scores: zeroScores(),
-        metrics: {
-          wpm: 0,
-          fillerRate: 0,
-          longestPauseSec: 0,
-          eyeContactPct: null,
-          headPoseNotes: 'No speech detected in recording'
-        },
-        feedback: [{
-          ts: '00:00',
-          note: 'No speech was detected in your recording. Please ensure your microphone is working and speak clearly during the interview.'
-        }],
-        recommended_articles: [],
-        updated_at: new Date().toISOString()
-      }).eq("id", attempt.id);
-
-      await completeJob(job_id);
-      const processingDuration = ((Date.now() - jobStartTime) / 1000).toFixed(2);
-      console.log(`✅ Job completed (no speech detected) in ${processingDuration}s`);
-      return;
-    }
+  if (listError) {
+    throw new TransientJobError(`Failed to list files in storage: ${listError.message}`);
+  }
 
-    // --------------------------------------------------
-    // GPT Analysis
-    // --------------------------------------------------
-    const gptStartTime = Date.now();
-    console.log('Analyzing with OpenAI GPT...');
-
-    // Format segments with timestamps
-    const segmentsText = segments.map((seg, idx) => {
-      const startMin = Math.floor(seg.start / 60);
-      const startSec = Math.floor(seg.start % 60);
-      const timestamp = `${String(startMin).padStart(2, '0')}:${String(startSec).padStart(2, '0')}`;
-      return `[${timestamp}] ${seg.text}`;
-    }).join('\n');
-
-    const systemPrompt = `You are a HIGHLY CRITICAL UK medical school MMI examiner with VERY HIGH STANDARDS. You are evaluating candidates for competitive UK medical schools. Your role is to provide HONEST, RIGOROUS assessment based ONLY on what you observe in the transcript.
-
-CRITICAL LANGUAGE REQUIREMENT: Use British English spelling throughout all feedback (e.g., "organised" not "organized", "analyse" not "analyze", "behaviour" not "behavior", "realise" not "realize", "recognise" not "recognize", "practise" as verb/practice as noun, etc.).
-
-CRITICAL ASSESSMENT RULES:
-1. Be STRICT - medical school interviews demand excellence
-2. NO SYMPATHY SCORING - give the score they deserve, not what you hope they get
-3. Vague or generic answers = LOW SCORES (20-40%)
-4. Admitting "I don't know" or "winging it" = VERY LOW SCORES (5-20%)
-5. Saying almost nothing or irrelevant content = 0-10%
-6. Complete silence or single word answers = 0%
-7. Lack of structure or evidence = POOR SCORES (15-35%)
-8. Good answers with clear examples and reasoning = 65-80%
-9. Excellent answers with comprehensive depth = 80-90%
-10. Near-perfect, exceptional performance = 90-100%
-
-SCORING GUIDANCE - USE THE FULL RANGE:
-- 0-10: No meaningful response, silence, single words, completely off-topic
-- 11-25: Extremely poor, admits not knowing, unprepared, incoherent
-- 26-40: Poor/inadequate response, major gaps, very vague
-- 41-55: Below average, lacks depth, generic platitudes
-- 56-65: Average, meets minimal expectations but unremarkable
-- 66-75: Good, solid response with some strengths
-- 76-85: Very good, clear structure and good insight
-- 86-93: Excellent, comprehensive and well-articulated
-- 94-100: Outstanding, exceptional depth and professionalism
-
-IMPORTANT: Do NOT be lenient. Medical schools reject most candidates - reflect this in your scoring. If the answer is poor, say so with a low score.
-
-Return a JSON response with this exact structure:
-
-{
-  "scores": {
-    "Structure": <number 0-100>,
-    "Communication": <number 0-100>,
-    "Empathy": <number 0-100>,
-    "Ethics": <number 0-100>,
-    "Professionalism": <number 0-100>,
-    "Motivation": <number 0-100>,
-    "Teamwork": <number 0-100>,
-    "Overall": <number 0-100>
-  },
-  "metrics": {
-    "wpm": <number - calculate from word count and duration>,
-    "fillerRate": <decimal 0-1 - count ALL filler words and phrases divided by total words>,
-    "longestPauseSec": <number - largest gap between segment timestamps>,
-    "eyeContactPct": null,
-    "headPoseNotes": "Visual analysis not available from audio transcript"
-  },
-  "feedback": [
-    {"ts": "mm:ss", "note": "<specific critical feedback>"},
-    {"ts": "mm:ss", "note": "<specific critical feedback>"}
-  ]
-}
+  const fileExists = fileList?.some(f => f.name === fileName);
+  
+  if (!fileExists) {
+    throw new PermanentJobError(`Video file not found in storage: ${videoPath}`, {
+      userMessage: 'Your recording could not be found. Please record again.'
+    });
+  }
 
-CRITICAL RULES FOR FEEDBACK:
-1. ONLY provide timestamped feedback if you have REAL, SUBSTANTIAL content from the transcript to reference
-2. If the transcript is very short (under 30 words total) or unclear - provide ONLY ONE feedback item explaining the lack of content
-3. You MUST use the EXACT timestamps from the transcript (format: mm:ss)
-4. Each feedback note MUST reference what the candidate ACTUALLY SAID at that specific timestamp
-5. NEVER invent or hallucinate things the candidate didn't say
-6. For normal-length responses: provide 3-5 feedback items spread across the interview
-7. Be SPECIFIC and CRITICAL - point out weaknesses, vagueness, lack of examples`;
-
-    const userPrompt = `Here is the timestamped transcript of the candidate's MMI interview response:
-
-${segmentsText}
-
-TRANSCRIPT STATS:
-- Total word count: ${wordCount} words
-- Total duration: ${totalDuration.toFixed(1)} seconds
-- Character count: ${transcriptLength} characters
-
-ASSESSMENT INSTRUCTIONS:
-1. Calculate WPM from the total word count and total duration
-2. Calculate filler rate by counting ALL filler words/phrases divided by total words
-3. Calculate longest pause from gaps between segment timestamps
-4. Set eyeContactPct to null (cannot be determined from transcript)
-5. CRITICALLY assess the CONTENT - be HARSH and HONEST, not lenient
-6. If they said very little (under 30 words) - scores should be 0-10% and provide ONLY ONE feedback item
-7. DO NOT HALLUCINATE - only reference what was ACTUALLY said in the transcript above
-
-REMEMBER: Use the FULL scoring range 0-100. Don't artificially inflate scores.`;
-
-    const gptRes = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        response_format: { type: "json_object" },
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt }
-        ],
-        max_tokens: 1000,
-        temperature: 0.3
-      })
+  // Download video
+  const { data: videoBlob, error: downloadError } = await supabase
+    .storage
+    .from("recordings")
+    .download(videoPath);
+
+  if (downloadError || !videoBlob) {
+    throw new TransientJobError(`Video download failed: ${downloadError?.message || 'No data returned'}`);
+  }
+
+  if (videoBlob.size === 0) {
+    throw new PermanentJobError(`Video file is empty: ${videoPath}`, {
+      userMessage: 'Your recording is empty. Please check your camera and microphone and record again.'
     });
+  }
 
-    if (!gptRes.ok) {
-      const errText = await gptRes.text();
-      throw new Error(`GPT analysis failed: ${errText}`);
-    }
+  console.log(
+    `Video downloaded: ${(videoBlob.size / 1024 / 1024).toFixed(2)} MB (${videoBlob.size} bytes)`
+  );
+
+  // Verify file format
+  const fileExtension = videoPath.substring(videoPath.lastIndexOf('.') + 1).toLowerCase();
+  const supportedFormats = ['flac', 'm4a', 'mp3', 'mp4', 'mpeg', 'mpga', 'oga', 'ogg', 'wav', 'webm'];
+  
+  if (!supportedFormats.includes(fileExtension)) {
+    throw new PermanentJobError(`Unsupported audio format: ${fileExtension}. Supported formats: ${supportedFormats.join(', ')}`, {
+      userMessage: `Recordings in .${fileExtension} format are not supported. Please record again in your browser.`
+    });
+  }
 
-    const gptJson = await gptRes.json();
-    const gptContent = gptJson.choices[0].message.content;
-    const gptDuration = ((Date.now() - gptStartTime) / 1000).toFixed(2);
-    console.log(`GPT analysis completed in ${gptDuration}s`);
+  // Convert Blob to Buffer for form-data
+  const arrayBuffer = await videoBlob.arrayBuffer();
+  const buffer = Buffer.from(arrayBuffer);
 
-    let analysis;
+  let samples = null;
+  if (deliveryConfig.enabled) {
     try {
-      analysis = JSON.parse(gptContent);
-    } catch (parseError) {
-      throw new Error(`Invalid GPT response format: ${parseError.message}`);
+      samples = await decodePcm(buffer, fileName, deliveryConfig.sampleRate);
+    } catch (err) {
+      console.warn('Could not decode audio for delivery analysis:', err.message);
     }
+  }
 
-    // Validate and set defaults for analysis structure
-    if (!analysis.scores || typeof analysis.scores !== 'object') {
-      throw new Error('GPT response missing required field: scores');
-    }
+  // Recordings over the Whisper limit (25 MB) are reduced to a compressed
+  // audio track and split into chunks that are transcribed separately
+  let audioChunks;
+  if (videoBlob.size > MAX_WHISPER_BYTES) {
+    console.log('Recording exceeds Whisper size limit - extracting and chunking audio...');
+    audioChunks = await prepareAudioChunks(buffer, fileName);
+    console.log(`Audio prepared: ${audioChunks.length} chunk(s)`);
+  } else {
+    audioChunks = [{
+      buffer,
+      filename: fileName,
+      contentType: videoBlob.type || "video/webm",
+      offset: 0
+    }];
+  }
 
-    if (!analysis.metrics || typeof analysis.metrics !== 'object') {
-      console.warn('GPT response missing metrics, using defaults');
-      analysis.metrics = {
-        wpm: 0,
-        fillerRate: 0,
-        longestPauseSec: 0,
-        eyeContactPct: null,
-        headPoseNotes: 'Visual analysis not available from audio transcript'
-      };
-    } else {
-      analysis.metrics = {
-        wpm: analysis.metrics.wpm || 0,
-        fillerRate: analysis.metrics.fillerRate || 0,
-        longestPauseSec: analysis.metrics.longestPauseSec || 0,
-        eyeContactPct: null,
-        headPoseNotes: 'Visual analysis not available from audio transcript'
-      };
+  // --------------------------------------------------
+  // Whisper Transcription
+  // --------------------------------------------------
+  await progress.enter('transcribing');
+  const whisperStartTime = Date.now();
+  console.log(`Transcribing with ${transcriptionProvider.name} (${transcriptionProvider.model}, with timestamps)...`);
+
+  const whisperParts = [];
+  for (const [idx, chunk] of audioChunks.entries()) {
+    if (audioChunks.length > 1) {
+      console.log(`Transcribing chunk ${idx + 1}/${audioChunks.length} (offset ${chunk.offset.toFixed(1)}s)`);
     }
+    whisperParts.push({
+      whisper: await transcriptionProvider.transcribe(chunk),
+      offset: chunk.offset
+    });
+  }
 
-    if (!analysis.feedback || !Array.isArray(analysis.feedback)) {
-      console.warn('GPT response missing feedback, using empty array');
-      analysis.feedback = [];
-    } else {
-      analysis.feedback = analysis.feedback.filter(item =>
-        item && typeof item === 'object' && item.ts && item.note
-      );
+  const whisper = mergeTranscriptions(whisperParts);
+
+  // Check for text field with multiple fallbacks
+  let transcript = '';
+  let segments = [];
+
+  if (whisper.text !== undefined && whisper.text !== null) {
+    transcript = String(whisper.text).trim();
+  } else if (whisper.segments && Array.isArray(whisper.segments)) {
+    // Try to reconstruct text from segments if main text field is missing
+    transcript = whisper.segments.map(seg => seg.text || '').join(' ').trim();
+    console.log('Reconstructed transcript from segments');
+  } else {
+    console.error('Whisper response structure:', JSON.stringify(whisper, null, 2));
+    throw new TransientJobError('Whisper API returned invalid response: missing both text field and segments');
+  }
+
+  // Get segments if available
+  if (whisper.segments && Array.isArray(whisper.segments)) {
+    segments = whisper.segments;
+  } else {
+    console.warn('Whisper response missing segments array, creating single segment');
+    segments = [{
+      start: 0,
+      end: whisper.duration || 0,
+      text: transcript
+    }];
+  }
+
+  const whisperDuration = ((Date.now() - whisperStartTime) / 1000).toFixed(2);
+  
+  console.log(`Transcription completed in ${whisperDuration}s`);
+  console.log(`Transcript length: ${transcript.length} chars`);
+  console.log(`Segments: ${segments.length}`);
+  console.log(`Transcript preview: ${transcript.substring(0, 100)}...`);
+
+  // Without speaker turns the whole recording is scored as the candidate
+  let turns = null;
+  if (diarize) {
+    try {
+      turns = turnsFromDiarization(await diarizationProvider.diarize({
+        buffer,
+        filename: fileName,
+        contentType: videoBlob.type || "video/webm"
+      }));
+    } catch (err) {
+      console.warn('Diarization failed, scoring the whole recording as the candidate:', err.message);
     }
+  }
 
-    // CRITICAL: Cap scores at 30% for responses <= 2 minutes
-    if (totalDuration <= 120) {
-      console.log(`Response duration ${totalDuration.toFixed(1)}s <= 2 minutes - capping all scores at 30%`);
-      
-      for (const key in analysis.scores) {
-        if (analysis.scores[key] > 30) {
-          console.log(`  Capping ${key}: ${analysis.scores[key]} -> 30`);
-          analysis.scores[key] = 30;
-        }
-      }
-      
-      const hasTimeFeedback = analysis.feedback.some(f =>
-        f.note && (f.note.toLowerCase().includes('duration') || 
-                   f.note.toLowerCase().includes('length') || 
-                   f.note.toLowerCase().includes('time'))
-      );
-      
-      if (!hasTimeFeedback) {
-        analysis.feedback.unshift({
-          ts: '00:00',
-          note: `Response duration (${Math.floor(totalDuration / 60)}:${String(Math.floor(totalDuration % 60)).padStart(2, '0')}) is significantly below the expected 7-minute timeframe for MMI stations. In real interviews, responses under 2 minutes typically receive a maximum of 30% as they lack sufficient depth and development. Aim for at least 4-5 minutes to demonstrate comprehensive understanding.`
-        });
-      }
+  return {
+    transcript,
+    segments,
+    // Word timestamps; empty when the transcription backend does not return them
+    words: Array.isArray(whisper.words) ? whisper.words : [],
+    language: whisper.language,
+    // The decoded audio gives the exact length; Whisper's is the fallback
+    duration: samples
+      ? samples.length / deliveryConfig.sampleRate
+      : whisper.duration || segments[segments.length - 1]?.end || 0,
+    samples,
+    turns,
+    // Billed on the length of the audio sent for transcription
+    usage: transcriptionUsage(transcriptionProvider.model, whisper.duration || segments[segments.length - 1]?.end || 0)
+  };
+}
+
+// Joins per-station PCM into one timeline; null if any recording failed to
+// decode, since the offsets would no longer line up
+function concatSamples(parts) {
+  if (parts.length === 0 || parts.some(part => !part)) {
+    return null;
+  }
+
+  const joined = new Int16Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    joined.set(part, offset);
+    offset += part.length;
+  }
+  return joined;
+}
+
+// Permanent errors fail the job straight away with a user-facing reason;
+// transient ones go back to pending with an exponential backoff
+async function handleJobFailure(job, err) {
+  const job_id = job.id;
+
+  // Over-quota jobs are parked rather than failed; claim_analysis_job puts
+  // them back in the queue at next_attempt_at, when the quota resets
+  if (err instanceof QuotaExceededError) {
+    const updated = await updateOwnedJob(job_id, {
+      status: 'over_quota',
+      error_message: err.userMessage,
+      completed_at: new Date().toISOString(),
+      next_attempt_at: err.quota.resetsAt,
+      locked_by: null,
+      lease_expires_at: null
+    });
+    if (!updated) {
+      return;
     }
 
-    // --------------------------------------------------
-    // Fetch context for article recommendations
-    // --------------------------------------------------
-    console.log('Generating article recommendations...');
-    
-    const { data: stationData } = await supabase
-      .from('stations')
-      .select('title, prompt, themes, role_play, graph_data, difficulty')
-      .eq('id', attempt.station_ids[0])
-      .single();
-    
-    const { data: availableArticles } = await supabase
-      .from('articles')
-      .select('id, title, category, tags, difficulty');
-    
-    const recommendedArticleIds = generateArticleRecommendations(
-      analysis.scores,
-      availableArticles || [],
-      stationData
-    );
+    console.log(`Job ${job_id} not processed: ${err.message}`);
+    await progressTracker.notify(job_id);
+    await webhooks.dispatch(WEBHOOK_EVENTS.overQuota, webhookData(job, {
+      status: 'over_quota',
+      error: err.userMessage,
+      quota: err.quota
+    }));
+    return;
+  }
 
-    // --------------------------------------------------
-    // Update attempt with results
-    // --------------------------------------------------
-    await supabase.from("attempts").update({
-      transcript,
-      scores: analysis.scores,
-      metrics: analysis.metrics,
-      feedback: analysis.feedback,
-      recommended_articles: recommendedArticleIds,
-      updated_at: new Date().toISOString()
-    }).eq("id", attempt.id);
+  // Provider credentials or endpoint are wrong: the job waits for the
+  // configuration to be fixed, with its retries untouched
+  if (err instanceof ProviderConfigError) {
+    const nextAttemptAt = new Date(Date.now() + retryConfig.maxDelayMs).toISOString();
+    const updated = await updateOwnedJob(job_id, {
+      status: 'pending',
+      error_message: err.message,
+      next_attempt_at: nextAttemptAt,
+      locked_by: null,
+      lease_expires_at: null,
+      ...clearedProgress()
+    });
+    if (!updated) {
+      return;
+    }
 
-    await completeJob(job_id);
-    const processingDuration = ((Date.now() - jobStartTime) / 1000).toFixed(2);
-    console.log(`✅ Job completed in ${processingDuration}s`);
+    console.error(`❌ Job ${job_id} waiting on provider configuration (check API keys and base URLs): ${err.message}`);
+    await progressTracker.notify(job_id);
+    await webhooks.dispatch(WEBHOOK_EVENTS.retrying, webhookData(job, {
+      status: 'pending',
+      error: err.message,
+      next_attempt_at: nextAttemptAt
+    }));
+    return;
+  }
 
-  } catch (err) {
-    console.error("❌ Worker error:", err.message);
-    console.error("Error stack:", err.stack);
-    
-    // Get current retry count and update job
-    try {
-      const { data: currentJob } = await supabase
-        .from('analysis_queue')
-        .select('retry_count, max_retries')
-        .eq('id', job_id)
-        .single();
-      
-      const newRetryCount = (currentJob?.retry_count || 0) + 1;
-      const maxRetries = currentJob?.max_retries || 3;
-      
-      await supabase.from("analysis_queue").update({
-        status: newRetryCount >= maxRetries ? 'failed' : 'pending',
-        error_message: err.message,
-        completed_at: newRetryCount >= maxRetries ? new Date().toISOString() : null,
-        retry_count: newRetryCount
-      }).eq("id", job_id);
-      
-      console.log(`Job ${job_id} marked as ${newRetryCount >= maxRetries ? 'failed' : 'pending for retry'} (retry ${newRetryCount}/${maxRetries})`);
-    } catch (e) {
-      console.error('Failed to mark job as failed:', e);
+  if (isPermanentError(err)) {
+    const updated = await updateOwnedJob(job_id, {
+      status: 'failed',
+      error_message: err.userMessage,
+      completed_at: new Date().toISOString(),
+      next_attempt_at: null,
+      locked_by: null,
+      lease_expires_at: null
+    });
+    if (!updated) {
+      return;
     }
+
+    console.log(`Job ${job_id} failed permanently: ${err.message}`);
+    await progressTracker.notify(job_id);
+    await webhooks.dispatch(WEBHOOK_EVENTS.failed, webhookData(job, {
+      status: 'failed',
+      error: err.userMessage
+    }));
+    return;
+  }
+
+  // Get current retry count and update job
+  const { data: currentJob } = await supabase
+    .from('analysis_queue')
+    .select('retry_count, max_retries')
+    .eq('id', job_id)
+    .single();
+
+  const newRetryCount = (currentJob?.retry_count || 0) + 1;
+  const maxRetries = currentJob?.max_retries || 3;
+  const exhausted = newRetryCount >= maxRetries;
+
+  const delayMs = exhausted ? 0 : computeBackoffMs(newRetryCount, {
+    ...retryConfig,
+    retryAfterMs: err.retryAfterMs
+  });
+  const nextAttemptAt = exhausted ? null : new Date(Date.now() + delayMs).toISOString();
+
+  const updated = await updateOwnedJob(job_id, {
+    status: exhausted ? 'failed' : 'pending',
+    error_message: err.message,
+    completed_at: exhausted ? new Date().toISOString() : null,
+    next_attempt_at: nextAttemptAt,
+    retry_count: newRetryCount,
+    locked_by: null,
+    lease_expires_at: null,
+    ...(exhausted ? {} : clearedProgress())
+  });
+  if (!updated) {
+    return;
+  }
+
+  if (exhausted) {
+    console.log(`Job ${job_id} marked as failed (retry ${newRetryCount}/${maxRetries})`);
+  } else {
+    console.log(`Job ${job_id} marked as pending for retry in ${(delayMs / 1000).toFixed(0)}s (retry ${newRetryCount}/${maxRetries})`);
   }
+
+  await progressTracker.notify(job_id);
+  await webhooks.dispatch(
+    exhausted ? WEBHOOK_EVENTS.failed : WEBHOOK_EVENTS.retrying,
+    webhookData(job, {
+      status: exhausted ? 'failed' : 'pending',
+      error: err.message,
+      retry_count: newRetryCount,
+      next_attempt_at: nextAttemptAt
+    })
+  );
 }
 
 // --------------------------------------------------
 // Helper functions
 // --------------------------------------------------
-function zeroScores() {
-  return {
-    Structure: 0,
-    Communication: 0,
-    Empathy: 0,
-    Ethics: 0,
-    Professionalism: 0,
-    Motivation: 0,
-    Teamwork: 0,
-    Overall: 0
-  };
-}
-
-async function completeJob(job_id) {
-  await supabase.from("analysis_queue").update({
+// `rejection` is the quality gate's reason when the recording was not assessed
+async function completeJob(job, progress, { overall, rejection = null }) {
+  const job_id = job.id;
+  await progress.enter('done');
+  const updated = await updateOwnedJob(job_id, {
     status: "completed",
-    completed_at: new Date().toISOString()
-  }).eq("id", job_id);
-}
-
-function generateArticleRecommendations(scores, availableArticles, stationData) {
-  if (!availableArticles || availableArticles.length === 0) {
-    return [];
+    completed_at: new Date().toISOString(),
+    locked_by: null,
+    lease_expires_at: null
+  });
+  if (!updated) {
+    throw new LeaseLostError(job_id);
   }
 
-  // Score mapping for weak areas
-  const scoreMapping = {
-    'Structure': ['frameworks-techniques', 'STAR', 'Signposting', 'Answer Structure', 'framework', 'structure'],
-    'Communication': ['performance-skills', 'Body Language', 'Communication Skills', 'Clarity', 'communication', 'interpersonal'],
-    'Empathy': ['clinical-scenarios', 'Patient Care', 'Emotional Intelligence', 'Empathy', 'empathy', 'compassion'],
-    'Ethics': ['frameworks-techniques', 'Ethical Dilemmas', 'GMC Guidelines', 'Medical Ethics', 'ethics', 'law'],
-    'Professionalism': ['performance-skills', 'Professionalism', 'Interview Etiquette', 'Dress Code', 'professionalism', 'integrity'],
-    'Motivation': ['specialty-preparation', 'Personal Statement', 'Career Goals', 'Motivation', 'motivation', 'insight'],
-    'Teamwork': ['clinical-scenarios', 'Teamwork', 'Leadership', 'Collaboration', 'teamwork', 'leadership']
-  };
+  await progressTracker.notify(job_id);
+  await webhooks.dispatch(WEBHOOK_EVENTS.completed, webhookData(job, {
+    status: 'completed',
+    overall,
+    rejection
+  }));
+}
 
-  // Find weak areas (scores < 75)
-  const weakAreas = [];
-  for (const [area, score] of Object.entries(scores)) {
-    if (area !== 'Overall' && score < 75) {
-      weakAreas.push({ area, score });
-    }
-  }
-  weakAreas.sort((a, b) => a.score - b.score);
+// Updates the job only while this worker still holds it. Returns false when
+// the lease has passed to another worker, whose outcome then stands.
+async function updateOwnedJob(jobId, changes) {
+  const { data, error } = await supabase
+    .from("analysis_queue")
+    .update(changes)
+    .eq("id", jobId)
+    .eq("locked_by", queueConfig.workerId)
+    .select("id");
 
-  // Score articles by relevance
-  const articleScores = new Map();
-  
-  for (const article of availableArticles) {
-    let score = 0;
-    
-    // Score based on weak areas
-    for (let i = 0; i < Math.min(weakAreas.length, 3); i++) {
-      const weakArea = weakAreas[i];
-      const keywords = scoreMapping[weakArea.area] || [];
-      
-      const categoryMatch = keywords.some(kw =>
-        article.category.toLowerCase().includes(kw.toLowerCase())
-      );
-      const tagMatch = article.tags && keywords.some(kw =>
-        article.tags.some(tag => tag.toLowerCase().includes(kw.toLowerCase()))
-      );
-      const titleMatch = keywords.some(kw =>
-        article.title.toLowerCase().includes(kw.toLowerCase())
-      );
-      
-      if (categoryMatch || tagMatch || titleMatch) {
-        score += (15 - i * 3);
-      }
-    }
-    
-    // Score based on station context
-    if (stationData) {
-      if (stationData.role_play) {
-        if (article.tags?.some(t =>
-          /communication|interpersonal|breaking bad news|spikes|role|patient|interaction/i.test(t)
-        )) {
-          score += 8;
-        }
-      }
-      
-      if (stationData.graph_data) {
-        if (article.tags?.some(t =>
-          /data|graph|chart|interpret|analysis|statistics/i.test(t)
-        )) {
-          score += 8;
-        }
-      }
-    }
-    
-    if (score > 0) {
-      articleScores.set(article.id, score);
-    }
+  if (error) {
+    throw new Error(`Failed to update job ${jobId}: ${error.message}`);
   }
-  
-  // Get top 3 articles
-  const rankedArticles = Array.from(articleScores.entries())
-    .sort((a, b) => b[1] - a[1])
-    .map(([id]) => id)
-    .slice(0, 3);
-  
-  // Fill with general articles if needed
-  if (rankedArticles.length < 3) {
-    const generalArticles = availableArticles
-      .filter(a => !rankedArticles.includes(a.id))
-      .slice(0, 3 - rankedArticles.length)
-      .map(a => a.id);
-    
-    return [...rankedArticles, ...generalArticles];
+  if (data.length === 0) {
+    console.warn(`⚠️ Job ${jobId} is no longer held by this worker - leaving it to its new owner`);
+    return false;
   }
-  
-  return rankedArticles;
-}
\ No newline at end of file
+  return true;
+}
+
+function webhookData(job, { status, overall = null, error = null, ...extra }) {
+  return {
+    job_id: job.id,
+    attempt_id: job.attempt_id,
+    status,
+    overall,
+    error,
+    ...extra
+  };
+}
@@ -0,0 +1,65 @@
+import { PermanentJobError } from "./errors.js";
+import { validateAnalysis } from "./validation.js";
+
+// --------------------------------------------------
+// Model analysis request with validation and repair
+// --------------------------------------------------
+
+// Asks the analysis provider for a rubric-conformant JSON analysis. If the
+// output fails validation the model gets one chance to repair it; a second
+// failure fails the job rather than storing bad data.
+export async function requestAnalysis(provider, { systemPrompt, userPrompt, rubric, durationSec }) {
+  const messages = [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: userPrompt }
+  ];
+
+  const first = await provider.complete({
+    messages,
+    maxTokens: 1000,
+    temperature: 0.3
+  });
+
+  const firstResult = parseAndValidate(first.content, { rubric, durationSec });
+  if (firstResult.errors.length === 0) {
+    return { analysis: firstResult.analysis, usage: [first.usage], model: first.model, repaired: false };
+  }
+
+  console.warn(`Analysis failed validation (${firstResult.errors.length} problem(s)) - requesting repair:`, firstResult.errors);
+
+  const repair = await provider.complete({
+    messages: [
+      ...messages,
+      { role: "assistant", content: first.content },
+      {
+        role: "user",
+        content: `Your previous response failed validation:
+${firstResult.errors.map(e => `- ${e}`).join('\n')}
+
+Return the corrected JSON object only, with exactly the structure requested. Keep your assessment the same apart from fixing these problems.`
+      }
+    ],
+    maxTokens: 1000,
+    temperature: 0
+  });
+
+  const repairResult = parseAndValidate(repair.content, { rubric, durationSec });
+  if (repairResult.errors.length > 0) {
+    throw new PermanentJobError(`Analysis output failed validation after repair: ${repairResult.errors.join('; ')}`, {
+      userMessage: 'We could not produce a reliable analysis of this recording. Please try again or contact support.'
+    });
+  }
+
+  console.log('Analysis repaired successfully');
+  return { analysis: repairResult.analysis, usage: [first.usage, repair.usage], model: repair.model, repaired: true };
+}
+
+function parseAndValidate(content, options) {
+  let raw;
+  try {
+    raw = JSON.parse(content);
+  } catch (parseError) {
+    return { analysis: null, errors: [`Response was not valid JSON: ${parseError.message}`] };
+  }
+  return validateAnalysis(raw, options);
+}
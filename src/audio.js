@@ -0,0 +1,189 @@
+import { spawn } from "child_process";
+import { mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+import { MAX_WHISPER_BYTES, audioConfig } from "./config.js";
+import { PermanentJobError } from "./errors.js";
+
+// --------------------------------------------------
+// Audio extraction and chunking (ffmpeg)
+// --------------------------------------------------
+
+// Extract the audio track as compressed mono MP3 and split it into chunks that
+// each fit under the Whisper upload limit. Returns chunks with their offset
+// (seconds) into the original recording so segments can be re-aligned.
+export async function prepareAudioChunks(buffer, fileName) {
+  const workDir = await mkdtemp(path.join(os.tmpdir(), 'worker-audio-'));
+
+  try {
+    const extension = fileName.substring(fileName.lastIndexOf('.') + 1).toLowerCase();
+    const inputPath = path.join(workDir, `input.${extension}`);
+    await writeFile(inputPath, buffer);
+
+    const chunkSeconds = maxChunkSeconds();
+    console.log(`Extracting audio (${audioConfig.bitrate}, mono) in chunks of up to ${chunkSeconds}s`);
+
+    await runFfmpeg([
+      '-hide_banner', '-loglevel', 'error', '-y',
+      '-i', inputPath,
+      '-vn',
+      '-ac', '1',
+      '-ar', String(audioConfig.sampleRate),
+      '-c:a', 'libmp3lame',
+      '-b:a', audioConfig.bitrate,
+      '-f', 'segment',
+      '-segment_time', String(chunkSeconds),
+      '-reset_timestamps', '1',
+      '-segment_list', path.join(workDir, 'chunks.csv'),
+      '-segment_list_type', 'csv',
+      path.join(workDir, 'chunk_%03d.mp3')
+    ]);
+
+    const chunkList = await readChunkList(path.join(workDir, 'chunks.csv'));
+    const chunks = [];
+
+    for (const { file, start } of chunkList) {
+      const chunkBuffer = await readFile(path.join(workDir, file));
+
+      if (chunkBuffer.length > MAX_WHISPER_BYTES) {
+        throw new PermanentJobError(`Audio chunk ${file} is still too large (${chunkBuffer.length} bytes) - lower AUDIO_BITRATE or AUDIO_CHUNK_SECONDS`, {
+          userMessage: 'Recording is too large to process.'
+        });
+      }
+
+      chunks.push({
+        buffer: chunkBuffer,
+        filename: file,
+        contentType: 'audio/mpeg',
+        offset: start
+      });
+    }
+
+    if (chunks.length === 0) {
+      throw new PermanentJobError('Audio extraction produced no output - recording may have no audio track', {
+        userMessage: 'No audio track was found in your recording. Please check your microphone and record again.'
+      });
+    }
+
+    return chunks;
+  } finally {
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// Extract the audio track as one compressed mono MP3, e.g. to keep instead of
+// the original video
+export async function extractAudio(buffer, fileName) {
+  const workDir = await mkdtemp(path.join(os.tmpdir(), 'worker-extract-'));
+
+  try {
+    const extension = fileName.substring(fileName.lastIndexOf('.') + 1).toLowerCase();
+    const inputPath = path.join(workDir, `input.${extension}`);
+    const outputPath = path.join(workDir, 'audio.mp3');
+    await writeFile(inputPath, buffer);
+
+    await runFfmpeg([
+      '-hide_banner', '-loglevel', 'error', '-y',
+      '-i', inputPath,
+      '-vn',
+      '-ac', '1',
+      '-ar', String(audioConfig.sampleRate),
+      '-c:a', 'libmp3lame',
+      '-b:a', audioConfig.bitrate,
+      outputPath
+    ]);
+
+    return await readFile(outputPath);
+  } finally {
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// Decode the audio track to raw mono 16-bit PCM for waveform analysis
+export async function decodePcm(buffer, fileName, sampleRate) {
+  const workDir = await mkdtemp(path.join(os.tmpdir(), 'worker-pcm-'));
+
+  try {
+    const extension = fileName.substring(fileName.lastIndexOf('.') + 1).toLowerCase();
+    const inputPath = path.join(workDir, `input.${extension}`);
+    const outputPath = path.join(workDir, 'audio.pcm');
+    await writeFile(inputPath, buffer);
+
+    await runFfmpeg([
+      '-hide_banner', '-loglevel', 'error', '-y',
+      '-i', inputPath,
+      '-vn',
+      '-ac', '1',
+      '-ar', String(sampleRate),
+      '-f', 's16le',
+      '-c:a', 'pcm_s16le',
+      outputPath
+    ]);
+
+    // Copy so the samples are 2-byte aligned regardless of the Buffer's offset
+    const raw = await readFile(outputPath);
+    const sampleCount = Math.floor(raw.length / 2);
+    return new Int16Array(raw.buffer.slice(raw.byteOffset, raw.byteOffset + sampleCount * 2));
+  } finally {
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
+
+function maxChunkSeconds() {
+  const bitsPerSecond = parseBitrate(audioConfig.bitrate);
+  // Leave 10% headroom for container overhead and VBR variance
+  const limitSeconds = Math.floor((MAX_WHISPER_BYTES * 8 * 0.9) / bitsPerSecond);
+  return Math.max(30, Math.min(audioConfig.chunkSeconds, limitSeconds));
+}
+
+function parseBitrate(bitrate) {
+  const match = String(bitrate).trim().match(/^(\d+(?:\.\d+)?)\s*([kKmM]?)$/);
+  if (!match) {
+    throw new Error(`Invalid AUDIO_BITRATE: ${bitrate}`);
+  }
+  const multiplier = { '': 1, k: 1000, m: 1000000 }[match[2].toLowerCase()];
+  return Number(match[1]) * multiplier;
+}
+
+// The segment muxer writes "filename,start,end" per chunk
+async function readChunkList(listPath) {
+  const csv = await readFile(listPath, 'utf8');
+
+  return csv
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .map(line => {
+      const [file, start] = line.split(',');
+      return { file, start: Number(start) || 0 };
+    });
+}
+
+export function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(audioConfig.ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+
+    proc.stderr.on('data', chunk => {
+      stderr = (stderr + chunk.toString()).slice(-2000);
+    });
+
+    proc.on('error', err => {
+      if (err.code === 'ENOENT') {
+        reject(new Error(`ffmpeg not found at "${audioConfig.ffmpegPath}" - install ffmpeg or set FFMPEG_PATH`));
+      } else {
+        reject(err);
+      }
+    });
+
+    proc.on('close', code => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new PermanentJobError(`ffmpeg exited with code ${code}: ${stderr.trim()}`, {
+          userMessage: 'Your recording could not be decoded. Please try recording again.'
+        }));
+      }
+    });
+  });
+}
@@ -0,0 +1,153 @@
+import crypto from "crypto";
+
+// --------------------------------------------------
+// Request authentication and rate limiting
+// --------------------------------------------------
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function isUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+// Accepts either the shared bearer token (e.g. configured as a header on the
+// Supabase database webhook) or an HS256 JWT signed with the project's JWT
+// secret whose role is allowed. With `allowUsers`, end-user JWTs (a role in
+// jwtUserRoles and a subject) are accepted too; the route must then limit
+// them to their own data. EventSource cannot set headers, so the token may
+// also be passed as ?access_token=.
+//
+// Sets req.auth = { service: true | false, subject: <JWT sub or null> }.
+export function createAuthMiddleware({ apiToken, jwtSecret, jwtAllowedRoles, jwtUserRoles = [] }, { allowUsers = false } = {}) {
+  return (req, res, next) => {
+    const token = bearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({ error: "Missing credentials" });
+    }
+
+    if (apiToken && safeEqual(token, apiToken)) {
+      req.auth = { service: true, subject: null };
+      return next();
+    }
+
+    if (jwtSecret) {
+      const claims = verifyJwt(token, jwtSecret);
+      if (claims && jwtAllowedRoles.includes(claims.role)) {
+        req.auth = { service: true, subject: typeof claims.sub === 'string' ? claims.sub : null };
+        return next();
+      }
+      if (claims && allowUsers && jwtUserRoles.includes(claims.role) && typeof claims.sub === 'string' && claims.sub) {
+        req.auth = { service: false, subject: claims.sub };
+        return next();
+      }
+    }
+
+    return res.status(401).json({ error: "Invalid credentials" });
+  };
+}
+
+// Fixed-window limiter keyed by the token's subject, falling back to the
+// client IP (the shared API token and service tokens have no subject).
+// State is per process, so the effective limit scales with replica count.
+export function createRateLimiter({ windowMs, max }) {
+  const windows = new Map();
+
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const key = req.auth?.subject ? `sub:${req.auth.subject}` : `ip:${req.ip}`;
+    const now = Date.now();
+    let entry = windows.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ error: "Too many requests" });
+    }
+
+    next();
+  };
+}
+
+function bearerToken(req) {
+  const header = req.get('authorization');
+  if (header && header.toLowerCase().startsWith('bearer ')) {
+    return header.substring(7).trim();
+  }
+  if (typeof req.query?.access_token === 'string') {
+    return req.query.access_token;
+  }
+  return null;
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Minimal HS256 verification; returns the claims or null
+export function verifyJwt(token, secret) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  // Valid JSON is not necessarily an object ("null", "42")
+  if (!isObject(header) || !isObject(claims)) {
+    return null;
+  }
+
+  if (header.alg !== 'HS256') {
+    return null;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest('base64url');
+
+  if (!safeEqual(signature, expected)) {
+    return null;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === 'number' && claims.exp <= now) {
+    return null;
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf > now) {
+    return null;
+  }
+
+  return claims;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
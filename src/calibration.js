@@ -0,0 +1,240 @@
+import { readFile, writeFile, mkdir } from "fs/promises";
+import { dirname } from "path";
+import { loadRubric } from "./rubrics.js";
+
+// --------------------------------------------------
+// Calibration against examiner-marked reference answers
+// --------------------------------------------------
+// Scores every active calibration_references row `runs` times and compares
+// the mean model score with the examiner's mark, per dimension. What the runs
+// cost is recorded in job_usage as kind 'calibration'.
+
+export async function runCalibration({ supabase, pipeline, runs }) {
+  const { data: references, error } = await supabase
+    .from('calibration_references')
+    .select('id, label, station_id, transcript, transcript_segments, examiner_scores')
+    .eq('active', true)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch calibration references: ${error.message}`);
+  }
+  if (!references || references.length === 0) {
+    throw new Error('No active calibration references found');
+  }
+
+  const samples = [];
+  const failures = [];
+  const usage = [];
+  let model = null;
+  let promptVersion = null;
+
+  for (const reference of references) {
+    const station = await pipeline.fetchStation(reference.station_id);
+    const rubric = await loadRubric(supabase, { attempt: null, station });
+    const runScores = [];
+
+    for (let run = 1; run <= runs; run++) {
+      try {
+        const result = await pipeline.analyseTranscript({
+          transcript: reference.transcript,
+          segments: reference.transcript_segments,
+          station,
+          rubric
+        });
+        usage.push(...result.usage);
+        runScores.push(result.scores);
+        model = result.model || model;
+        promptVersion = result.promptVersion;
+      } catch (err) {
+        console.error(`Calibration run ${run} failed for reference ${reference.label || reference.id}:`, err.message);
+        failures.push({ referenceId: reference.id, run, error: err.message });
+      }
+    }
+
+    if (runScores.length > 0) {
+      samples.push({
+        referenceId: reference.id,
+        examiner: reference.examiner_scores || {},
+        runs: runScores
+      });
+    }
+  }
+
+  if (usage.length > 0) {
+    await pipeline.recordUsage('calibration', null, usage);
+  }
+
+  return {
+    createdAt: new Date().toISOString(),
+    model,
+    promptVersion,
+    runs,
+    referenceCount: references.length,
+    dimensions: summariseSamples(samples),
+    failures
+  };
+}
+
+// Per dimension: mean absolute error and bias (model minus examiner) of the
+// mean model score, Spearman rank correlation across references, and the
+// mean variance between repeated runs of the same reference
+export function summariseSamples(samples) {
+  const keys = new Set();
+  for (const sample of samples) {
+    for (const [key, value] of Object.entries(sample.examiner)) {
+      if (Number.isFinite(Number(value))) {
+        keys.add(key);
+      }
+    }
+  }
+
+  const dimensions = {};
+
+  for (const key of keys) {
+    const examinerScores = [];
+    const modelScores = [];
+    const variances = [];
+
+    for (const sample of samples) {
+      const examinerScore = Number(sample.examiner[key]);
+      const runValues = sample.runs
+        .map(scores => Number(scores[key]))
+        .filter(Number.isFinite);
+
+      if (!Number.isFinite(examinerScore) || runValues.length === 0) {
+        continue;
+      }
+
+      examinerScores.push(examinerScore);
+      modelScores.push(mean(runValues));
+      if (runValues.length > 1) {
+        variances.push(variance(runValues));
+      }
+    }
+
+    if (examinerScores.length === 0) {
+      continue;
+    }
+
+    const errors = modelScores.map((score, i) => score - examinerScores[i]);
+
+    dimensions[key] = {
+      n: examinerScores.length,
+      mae: round(mean(errors.map(Math.abs))),
+      bias: round(mean(errors)),
+      spearman: spearman(modelScores, examinerScores),
+      runVariance: variances.length > 0 ? round(mean(variances)) : null
+    };
+  }
+
+  return dimensions;
+}
+
+// Lists every dimension whose agreement with examiners is worse than the
+// baseline by more than the tolerances
+export function compareToBaseline(report, baseline, { maeTolerance, correlationTolerance }) {
+  const regressions = [];
+
+  for (const [key, base] of Object.entries(baseline.dimensions || {})) {
+    const current = report.dimensions[key];
+    if (!current) {
+      regressions.push({ dimension: key, metric: 'missing', baseline: null, current: null });
+      continue;
+    }
+
+    if (current.mae > base.mae + maeTolerance) {
+      regressions.push({ dimension: key, metric: 'mae', baseline: base.mae, current: current.mae });
+    }
+    if (Math.abs(current.bias) > Math.abs(base.bias) + maeTolerance) {
+      regressions.push({ dimension: key, metric: 'bias', baseline: base.bias, current: current.bias });
+    }
+    if (base.spearman !== null && current.spearman !== null &&
+        current.spearman < base.spearman - correlationTolerance) {
+      regressions.push({ dimension: key, metric: 'spearman', baseline: base.spearman, current: current.spearman });
+    }
+  }
+
+  return regressions;
+}
+
+export async function readBaseline(path) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Failed to read calibration baseline ${path}: ${err.message}`);
+  }
+}
+
+export async function writeBaseline(path, report) {
+  const { failures, ...baseline } = report;
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, JSON.stringify(baseline, null, 2) + '\n');
+}
+
+// --------------------------------------------------
+// Statistics helpers
+// --------------------------------------------------
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function variance(values) {
+  const m = mean(values);
+  return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+}
+
+// Pearson correlation of the ranks; ties share their average rank.
+// Undefined (null) with fewer than three references or no spread.
+function spearman(a, b) {
+  if (a.length < 3) {
+    return null;
+  }
+
+  const ra = ranks(a);
+  const rb = ranks(b);
+  const ma = mean(ra);
+  const mb = mean(rb);
+
+  let cov = 0;
+  let va = 0;
+  let vb = 0;
+  for (let i = 0; i < ra.length; i++) {
+    cov += (ra[i] - ma) * (rb[i] - mb);
+    va += (ra[i] - ma) ** 2;
+    vb += (rb[i] - mb) ** 2;
+  }
+
+  if (va === 0 || vb === 0) {
+    return null;
+  }
+  return Math.round((cov / Math.sqrt(va * vb)) * 1000) / 1000;
+}
+
+function ranks(values) {
+  const order = values
+    .map((value, index) => ({ value, index }))
+    .sort((x, y) => x.value - y.value);
+
+  const result = new Array(values.length);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) {
+      j++;
+    }
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) {
+      result[order[k].index] = rank;
+    }
+    i = j + 1;
+  }
+  return result;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,115 @@
+// --------------------------------------------------
+// Multi-station (MMI circuit) attempts
+// --------------------------------------------------
+// A circuit is either one recording with station markers, or one recording
+// per station. Both are transcribed onto a single timeline and each station
+// is scored on its own time range.
+
+// Per-station recordings: attempts.station_recordings =
+// [{ "station_id": "...", "video_path": "..." }, ...] in circuit order
+export function getStationRecordings(attempt) {
+  const recordings = Array.isArray(attempt.station_recordings)
+    ? attempt.station_recordings.filter(r => r && r.station_id && r.video_path)
+    : [];
+
+  return recordings.length > 1
+    ? recordings.map(r => ({ stationId: r.station_id, videoPath: r.video_path }))
+    : null;
+}
+
+// Station time ranges for scoring, or null for a single-station attempt.
+// Markers recorded by the client take precedence; otherwise the ranges saved
+// in an earlier circuit report are reused (re-scoring a per-station circuit).
+export function getStationRanges(attempt) {
+  return rangesFromMarkers(attempt.station_markers) || rangesFromReport(attempt.circuit_report);
+}
+
+// attempts.station_markers = [{ "station_id": "...", "start_sec": 0 }, ...];
+// each station ends where the next one starts
+export function rangesFromMarkers(markers) {
+  if (!Array.isArray(markers)) {
+    return null;
+  }
+
+  const starts = markers
+    .filter(m => m && m.station_id && Number.isFinite(Number(m.start_sec)))
+    .map(m => ({ stationId: m.station_id, startSec: Number(m.start_sec) }))
+    .sort((a, b) => a.startSec - b.startSec);
+
+  if (starts.length < 2) {
+    return null;
+  }
+
+  return starts.map((range, i) => ({
+    ...range,
+    endSec: starts[i + 1]?.startSec ?? null
+  }));
+}
+
+function rangesFromReport(report) {
+  const stations = Array.isArray(report?.stations) ? report.stations : [];
+  if (stations.length < 2 || !stations.every(s => s.stationId && Number.isFinite(s.startSec))) {
+    return null;
+  }
+
+  return stations.map(s => ({
+    stationId: s.stationId,
+    startSec: s.startSec,
+    endSec: Number.isFinite(s.endSec) ? s.endSec : null
+  }));
+}
+
+// A segment belongs to the station its midpoint falls in. Times are rebased
+// so every station's answer starts at zero, as a single recording would.
+export function sliceSegments(segments, { startSec, endSec }) {
+  return segments
+    .filter(seg => {
+      const mid = (seg.start + seg.end) / 2;
+      return mid >= startSec && (endSec === null || mid < endSec);
+    })
+    .map((seg, i) => ({
+      ...seg,
+      id: i,
+      start: Math.max(0, seg.start - startSec),
+      end: Math.max(0, seg.end - startSec)
+    }));
+}
+
+// Circuit-level summary: per-station scores, the mean of each dimension
+// across stations, and the strongest and weakest stations by Overall
+export function buildCircuitReport(stations) {
+  const totals = {};
+  const counts = {};
+
+  for (const station of stations) {
+    for (const [key, value] of Object.entries(station.scores)) {
+      totals[key] = (totals[key] || 0) + value;
+      counts[key] = (counts[key] || 0) + 1;
+    }
+  }
+
+  const profile = {};
+  for (const key of Object.keys(totals)) {
+    profile[key] = Math.round(totals[key] / counts[key]);
+  }
+
+  const ranked = [...stations].sort((a, b) => b.scores.Overall - a.scores.Overall);
+  const summary = s => ({ stationId: s.stationId, title: s.title, overall: s.scores.Overall });
+
+  return {
+    stations: stations.map(s => ({
+      stationId: s.stationId,
+      title: s.title,
+      startSec: s.startSec,
+      endSec: s.endSec,
+      noSpeech: s.noSpeech,
+      rejection: s.rejection || null,
+      scores: s.scores,
+      rubricProfileId: s.rubricProfileId,
+      rubricVersion: s.rubricVersion
+    })),
+    profile,
+    strongest: summary(ranked[0]),
+    weakest: summary(ranked[ranked.length - 1])
+  };
+}
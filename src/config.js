@@ -0,0 +1,224 @@
+import os from "os";
+
+// --------------------------------------------------
+// Worker configuration (environment driven)
+// --------------------------------------------------
+
+// Whisper rejects uploads above 25 MB
+export const MAX_WHISPER_BYTES = 25 * 1024 * 1024;
+
+export const audioConfig = {
+  ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+  // Mono speech compresses well; 32 kbps keeps a 7-minute answer under 2 MB
+  bitrate: process.env.AUDIO_BITRATE || '32k',
+  sampleRate: Number(process.env.AUDIO_SAMPLE_RATE) || 16000,
+  // Upper bound on chunk length; shortened further if a chunk would exceed the Whisper limit
+  chunkSeconds: Number(process.env.AUDIO_CHUNK_SECONDS) || 600
+};
+
+export const deliveryConfig = {
+  // Waveform analysis needs ffmpeg; set DELIVERY_ANALYSIS=off to skip it
+  enabled: process.env.DELIVERY_ANALYSIS !== 'off',
+  // Enough for speaking pitch, and keeps long circuits small in memory
+  sampleRate: 8000,
+  minSilenceSec: Number(process.env.DELIVERY_MIN_SILENCE_SEC) || 2,
+  // Silences at least this long get a feedback item
+  longSilenceSec: Number(process.env.DELIVERY_LONG_SILENCE_SEC) || 5,
+  // Pitch spread (standard deviation, semitones) below which delivery is monotone
+  monotoneSemitones: Number(process.env.DELIVERY_MONOTONE_SEMITONES) || 2,
+  // Mean speech level below which the candidate is told they were quiet
+  quietDbfs: -35
+};
+
+export const metricsConfig = {
+  // Comma-separated words/phrases; replaces the default filler lexicon when set
+  fillerLexicon: listFromEnv('FILLER_LEXICON')
+};
+
+export const queueConfig = {
+  // Must be unique per process: job ownership (lease renewal, completion,
+  // release) is decided by locked_by = workerId, so processes sharing an id
+  // would renew, overwrite and release each other's jobs
+  workerId: process.env.WORKER_ID || `${os.hostname()}-${process.pid}`,
+  concurrency: Number(process.env.WORKER_CONCURRENCY) || 2,
+  pollIntervalMs: Number(process.env.QUEUE_POLL_INTERVAL_MS) || 5000,
+  // A job whose lease is not renewed within this window is taken back by another worker
+  leaseSeconds: Number(process.env.JOB_LEASE_SECONDS) || 120,
+  // On startup, processing jobs older than this with no live lease are requeued
+  staleJobSeconds: Number(process.env.STALE_JOB_SECONDS) || 30 * 60,
+  // How long shutdown waits for in-flight jobs before releasing them; keep it
+  // below the orchestrator's grace period (30s by default on Kubernetes)
+  shutdownTimeoutMs: Number(process.env.SHUTDOWN_TIMEOUT_MS) || 25 * 1000
+};
+
+export const retryConfig = {
+  // Delay before the first retry of a transient failure; doubles on each retry
+  baseDelayMs: Number(process.env.RETRY_BASE_DELAY_MS) || 30 * 1000,
+  maxDelayMs: Number(process.env.RETRY_MAX_DELAY_MS) || 15 * 60 * 1000
+};
+
+export const progressConfig = {
+  // How often SSE streams re-read the job row to catch updates from other replicas
+  ssePollIntervalMs: Number(process.env.SSE_POLL_INTERVAL_MS) || 2000
+};
+
+export const webhookConfig = {
+  // Comma-separated endpoints notified on job.completed, job.failed and job.retrying
+  urls: listFromEnv('WEBHOOK_URLS'),
+  secret: process.env.WEBHOOK_SECRET,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  baseDelayMs: 2000,
+  maxDelayMs: 5 * 60 * 1000
+};
+
+export const authConfig = {
+  // Shared secret sent as "Authorization: Bearer <token>"
+  apiToken: process.env.WORKER_API_TOKEN?.trim() || null,
+  // Supabase JWT secret; only tokens whose role is listed are accepted
+  jwtSecret: process.env.WORKER_JWT_SECRET?.trim() || null,
+  jwtAllowedRoles: listFromEnv('WORKER_JWT_ROLES') || ['service_role'],
+  // Roles of end-user JWTs; routes that allow them only serve the user's own data
+  jwtUserRoles: listFromEnv('WORKER_JWT_USER_ROLES') || ['authenticated'],
+  analyzeRateLimit: {
+    windowMs: 60 * 1000,
+    max: Number(process.env.ANALYZE_RATE_LIMIT_PER_MINUTE) || 30
+  }
+};
+
+export const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// "openai" also covers OpenAI-compatible servers via *_BASE_URL; "fake" is a
+// deterministic offline stub for CI and local development
+export const providerConfig = {
+  transcription: {
+    provider: process.env.TRANSCRIPTION_PROVIDER || 'openai',
+    baseUrl: trimSlash(process.env.TRANSCRIPTION_BASE_URL || process.env.OPENAI_BASE_URL || OPENAI_BASE_URL),
+    apiKey: (process.env.TRANSCRIPTION_API_KEY || process.env.OPENAI_API_KEY || '').trim() || null,
+    model: process.env.TRANSCRIPTION_MODEL || 'whisper-1',
+    // Long recordings upload slowly; a hung request is retried after this
+    timeoutMs: Number(process.env.TRANSCRIPTION_TIMEOUT_MS) || 10 * 60 * 1000
+  },
+  analysis: {
+    provider: process.env.ANALYSIS_PROVIDER || 'openai',
+    baseUrl: trimSlash(process.env.ANALYSIS_BASE_URL || process.env.OPENAI_BASE_URL || OPENAI_BASE_URL),
+    apiKey: (process.env.ANALYSIS_API_KEY || process.env.OPENAI_API_KEY || '').trim() || null,
+    model: process.env.ANALYSIS_MODEL || 'gpt-4o-mini',
+    timeoutMs: Number(process.env.ANALYSIS_TIMEOUT_MS) || 2 * 60 * 1000
+  },
+  embedding: {
+    provider: process.env.EMBEDDING_PROVIDER || process.env.ANALYSIS_PROVIDER || 'openai',
+    baseUrl: trimSlash(process.env.EMBEDDING_BASE_URL || process.env.OPENAI_BASE_URL || OPENAI_BASE_URL),
+    apiKey: (process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY || '').trim() || null,
+    model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+    timeoutMs: Number(process.env.EMBEDDING_TIMEOUT_MS) || 60 * 1000
+  },
+  // Only used for role-play stations without client-tagged speaker turns
+  diarization: {
+    provider: process.env.DIARIZATION_PROVIDER || 'none',
+    url: process.env.DIARIZATION_URL || null,
+    apiKey: process.env.DIARIZATION_API_KEY?.trim() || null,
+    timeoutMs: Number(process.env.DIARIZATION_TIMEOUT_MS) || 10 * 60 * 1000
+  }
+};
+
+export const qualityConfig = {
+  // Comma-separated languages answers must be in (Whisper names or ISO codes)
+  expectedLanguages: listFromEnv('EXPECTED_LANGUAGES') || ['english'],
+  // Share of transcribed time that may be unclear or noise before the
+  // recording is rejected as background speech
+  maxUnclearShare: Number(process.env.QUALITY_MAX_UNCLEAR_SHARE) || 0.6
+};
+
+export const redactionConfig = {
+  // Names, contact details, postcodes, dates of birth and schools are replaced
+  // with placeholders before the transcript is stored or analysed
+  enabled: process.env.PII_REDACTION !== 'off',
+  // Deployment policy: keep the unredacted transcript in the service-role-only
+  // attempt_transcripts_private table
+  keepOriginal: process.env.PII_KEEP_ORIGINAL === 'true'
+};
+
+export const retentionConfig = {
+  // After a successful analysis: "keep" the recording, "delete" it, or keep
+  // only a compressed "audio" copy
+  policy: ['delete', 'audio'].includes(process.env.RECORDING_RETENTION) ? process.env.RECORDING_RETENTION : 'keep',
+  // Recordings (and audio copies) older than this are deleted; unset keeps them
+  retentionDays: Number(process.env.RECORDING_RETENTION_DAYS) || null,
+  // Recordings of attempts that were never scored, this long after the job failed
+  failedRetentionDays: Number(process.env.RECORDING_FAILED_RETENTION_DAYS) || null,
+  sweepIntervalMs: Number(process.env.RETENTION_SWEEP_INTERVAL_MS) || 60 * 60 * 1000,
+  // Attempts handled per rule per sweep
+  batchSize: 50
+};
+
+export const usageConfig = {
+  // Set USAGE_QUOTAS=off to record usage without enforcing usage_quotas
+  quotasEnabled: process.env.USAGE_QUOTAS !== 'off',
+  // US dollars; MODEL_PRICES (JSON, same shape) adds or overrides models
+  prices: {
+    'whisper-1': { perMinute: 0.006 },
+    'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.6 },
+    'gpt-4o': { inputPerMillion: 2.5, outputPerMillion: 10 },
+    'text-embedding-3-small': { inputPerMillion: 0.02 },
+    'text-embedding-3-large': { inputPerMillion: 0.13 },
+    ...jsonFromEnv('MODEL_PRICES')
+  }
+};
+
+export const feedbackConfig = {
+  // "drop" removes feedback whose quote is not in the cited segment; "flag" keeps it with grounded: false
+  groundingMode: process.env.FEEDBACK_GROUNDING === 'flag' ? 'flag' : 'drop'
+};
+
+export const recommendationConfig = {
+  count: 3,
+  // Articles recommended on this many of the candidate's latest attempts are skipped
+  excludeRecentAttempts: Number(process.env.RECOMMENDATION_EXCLUDE_RECENT) || 3,
+  // Article column (e.g. "summary") embedded alongside title, category and
+  // tags; only those three are embedded when unset
+  contentColumn: process.env.ARTICLE_CONTENT_COLUMN?.trim() || null,
+  // Characters of article content embedded
+  maxContentChars: 4000
+};
+
+export const trendConfig = {
+  // Attempts (current included) in the rolling averages
+  window: Number(process.env.TREND_WINDOW) || 5
+};
+
+export const calibrationConfig = {
+  baselinePath: process.env.CALIBRATION_BASELINE_PATH || 'calibration/baseline.json',
+  // Each reference is scored this many times to measure run-to-run variance
+  runs: Number(process.env.CALIBRATION_RUNS) || 3,
+  // Allowed worsening against the baseline before the run fails
+  maeTolerance: Number(process.env.CALIBRATION_MAE_TOLERANCE) || 2,
+  correlationTolerance: Number(process.env.CALIBRATION_CORRELATION_TOLERANCE) || 0.05
+};
+
+// --------------------------------------------------
+// Helpers
+// --------------------------------------------------
+function listFromEnv(name) {
+  const value = process.env[name];
+  if (!value || value.trim() === '') {
+    return null;
+  }
+  return value.split(',').map(item => item.trim()).filter(item => item.length > 0);
+}
+
+function jsonFromEnv(name) {
+  const value = process.env[name];
+  if (!value || value.trim() === '') {
+    return {};
+  }
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw new Error(`${name} is not valid JSON: ${err.message}`);
+  }
+}
+
+function trimSlash(url) {
+  return url.replace(/\/+$/, '');
+}
@@ -0,0 +1,297 @@
+import { formatTimestamp } from "./prompts.js";
+
+// --------------------------------------------------
+// Audio-level delivery analysis
+// --------------------------------------------------
+// Works on the decoded waveform (mono 16-bit PCM) rather than Whisper
+// timings: silences, loudness, clipping and pitch variation.
+
+const FRAME_SEC = 0.04;
+const FULL_SCALE = 32768;
+// Samples at or above this level are treated as clipped
+const CLIP_LEVEL = 32767 * 0.99;
+// Speaking pitch range searched by the autocorrelation
+const MIN_PITCH_HZ = 75;
+const MAX_PITCH_HZ = 400;
+// Normalised autocorrelation needed to accept a frame as voiced
+const VOICING_THRESHOLD = 0.5;
+// Autocorrelation is brute force, so pitch is estimated on a copy decimated
+// to this rate (enough for MAX_PITCH_HZ) and on every PITCH_HOP-th voiced
+// frame, yielding to the event loop every YIELD_FRAMES frames so lease
+// heartbeats and progress streams keep running
+const PITCH_SAMPLE_RATE = 4000;
+const PITCH_HOP = 2;
+const YIELD_FRAMES = 500;
+// Pitch variation is judged over windows of this length for flat stretches
+const PITCH_WINDOW_SEC = 20;
+// Pitched frames (after PITCH_HOP) needed to judge overall pitch variation
+const MIN_PITCHED_FRAMES = 25;
+
+export async function analyseDelivery(samples, sampleRate, { minSilenceSec, longSilenceSec, monotoneSemitones, quietDbfs }) {
+  const frameLength = Math.round(sampleRate * FRAME_SEC);
+  const frameCount = Math.floor(samples.length / frameLength);
+  const durationSec = samples.length / sampleRate;
+
+  const levels = new Float64Array(frameCount);
+  let peak = 0;
+  let clipped = 0;
+  let firstClipSec = null;
+
+  for (let f = 0; f < frameCount; f++) {
+    let sumSquares = 0;
+    for (let i = f * frameLength; i < (f + 1) * frameLength; i++) {
+      const value = Math.abs(samples[i]);
+      sumSquares += value * value;
+      if (value > peak) peak = value;
+      if (value >= CLIP_LEVEL) {
+        clipped++;
+        if (firstClipSec === null) firstClipSec = i / sampleRate;
+      }
+    }
+    levels[f] = toDbfs(Math.sqrt(sumSquares / frameLength));
+  }
+
+  const threshold = silenceThreshold(levels);
+  const voiced = Array.from(levels, level => level > threshold);
+
+  // --------------------------------------------------
+  // Silences
+  // --------------------------------------------------
+  const silences = [];
+  let runStart = null;
+  for (let f = 0; f <= frameCount; f++) {
+    if (f < frameCount && !voiced[f]) {
+      if (runStart === null) runStart = f;
+      continue;
+    }
+    if (runStart !== null) {
+      const start = runStart * FRAME_SEC;
+      const end = f * FRAME_SEC;
+      // Lead-in and trailing silence are not pauses in the answer
+      const edge = runStart === 0 || f === frameCount;
+      if (end - start >= minSilenceSec && !edge) {
+        silences.push({ start: round(start), end: round(end), durationSec: round(end - start) });
+      }
+      runStart = null;
+    }
+  }
+
+  // --------------------------------------------------
+  // Loudness
+  // --------------------------------------------------
+  let speechEnergy = 0;
+  let speechFrames = 0;
+  for (let f = 0; f < frameCount; f++) {
+    if (voiced[f]) {
+      speechEnergy += 10 ** (levels[f] / 10);
+      speechFrames++;
+    }
+  }
+  const speechLoudnessDbfs = speechFrames > 0 ? round(10 * Math.log10(speechEnergy / speechFrames)) : null;
+
+  // --------------------------------------------------
+  // Pitch variation
+  // --------------------------------------------------
+  const factor = Math.max(1, Math.floor(sampleRate / PITCH_SAMPLE_RATE));
+  const pitchSamples = decimate(samples, factor);
+  const pitchRate = sampleRate / factor;
+  const pitchFrameLength = Math.floor(frameLength / factor);
+
+  const pitches = [];
+  for (let f = 0; f < frameCount; f += PITCH_HOP) {
+    if (f % YIELD_FRAMES === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    if (!voiced[f]) continue;
+    const pitch = estimatePitch(pitchSamples, Math.floor((f * frameLength) / factor), pitchFrameLength, pitchRate);
+    if (pitch !== null) {
+      pitches.push({ atSec: f * FRAME_SEC, hz: pitch });
+    }
+  }
+
+  const medianHz = pitches.length > 0 ? median(pitches.map(p => p.hz)) : null;
+  const pitchVariationSt = pitches.length >= MIN_PITCHED_FRAMES
+    ? round(semitoneSpread(pitches, medianHz))
+    : null;
+  const monotone = pitchVariationSt !== null && pitchVariationSt < monotoneSemitones;
+  const flatStretches = findFlatStretches(pitches, medianHz, monotoneSemitones * 0.75);
+
+  const metrics = {
+    durationSec: round(durationSec),
+    silenceThresholdDbfs: round(threshold),
+    silenceCount: silences.length,
+    totalSilenceSec: round(silences.reduce((sum, s) => sum + s.durationSec, 0)),
+    longestSilenceSec: silences.length > 0 ? Math.max(...silences.map(s => s.durationSec)) : 0,
+    silences: silences.slice(0, 50),
+    speechLoudnessDbfs,
+    peakDbfs: round(toDbfs(peak)),
+    clippingPct: samples.length > 0 ? round((clipped / samples.length) * 100, 3) : 0,
+    pitchMedianHz: medianHz === null ? null : round(medianHz),
+    pitchVariationSt,
+    monotone,
+    flatStretches
+  };
+
+  return {
+    metrics,
+    feedback: deliveryFeedback(metrics, { longSilenceSec, quietDbfs, firstClipSec })
+  };
+}
+
+function deliveryFeedback(metrics, { longSilenceSec, quietDbfs, firstClipSec }) {
+  const items = [];
+
+  if (metrics.speechLoudnessDbfs !== null && metrics.speechLoudnessDbfs < quietDbfs) {
+    items.push(deliveryItem(0, 'Your voice was quiet in the recording. Speak up or move closer to the microphone so examiners can hear you clearly.'));
+  }
+
+  if (metrics.clippingPct >= 0.1 && firstClipSec !== null) {
+    items.push(deliveryItem(firstClipSec, 'Your audio was distorting (clipping) from about here. Sit a little further from the microphone or lower the input volume.'));
+  }
+
+  const longSilences = metrics.silences
+    .filter(s => s.durationSec >= longSilenceSec)
+    .sort((a, b) => b.durationSec - a.durationSec)
+    .slice(0, 3)
+    .sort((a, b) => a.start - b.start);
+  for (const silence of longSilences) {
+    items.push(deliveryItem(silence.start, `You were silent for ${Math.round(silence.durationSec)} seconds here. A short pause to think is fine, but long silences can suggest you have lost your thread - try a holding phrase while you gather your thoughts.`));
+  }
+
+  if (metrics.monotone) {
+    items.push(deliveryItem(0, `Your pitch varied little across the answer (${metrics.pitchVariationSt} semitones), which can sound flat. Vary your tone to emphasise key points and show engagement.`));
+  } else {
+    for (const stretch of metrics.flatStretches.slice(0, 2)) {
+      items.push(deliveryItem(stretch.start, `Your delivery sounded flat between ${formatTimestamp(stretch.start)} and ${formatTimestamp(stretch.end)}. Vary your tone to keep the examiner engaged.`));
+    }
+  }
+
+  return items.sort((a, b) => a.atSec - b.atSec);
+}
+
+// `atSec` is the position in the full recording; `ts` may later be rebased
+// to a station's own timeline
+function deliveryItem(atSec, note) {
+  return {
+    kind: 'delivery',
+    atSec: round(atSec),
+    ts: formatTimestamp(atSec),
+    note
+  };
+}
+
+// Adapts to the recording's noise floor: 30% of the way from the quietest
+// frames to the speech level, or a fixed level when there is no contrast
+function silenceThreshold(levels) {
+  if (levels.length === 0) {
+    return -45;
+  }
+
+  const sorted = Float64Array.from(levels).sort();
+  const noiseFloor = sorted[Math.floor(sorted.length * 0.1)];
+  const speechLevel = sorted[Math.floor(sorted.length * 0.9)];
+
+  if (speechLevel - noiseFloor < 6) {
+    return -45;
+  }
+  return noiseFloor + (speechLevel - noiseFloor) * 0.3;
+}
+
+// Averages each run of `factor` samples, which also filters out most content
+// above the new Nyquist frequency
+function decimate(samples, factor) {
+  if (factor === 1) {
+    return samples;
+  }
+
+  const result = new Float32Array(Math.floor(samples.length / factor));
+  for (let i = 0; i < result.length; i++) {
+    let sum = 0;
+    for (let j = i * factor; j < (i + 1) * factor; j++) {
+      sum += samples[j];
+    }
+    result[i] = sum / factor;
+  }
+  return result;
+}
+
+// Autocorrelation pitch estimate for one frame, or null when unvoiced
+function estimatePitch(samples, offset, length, sampleRate) {
+  const minLag = Math.floor(sampleRate / MAX_PITCH_HZ);
+  const maxLag = Math.min(Math.ceil(sampleRate / MIN_PITCH_HZ), length - 1);
+
+  let energy = 0;
+  for (let i = offset; i < offset + length; i++) {
+    energy += samples[i] * samples[i];
+  }
+  if (energy === 0) {
+    return null;
+  }
+
+  let bestLag = 0;
+  let bestCorrelation = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = offset; i < offset + length - lag; i++) {
+      sum += samples[i] * samples[i + lag];
+    }
+    const correlation = sum / energy;
+    if (correlation > bestCorrelation) {
+      bestCorrelation = correlation;
+      bestLag = lag;
+    }
+  }
+
+  return bestCorrelation >= VOICING_THRESHOLD && bestLag > 0 ? sampleRate / bestLag : null;
+}
+
+function semitoneSpread(pitches, referenceHz) {
+  const semitones = pitches.map(p => 12 * Math.log2(p.hz / referenceHz));
+  const mean = semitones.reduce((sum, s) => sum + s, 0) / semitones.length;
+  return Math.sqrt(semitones.reduce((sum, s) => sum + (s - mean) ** 2, 0) / semitones.length);
+}
+
+// Consecutive windows whose pitch spread is below `limit`, merged
+function findFlatStretches(pitches, referenceHz, limit) {
+  if (referenceHz === null) {
+    return [];
+  }
+
+  const windows = new Map();
+  for (const pitch of pitches) {
+    const index = Math.floor(pitch.atSec / PITCH_WINDOW_SEC);
+    if (!windows.has(index)) windows.set(index, []);
+    windows.get(index).push(pitch);
+  }
+
+  const stretches = [];
+  for (const [index, windowPitches] of [...windows.entries()].sort((a, b) => a[0] - b[0])) {
+    // A window needs a reasonable amount of voiced speech to judge
+    if (windowPitches.length < PITCH_WINDOW_SEC / FRAME_SEC / PITCH_HOP / 4) continue;
+    if (semitoneSpread(windowPitches, referenceHz) >= limit) continue;
+
+    const start = index * PITCH_WINDOW_SEC;
+    const last = stretches[stretches.length - 1];
+    if (last && last.end === start) {
+      last.end = start + PITCH_WINDOW_SEC;
+    } else {
+      stretches.push({ start, end: start + PITCH_WINDOW_SEC });
+    }
+  }
+  return stretches;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+function toDbfs(amplitude) {
+  return amplitude > 0 ? 20 * Math.log10(amplitude / FULL_SCALE) : -100;
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,119 @@
+// --------------------------------------------------
+// Job error classification and retry backoff
+// --------------------------------------------------
+
+// A failure that will never succeed on retry (bad input, missing recording).
+// `userMessage` is what the candidate sees on the failed job.
+export class PermanentJobError extends Error {
+  constructor(message, { userMessage, cause } = {}) {
+    super(message, { cause });
+    this.name = 'PermanentJobError';
+    this.userMessage = userMessage || message;
+  }
+}
+
+// The user or their organisation has used up a quota. Not retried; the job is
+// parked as "over_quota" and re-queued when the quota resets (quota.resetsAt).
+export class QuotaExceededError extends PermanentJobError {
+  constructor(quota) {
+    super(`Quota exceeded: ${quota.scope} ${quota.period} ${quota.limit} (${quota.used}/${quota.max})`, {
+      userMessage: quota.message
+    });
+    this.name = 'QuotaExceededError';
+    this.quota = quota;
+  }
+}
+
+// A failure worth retrying later (rate limits, upstream 5xx, network, timeouts).
+// `retryAfterMs` carries an upstream Retry-After hint when there is one.
+export class TransientJobError extends Error {
+  constructor(message, { retryAfterMs = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'TransientJobError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// The upstream refused our credentials or endpoint (expired API key, wrong
+// base URL or model). Nothing is wrong with the recording: the job waits for
+// an operator to fix the configuration and does not use up its retries.
+export class ProviderConfigError extends TransientJobError {
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = 'ProviderConfigError';
+  }
+}
+
+// This worker no longer holds the job: its lease lapsed, or the job was
+// released on shutdown. Nothing more is written for the job; whichever worker
+// claims it next finishes it.
+export class LeaseLostError extends Error {
+  constructor(jobId) {
+    super(`Lease lost for job ${jobId}`);
+    this.name = 'LeaseLostError';
+  }
+}
+
+const TRANSIENT_STATUSES = new Set([408, 409, 425, 429]);
+const CONFIG_STATUSES = new Set([401, 403, 404]);
+const REJECTED_STATUSES = new Set([400, 413, 415, 422]);
+
+// Builds the right error type for a failed HTTP response from an upstream API
+export function errorFromResponse(service, res, body) {
+  const message = `${service} failed (${res.status}): ${body}`;
+
+  if (TRANSIENT_STATUSES.has(res.status) || res.status >= 500) {
+    return new TransientJobError(message, {
+      retryAfterMs: parseRetryAfter(res.headers)
+    });
+  }
+
+  if (CONFIG_STATUSES.has(res.status)) {
+    return new ProviderConfigError(message);
+  }
+
+  return new PermanentJobError(message, {
+    userMessage: REJECTED_STATUSES.has(res.status)
+      ? `${service} rejected the recording. Please try recording again.`
+      : `${service} could not process the recording. Please try again or contact support.`
+  });
+}
+
+// Anything not explicitly marked permanent (network errors, Supabase timeouts,
+// unexpected exceptions) is assumed to be transient
+export function isPermanentError(err) {
+  return err instanceof PermanentJobError;
+}
+
+// Retry-After may be seconds or an HTTP date; OpenAI also sends retry-after-ms
+export function parseRetryAfter(headers) {
+  if (!headers || typeof headers.get !== 'function') {
+    return null;
+  }
+
+  const retryAfterMs = Number(headers.get('retry-after-ms'));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs > 0) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = headers.get('retry-after');
+  if (!retryAfter) {
+    return null;
+  }
+
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with jitter (between half and the full delay), never
+// sooner than the upstream asked
+export function computeBackoffMs(retryCount, { baseDelayMs, maxDelayMs, retryAfterMs = null }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, retryCount - 1));
+  const jittered = Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  return Math.max(jittered, retryAfterMs || 0);
+}
@@ -0,0 +1,86 @@
+import { formatTimestamp } from "./prompts.js";
+
+// --------------------------------------------------
+// Feedback grounding against transcript segments
+// --------------------------------------------------
+
+// The prompt asks for quotes of 3-15 words; shorter ones would match almost
+// any segment
+const MIN_QUOTE_WORDS = 3;
+const MAX_QUOTE_WORDS = 15;
+
+// Checks each model feedback item's quote against the Whisper segment it
+// cites. Grounded items get their ts snapped to that segment's start; items
+// without a 3-15 word quote, or whose quote cannot be found as whole words,
+// are dropped or, in "flag" mode, kept with grounded: false. A missing or out-of-range segment number
+// is not an error on its own: the quote is looked up across all segments.
+// None of this fails the analysis.
+export function groundFeedback(feedback, segments, { mode = 'drop' } = {}) {
+  const normalisedSegments = segments.map(seg => normalise(seg.text));
+  const grounded = [];
+  let rejected = 0;
+
+  for (const item of feedback) {
+    const segmentIndex = locateQuote(item, normalisedSegments);
+
+    if (segmentIndex === null) {
+      rejected += 1;
+      console.warn(`Ungrounded feedback (segment ${item.segment}): "${item.quote || ''}"`);
+      if (mode === 'flag') {
+        grounded.push({ ...item, grounded: false });
+      }
+      continue;
+    }
+
+    grounded.push({
+      ...item,
+      segment: segmentIndex,
+      ts: formatTimestamp(segments[segmentIndex].start),
+      grounded: true
+    });
+  }
+
+  if (rejected > 0) {
+    console.log(`Feedback grounding: ${grounded.length - (mode === 'flag' ? rejected : 0)} grounded, ${rejected} ${mode === 'flag' ? 'flagged' : 'dropped'}`);
+  }
+
+  return grounded;
+}
+
+// The cited segment wins; a quote found in exactly one other segment is
+// treated as an off-by-one citation and re-pointed
+function locateQuote(item, normalisedSegments) {
+  const quote = typeof item.quote === 'string' ? normalise(item.quote) : '';
+  const wordCount = quote ? quote.split(' ').length : 0;
+  if (wordCount < MIN_QUOTE_WORDS || wordCount > MAX_QUOTE_WORDS) {
+    return null;
+  }
+
+  // Padding with spaces matches whole words only
+  const padded = ` ${quote} `;
+  const contains = text => ` ${text} `.includes(padded);
+
+  const cited = Number.isInteger(item.segment) ? normalisedSegments[item.segment] : undefined;
+  if (cited !== undefined && contains(cited)) {
+    return item.segment;
+  }
+
+  const matches = [];
+  normalisedSegments.forEach((text, idx) => {
+    if (contains(text)) {
+      matches.push(idx);
+    }
+  });
+
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// Case, punctuation and spacing differences are not treated as misquotes
+function normalise(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .replace(/[^a-z0-9'\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
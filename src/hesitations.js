@@ -0,0 +1,201 @@
+import { DEFAULT_FILLER_LEXICON, tokenize } from "./metrics.js";
+import { formatTimestamp } from "./prompts.js";
+
+// --------------------------------------------------
+// Hesitation timeline from word-level timestamps
+// --------------------------------------------------
+// Fillers, repeated words, false starts and hedging phrases, each with its
+// position in the recording, plus per-bin counts for a heatmap.
+
+// Checked longest first, so "i think maybe" wins over "maybe"
+const HEDGE_PHRASES = [
+  'i think maybe', "i'm not sure", 'im not sure', "i don't know", 'i dont know',
+  'i guess', 'i suppose', 'i would say', 'might be', 'maybe', 'perhaps', 'probably', 'possibly'
+];
+
+// Legitimate doubled words ("I had had enough", "that that")
+const ALLOWED_REPEATS = new Set(['had', 'that']);
+
+// Short words that are often the start of the next word by coincidence
+// ("the therapy", "car career"), never treated as unmarked false starts
+const COMMON_PREFIX_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'not', 'can', 'all', 'our', 'out', 'his', 'her',
+  'you', 'was', 'but', 'how', 'any', 'one', 'has', 'who', 'now', 'new', 'man', 'car', 'age'
+]);
+
+const HEATMAP_BIN_SEC = 5;
+
+// Feedback points at the densest stretches: at least this many events
+// within one window
+const CLUSTER_WINDOW_SEC = 10;
+const CLUSTER_MIN_EVENTS = 4;
+const MAX_CLUSTER_ITEMS = 3;
+
+export function buildHesitationTimeline(words, { lexicon } = {}) {
+  const tokens = toTokens(words);
+  const fillerPhrases = phrasesByLength(lexicon || DEFAULT_FILLER_LEXICON);
+  const hedgePhrases = phrasesByLength(HEDGE_PHRASES);
+  const events = [];
+
+  let i = 0;
+  while (i < tokens.length) {
+    const filler = matchPhrase(tokens, i, fillerPhrases);
+    if (filler) {
+      events.push(event('filler', tokens, i, filler));
+      i += filler;
+      continue;
+    }
+
+    const hedge = matchPhrase(tokens, i, hedgePhrases);
+    if (hedge) {
+      events.push(event('hedge', tokens, i, hedge));
+      i += hedge;
+      continue;
+    }
+
+    const token = tokens[i];
+    const next = tokens[i + 1];
+
+    // Whisper marks cut-off words with a trailing dash ("pro- professional");
+    // a word that is the start of the next one is the same thing unmarked
+    if (token.cut || (next && token.text.length >= 3 && next.text.length > token.text.length &&
+        !COMMON_PREFIX_WORDS.has(token.text) && next.text.startsWith(token.text) &&
+        next.start - token.end < 1)) {
+      events.push(event('false_start', tokens, i, 1));
+      i += 1;
+      continue;
+    }
+
+    // Repeated word or short phrase: "the the", "I would I would"
+    const repeat = matchRepeat(tokens, i);
+    if (repeat) {
+      events.push(event('repetition', tokens, i, repeat));
+      i += repeat;
+      continue;
+    }
+
+    i += 1;
+  }
+
+  const counts = { filler: 0, repetition: 0, false_start: 0, hedge: 0 };
+  for (const e of events) {
+    counts[e.type]++;
+  }
+
+  const lastEnd = tokens.length > 0 ? tokens[tokens.length - 1].end : 0;
+  const bins = new Array(Math.max(1, Math.ceil(lastEnd / HEATMAP_BIN_SEC))).fill(0);
+  for (const e of events) {
+    bins[Math.min(bins.length - 1, Math.floor(e.start / HEATMAP_BIN_SEC))]++;
+  }
+
+  return {
+    events,
+    counts,
+    binSec: HEATMAP_BIN_SEC,
+    bins
+  };
+}
+
+// Feedback items for the stretches with the most hesitations
+export function hesitationFeedback(timeline) {
+  const { events } = timeline;
+  const clusters = [];
+
+  let start = 0;
+  for (let end = 0; end < events.length; end++) {
+    while (events[end].start - events[start].start > CLUSTER_WINDOW_SEC) {
+      start++;
+    }
+    if (end - start + 1 >= CLUSTER_MIN_EVENTS) {
+      clusters.push(events.slice(start, end + 1));
+    }
+  }
+
+  // Keep the largest non-overlapping clusters
+  const chosen = [];
+  for (const cluster of clusters.sort((a, b) => b.length - a.length)) {
+    const from = cluster[0].start;
+    const to = cluster[cluster.length - 1].end;
+    if (chosen.some(c => from <= c.to && to >= c.from)) continue;
+    chosen.push({ from, to, cluster });
+    if (chosen.length === MAX_CLUSTER_ITEMS) break;
+  }
+
+  return chosen
+    .sort((a, b) => a.from - b.from)
+    .map(({ from, cluster }) => {
+      const examples = [...new Set(cluster.map(e => `"${e.text}"`))].slice(0, 4).join(', ');
+      return {
+        kind: 'hesitation',
+        atSec: from,
+        ts: formatTimestamp(from),
+        note: `${cluster.length} hesitations in a few seconds here (${examples}). Slow down and pause briefly instead of filling the gap.`
+      };
+    });
+}
+
+// Whisper words -> normalised tokens carrying their word's timing
+function toTokens(words) {
+  const tokens = [];
+  for (const word of Array.isArray(words) ? words : []) {
+    const raw = String(word.word ?? word.text ?? '').trim();
+    const parts = tokenize(raw);
+    const cut = /[-–—]$/.test(raw);
+
+    parts.forEach((text, idx) => {
+      tokens.push({
+        text,
+        start: Number(word.start) || 0,
+        end: Number(word.end) || 0,
+        cut: cut && idx === parts.length - 1
+      });
+    });
+  }
+  return tokens;
+}
+
+function phrasesByLength(phrases) {
+  return phrases
+    .map(phrase => tokenize(phrase))
+    .filter(parts => parts.length > 0)
+    .sort((a, b) => b.length - a.length);
+}
+
+// Length in tokens of the first phrase matching at `index`, or 0
+function matchPhrase(tokens, index, phrases) {
+  for (const phrase of phrases) {
+    if (phrase.every((part, k) => tokens[index + k]?.text === part)) {
+      return phrase.length;
+    }
+  }
+  return 0;
+}
+
+// Length of a phrase (1-3 tokens) immediately repeated at `index`, or 0.
+// Only the first occurrence is reported.
+function matchRepeat(tokens, index) {
+  for (let length = 3; length >= 1; length--) {
+    const first = tokens.slice(index, index + length);
+    const second = tokens.slice(index + length, index + 2 * length);
+    if (second.length < length) continue;
+    if (length === 1 && ALLOWED_REPEATS.has(first[0].text)) continue;
+    if (first.every((t, k) => t.text === second[k].text)) {
+      return length;
+    }
+  }
+  return 0;
+}
+
+function event(type, tokens, index, length) {
+  const span = tokens.slice(index, index + length);
+  return {
+    type,
+    text: span.map(t => t.text).join(' '),
+    start: round(span[0].start),
+    end: round(span[span.length - 1].end)
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,118 @@
+// --------------------------------------------------
+// Speech metrics computed from the Whisper transcript
+// --------------------------------------------------
+
+// Single words and multi-word phrases counted as fillers. "like" is left out
+// by default because it is too often used legitimately.
+export const DEFAULT_FILLER_LEXICON = [
+  'um', 'umm', 'uh', 'uhh', 'er', 'erm', 'ah', 'hmm', 'mm',
+  'you know', 'i mean', 'sort of', 'kind of', 'basically',
+  'literally', 'actually', 'so yeah', 'and stuff', 'or whatever'
+];
+
+// Gaps shorter than this are natural phrasing, not pauses
+const MIN_PAUSE_SEC = 0.5;
+
+const PAUSE_BUCKETS = [
+  { label: '0.5-1s', min: 0.5, max: 1 },
+  { label: '1-2s', min: 1, max: 2 },
+  { label: '2-5s', min: 2, max: 5 },
+  { label: '5s+', min: 5, max: Infinity }
+];
+
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .replace(/[^a-z0-9'\s-]/g, ' ')
+    .split(/[\s-]+/)
+    .map(w => w.replace(/^'+|'+$/g, ''))
+    .filter(w => w.length > 0);
+}
+
+export function computeSpeechMetrics(transcript, segments, { lexicon } = {}) {
+  const words = tokenize(transcript);
+  const wordCount = words.length;
+
+  const totalDuration = segments.length > 0
+    ? segments[segments.length - 1].end
+    : 0;
+
+  const fillers = countFillers(words, lexicon || DEFAULT_FILLER_LEXICON);
+  const fillerCount = Object.values(fillers).reduce((sum, n) => sum + n, 0);
+
+  const pauses = findPauses(segments);
+  const longestPauseSec = pauses.reduce((max, p) => Math.max(max, p), 0);
+
+  const pauseDistribution = {};
+  for (const bucket of PAUSE_BUCKETS) {
+    pauseDistribution[bucket.label] = pauses.filter(p => p >= bucket.min && p < bucket.max).length;
+  }
+
+  const speakingTime = segments.reduce(
+    (sum, seg) => sum + Math.max(0, (seg.end || 0) - (seg.start || 0)),
+    0
+  );
+
+  return {
+    wpm: totalDuration > 0 ? Math.round(wordCount / (totalDuration / 60)) : 0,
+    wordCount,
+    fillerCount,
+    fillerRate: wordCount > 0 ? round(fillerCount / wordCount, 3) : 0,
+    fillers,
+    longestPauseSec: round(longestPauseSec, 1),
+    pauseCount: pauses.length,
+    pauseDistribution,
+    speakingTimeRatio: totalDuration > 0 ? round(Math.min(1, speakingTime / totalDuration), 2) : 0,
+    durationSec: round(totalDuration, 1)
+  };
+}
+
+// Counts each lexicon entry, matching longer phrases first so that
+// "you know" is not also counted as part of another entry
+function countFillers(words, lexicon) {
+  const phrases = lexicon
+    .map(entry => tokenize(entry))
+    .filter(tokens => tokens.length > 0)
+    .sort((a, b) => b.length - a.length);
+
+  const counts = {};
+  let i = 0;
+
+  while (i < words.length) {
+    const match = phrases.find(tokens =>
+      tokens.every((token, offset) => words[i + offset] === token)
+    );
+
+    if (match) {
+      const key = match.join(' ');
+      counts[key] = (counts[key] || 0) + 1;
+      i += match.length;
+    } else {
+      i += 1;
+    }
+  }
+
+  return counts;
+}
+
+// Silence before the first segment and between consecutive segments
+function findPauses(segments) {
+  const pauses = [];
+  let previousEnd = 0;
+
+  for (const seg of segments) {
+    const gap = (seg.start || 0) - previousEnd;
+    if (gap >= MIN_PAUSE_SEC) {
+      pauses.push(gap);
+    }
+    previousEnd = Math.max(previousEnd, seg.end || 0);
+  }
+
+  return pauses;
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,625 @@
+import {
+  deliveryConfig,
+  feedbackConfig,
+  metricsConfig,
+  qualityConfig,
+  recommendationConfig,
+  redactionConfig,
+  trendConfig,
+  usageConfig
+} from "./config.js";
+import { computeSpeechMetrics } from "./metrics.js";
+import { PROMPT_VERSION, buildAnalysisPrompts, formatTimestamp } from "./prompts.js";
+import { requestAnalysis } from "./analysis.js";
+import { groundFeedback } from "./grounding.js";
+import { applyDurationCap, computeOverall, loadRubric, zeroScores } from "./rubrics.js";
+import { createRecommender } from "./recommendations.js";
+import { buildCircuitReport, getStationRanges, sliceSegments } from "./circuit.js";
+import { computeTrends, loadPreviousAttempts } from "./trends.js";
+import { buildHesitationTimeline, hesitationFeedback } from "./hesitations.js";
+import { ACTOR, candidateSpeech, hasSpeakerLabels, labelSpeakers, turnsFromAttempt } from "./speakers.js";
+import { assessSpeechQuality, isUsableSegment, unclearAudioFeedback } from "./quality.js";
+import { redactTranscript } from "./redaction.js";
+import { QuotaExceededError } from "./errors.js";
+import { describeUsage, findExceededQuota, recordJobUsage, tokenUsage } from "./usage.js";
+
+// --------------------------------------------------
+// Analysis pipeline (everything after transcription)
+// --------------------------------------------------
+// Shared by queue jobs and re-scoring, which starts from the transcript and
+// segments cached on the attempt instead of re-downloading the recording.
+
+export function createPipeline({ supabase, analysisProvider, embeddingProvider = null }) {
+  const recommender = createRecommender({ supabase, embeddingProvider, ...recommendationConfig });
+
+  async function fetchStation(stationId) {
+    if (!stationId) {
+      return null;
+    }
+
+    const { data: station, error } = await supabase
+      .from('stations')
+      .select('title, prompt, themes, role_play, graph_data, difficulty, rubric_profile_id')
+      .eq('id', stationId)
+      .maybeSingle();
+
+    // The analysis can still run without station context
+    if (error) {
+      console.warn(`Failed to fetch station ${stationId}:`, error.message);
+    }
+
+    return station || null;
+  }
+
+  async function hasRolePlayStation(stationIds) {
+    for (const stationId of stationIds || []) {
+      const station = await fetchStation(stationId);
+      if (station?.role_play) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Scores an attempt from its full transcript and compares the result with
+  // the candidate's previous attempts. `delivery` is the waveform analysis of
+  // the recording, `words` the word timestamps and `language` the language
+  // Whisper detected, when available.
+  async function scoreAttempt({ attempt, transcript, segments, words = [], language = null, ranges = null, delivery = null, onStage }) {
+    const audio = delivery?.metrics || null;
+    const scored = await scoreStations({ attempt, transcript, segments, language, audio, ranges, onStage });
+    const { result } = scored;
+
+    if (delivery) {
+      result.metrics = { ...result.metrics, audio: delivery.metrics };
+      result.feedback.push(...placeTimedFeedback(delivery.feedback, ranges));
+    }
+
+    // Only the candidate's own hesitations count in a role-play
+    const candidateWords = (words || []).filter(word => word.speaker !== ACTOR);
+    if (candidateWords.length > 0 && !result.noSpeech) {
+      result.hesitationTimeline = buildHesitationTimeline(candidateWords, { lexicon: metricsConfig.fillerLexicon });
+      result.feedback.push(...placeTimedFeedback(hesitationFeedback(result.hesitationTimeline), ranges));
+    }
+
+    if (!result.noSpeech) {
+      const previous = await loadPreviousAttempts(supabase, attempt, { limit: trendConfig.window });
+      result.trends = computeTrends(result, previous, trendConfig);
+
+      if (result.trends?.summary) {
+        result.feedback.unshift({
+          kind: 'progress',
+          ts: '00:00',
+          note: `Since your last attempt: ${result.trends.summary}`
+        });
+      }
+    }
+
+    return scored;
+  }
+
+  // With station ranges (a circuit) every station is scored on its own slice
+  // of the timeline and the results are combined into a circuit report
+  async function scoreStations({ attempt, transcript, segments, language, audio, ranges, onStage }) {
+    // Loaded by the first station that reaches recommendations
+    const library = recommender.createLibrary();
+
+    if (!ranges) {
+      const station = await fetchStation(attempt.station_ids?.[0]);
+      const rubric = await loadRubric(supabase, { attempt, station });
+      console.log(`Rubric: ${rubric.name} v${rubric.version}`);
+
+      const result = await scoreTranscript({ attempt, transcript, segments, language, audio, station, rubric, library, onStage });
+      return { result, rubric };
+    }
+
+    console.log(`Circuit attempt: ${ranges.length} stations`);
+    const stationResults = [];
+    let firstRubric = null;
+
+    for (const [idx, range] of ranges.entries()) {
+      const station = await fetchStation(range.stationId);
+      const rubric = await loadRubric(supabase, { attempt, station });
+      firstRubric = firstRubric || rubric;
+
+      const stationSegments = sliceSegments(segments, range);
+      const stationTranscript = stationSegments.map(seg => (seg.text || '').trim()).join(' ').trim();
+      console.log(`Station ${idx + 1}/${ranges.length}: ${station?.title || range.stationId} (${stationSegments.length} segments, rubric ${rubric.name} v${rubric.version})`);
+
+      const result = await scoreTranscript({
+        attempt,
+        transcript: stationTranscript,
+        segments: stationSegments,
+        language,
+        audio,
+        station,
+        rubric,
+        library,
+        onStage
+      });
+
+      stationResults.push({
+        ...range,
+        title: station?.title || null,
+        rubricProfileId: rubric.id,
+        rubricVersion: rubric.version,
+        ...result
+      });
+    }
+
+    const report = buildCircuitReport(stationResults);
+
+    // Feedback timestamps stay relative to the station, so each item names it
+    const feedback = stationResults.flatMap(s => s.feedback.map(item => ({
+      ...item,
+      station_id: s.stationId,
+      station: s.title
+    })));
+
+    // Reading for the weakest stations first, without repeats
+    const recommendationReasons = [];
+    for (const s of [...stationResults].sort((a, b) => a.scores.Overall - b.scores.Overall)) {
+      for (const reason of s.recommendationReasons) {
+        if (!recommendationReasons.some(r => r.article_id === reason.article_id)) {
+          recommendationReasons.push({ ...reason, reason: `${s.title || 'Station'}: ${reason.reason}` });
+        }
+      }
+    }
+    recommendationReasons.splice(recommendationConfig.count);
+    const recommendedArticles = recommendationReasons.map(r => r.article_id);
+
+    const noSpeech = stationResults.every(s => s.noSpeech);
+    const rejection = noSpeech ? stationResults[0]?.rejection || null : null;
+    const own = candidateSpeech(transcript, segments.filter(isUsableSegment));
+    const metrics = {
+      ...computeSpeechMetrics(own.transcript, own.segments, { lexicon: metricsConfig.fillerLexicon }),
+      eyeContactPct: null,
+      headPoseNotes: 'Visual analysis not available from audio transcript',
+      // Marks the circuit as rejected, as for a single station
+      ...(noSpeech ? { quality: { reason: rejection } } : {})
+    };
+
+    return {
+      rubric: firstRubric,
+      result: {
+        noSpeech,
+        rejection,
+        scores: report.profile,
+        metrics,
+        feedback,
+        recommendedArticles,
+        recommendationReasons,
+        circuitReport: report,
+        model: stationResults.find(s => s.model)?.model || null,
+        promptVersion: PROMPT_VERSION,
+        usage: stationResults.flatMap(s => s.usage)
+      }
+    };
+  }
+
+  // Quality gate, analysis and recommendation stages. `onStage` is told when
+  // the analysing and recommending stages start. `library` lets several calls
+  // share one load of the article library.
+  async function scoreTranscript({ attempt, transcript, segments, language, audio, station, rubric, library, onStage = async () => {} }) {
+    const result = await analyseTranscript({ transcript, segments, language, audio, station, rubric, onStage });
+    if (result.noSpeech) {
+      return { ...result, recommendedArticles: [], recommendationReasons: [] };
+    }
+
+    // --------------------------------------------------
+    // Article recommendations
+    // --------------------------------------------------
+    await onStage('recommending');
+    console.log('Generating article recommendations...');
+
+    const { articleIds, reasons, usage } = await recommender.recommend({
+      attempt,
+      scores: result.scores,
+      feedback: result.feedback,
+      station,
+      rubric,
+      library
+    });
+
+    return {
+      ...result,
+      recommendedArticles: articleIds,
+      recommendationReasons: reasons,
+      usage: [...result.usage, ...usage]
+    };
+  }
+
+  // Quality gate and scoring only; also used by the calibration harness.
+  // Segments labelled with speakers (role-play) are gated and measured on
+  // the candidate's speech alone, but the model sees the whole dialogue.
+  // Segments Whisper marked as silence or noise are left out throughout.
+  async function analyseTranscript({ transcript: fullTranscript, segments: allSegments, language = null, audio = null, station, rubric, onStage = async () => {} }) {
+    const own = candidateSpeech(fullTranscript, allSegments);
+    const dialogue = allSegments.filter(isUsableSegment);
+    const isDialogue = hasSpeakerLabels(dialogue);
+    if (isDialogue) {
+      console.log(`Speaker separation: ${own.segments.length} candidate / ${allSegments.length - own.segments.length} actor segments`);
+    }
+
+    // --------------------------------------------------
+    // Speech quality gate
+    // --------------------------------------------------
+    const quality = assessSpeechQuality({ ...own, language, audio }, {
+      ...qualityConfig,
+      quietDbfs: deliveryConfig.quietDbfs
+    });
+    const { transcript, segments } = quality;
+    const { wordCount, transcriptLength, totalDuration, avgWordsPerSecond } = quality.stats;
+
+    console.log(`Transcript analysis: ${wordCount} words, ${transcriptLength} chars, ${totalDuration.toFixed(1)}s duration, ${avgWordsPerSecond.toFixed(2)} words/sec, language ${quality.stats.language || 'unknown'}, ${quality.stats.unclearSec + quality.stats.noiseSec}s unclear or noisy`);
+
+    if (!quality.ok) {
+      console.warn(`Recording not assessed: ${quality.reason}`);
+
+      return {
+        noSpeech: true,
+        rejection: quality.reason,
+        scores: zeroScores(rubric),
+        metrics: {
+          wpm: 0,
+          fillerRate: 0,
+          longestPauseSec: 0,
+          eyeContactPct: null,
+          headPoseNotes: 'No speech detected in recording',
+          quality: { reason: quality.reason, ...quality.stats }
+        },
+        feedback: [{
+          kind: 'quality',
+          ts: '00:00',
+          note: quality.message
+        }],
+        model: null,
+        promptVersion: PROMPT_VERSION,
+        usage: []
+      };
+    }
+
+    // --------------------------------------------------
+    // Speech metrics (computed locally, not by the model)
+    // --------------------------------------------------
+    const speechMetrics = computeSpeechMetrics(transcript, segments, {
+      lexicon: metricsConfig.fillerLexicon
+    });
+
+    console.log(`Speech metrics: ${speechMetrics.wpm} wpm, filler rate ${speechMetrics.fillerRate}, longest pause ${speechMetrics.longestPauseSec}s, speaking ratio ${speechMetrics.speakingTimeRatio}`);
+
+    // --------------------------------------------------
+    // GPT Analysis
+    // --------------------------------------------------
+    await onStage('analysing');
+    const gptStartTime = Date.now();
+    console.log(`Analyzing with ${analysisProvider.name} (${analysisProvider.model})...`);
+
+    const { systemPrompt, userPrompt, stationType } = buildAnalysisPrompts({
+      segments: dialogue,
+      wordCount,
+      totalDuration,
+      transcriptLength,
+      station,
+      rubric
+    });
+    console.log(`Station: ${station?.title || 'unknown'} (type: ${stationType})`);
+
+    // Feedback timestamps refer to the dialogue the model was shown, which
+    // keeps the actor's turns; the candidate-only duration would be too short
+    const { analysis, model, usage } = await requestAnalysis(analysisProvider, {
+      systemPrompt,
+      userPrompt,
+      rubric,
+      durationSec: isDialogue ? dialogue[dialogue.length - 1].end : totalDuration
+    });
+    const gptDuration = ((Date.now() - gptStartTime) / 1000).toFixed(2);
+    console.log(`GPT analysis completed in ${gptDuration}s`);
+
+    // Delivery metrics come from the transcript timings, never from the model
+    analysis.metrics = {
+      ...speechMetrics,
+      eyeContactPct: null,
+      headPoseNotes: 'Visual analysis not available from audio transcript',
+      quality: { reason: null, ...quality.stats }
+    };
+
+    // Keep only feedback whose quote really appears in the cited segment.
+    // Actor lines are blanked so feedback can only quote the candidate.
+    const quotable = isDialogue
+      ? dialogue.map(seg => (seg.speaker === ACTOR ? { ...seg, text: '' } : seg))
+      : dialogue;
+    analysis.feedback = groundFeedback(analysis.feedback, quotable, {
+      mode: feedbackConfig.groundingMode
+    });
+
+    // Surface how well the answer addressed the station question first
+    if (analysis.questionAlignment) {
+      analysis.feedback.unshift({
+        kind: 'question_alignment',
+        ts: '00:00',
+        note: `How well you addressed the question: ${analysis.questionAlignment.note}`
+      });
+    }
+
+    const unclearItem = unclearAudioFeedback(quality.stats);
+    if (unclearItem) {
+      analysis.feedback.push(unclearItem);
+    }
+
+    // CRITICAL: Cap scores for answers too short to show depth
+    applyDurationCap(analysis, totalDuration, rubric);
+    analysis.scores.Overall = computeOverall(analysis.scores, rubric);
+
+    return {
+      noSpeech: false,
+      scores: analysis.scores,
+      metrics: analysis.metrics,
+      feedback: analysis.feedback,
+      model,
+      promptVersion: PROMPT_VERSION,
+      // Token usage of the analysis call (and its repair, if any)
+      usage: usage.map(u => tokenUsage('analysis', model, u))
+    };
+  }
+
+  // Every result is kept in attempt_analyses; `apply` also makes it the
+  // attempt's current result
+  async function saveResults(attempt, result, { rubric, source, apply = true, label = null }) {
+    const { data: history, error: historyError } = await supabase
+      .from('attempt_analyses')
+      .insert({
+        attempt_id: attempt.id,
+        source,
+        label,
+        applied: apply,
+        prompt_version: result.promptVersion,
+        rubric_profile_id: rubric.id,
+        rubric_version: rubric.version,
+        model: result.model,
+        scores: result.scores,
+        metrics: result.metrics,
+        feedback: result.feedback,
+        recommended_articles: result.recommendedArticles,
+        recommendation_reasons: result.recommendationReasons || null,
+        circuit_report: result.circuitReport || null,
+        trends: result.trends || null,
+        hesitation_timeline: result.hesitationTimeline || null
+      })
+      .select('id')
+      .single();
+
+    if (historyError) {
+      throw new Error(`Failed to record analysis history: ${historyError.message}`);
+    }
+
+    if (!apply) {
+      return history.id;
+    }
+
+    const { error } = await supabase.from("attempts").update({
+      scores: result.scores,
+      metrics: result.metrics,
+      feedback: result.feedback,
+      recommended_articles: result.recommendedArticles,
+      recommendation_reasons: result.recommendationReasons || null,
+      circuit_report: result.circuitReport || null,
+      trends: result.trends || null,
+      hesitation_timeline: result.hesitationTimeline || null,
+      // Not rubric_profile_id: that is an explicit override read by loadRubric
+      applied_rubric_profile_id: rubric.id,
+      rubric_version: rubric.version,
+      updated_at: new Date().toISOString()
+    }).eq("id", attempt.id);
+
+    if (error) {
+      throw new Error(`Failed to update attempt: ${error.message}`);
+    }
+
+    return history.id;
+  }
+
+  // Attempts scored before history existed have no applied entry; their
+  // current result is saved as "legacy" so applying a re-score does not lose it
+  async function preserveLegacyResult(attempt) {
+    if (!attempt.scores) {
+      return;
+    }
+
+    const { count, error } = await supabase
+      .from('attempt_analyses')
+      .select('id', { count: 'exact', head: true })
+      .eq('attempt_id', attempt.id)
+      .eq('applied', true);
+
+    if (error) {
+      throw new Error(`Failed to check analysis history: ${error.message}`);
+    }
+    if (count > 0) {
+      return;
+    }
+
+    const { error: insertError } = await supabase.from('attempt_analyses').insert({
+      attempt_id: attempt.id,
+      source: 'legacy',
+      applied: true,
+      rubric_profile_id: attempt.applied_rubric_profile_id || null,
+      rubric_version: attempt.rubric_version || null,
+      scores: attempt.scores,
+      metrics: attempt.metrics,
+      feedback: attempt.feedback,
+      recommended_articles: attempt.recommended_articles,
+      recommendation_reasons: attempt.recommendation_reasons || null,
+      circuit_report: attempt.circuit_report || null,
+      created_at: attempt.updated_at || undefined
+    });
+
+    if (insertError) {
+      throw new Error(`Failed to preserve existing result: ${insertError.message}`);
+    }
+  }
+
+  // Re-runs analysis and recommendations from the cached transcript. By
+  // default the result is only added to history for comparison. Usage is
+  // recorded like a job's; with `enforceQuota` (re-scores requested through
+  // the API) the attempt's organisation quota is checked first.
+  async function rescoreAttempt(attemptId, { apply = false, label = null, enforceQuota = false } = {}) {
+    const { data: attempt, error } = await supabase
+      .from('attempts')
+      .select('*')
+      .eq('id', attemptId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch attempt ${attemptId}: ${error.message}`);
+    }
+    if (!attempt) {
+      throw new Error(`Attempt not found: ${attemptId}`);
+    }
+    if (!Array.isArray(attempt.transcript_segments) || typeof attempt.transcript !== 'string') {
+      throw new Error(`Attempt ${attemptId} has no cached transcript segments - reprocess the recording instead`);
+    }
+
+    if (enforceQuota && usageConfig.quotasEnabled && attempt.organisation_id) {
+      const exceeded = await findExceededQuota(supabase, { organisationId: attempt.organisation_id });
+      if (exceeded) {
+        throw new QuotaExceededError(exceeded);
+      }
+    }
+
+    // Speaker turns tagged after the recording was processed are applied here;
+    // otherwise the labels cached with the segments are kept
+    const turns = turnsFromAttempt(attempt);
+    let transcript = attempt.transcript;
+    let segments = turns ? labelSpeakers(attempt.transcript_segments, turns) : attempt.transcript_segments;
+    let words = attempt.transcript_words || [];
+    if (turns) {
+      words = labelSpeakers(words, turns);
+    }
+
+    // Transcripts cached before redaction was introduced are redacted before
+    // they are sent for analysis (the stored copy is left as it is)
+    if (redactionConfig.enabled && !attempt.transcript_redactions) {
+      ({ transcript, segments, words } = redactTranscript({ transcript, segments, words }));
+    }
+
+    const { result, rubric } = await scoreAttempt({
+      attempt,
+      transcript,
+      segments,
+      words,
+      language: attempt.transcript_language || null,
+      ranges: getStationRanges(attempt),
+      delivery: storedDelivery(attempt)
+    });
+    await recordUsage('rescore', attempt, result.usage);
+
+    if (apply) {
+      await preserveLegacyResult(attempt);
+    }
+
+    const analysisId = await saveResults(attempt, result, {
+      rubric,
+      source: 'rescore',
+      apply,
+      label
+    });
+
+    return {
+      attemptId,
+      analysisId,
+      previousOverall: attempt.scores?.Overall ?? null,
+      overall: result.scores.Overall,
+      applied: apply
+    };
+  }
+
+  // Usage accounting must never fail the re-score or calibration itself
+  async function recordUsage(kind, attempt, items) {
+    try {
+      const summary = await recordJobUsage(supabase, { kind, attempt, items, prices: usageConfig.prices });
+      console.log(`💰 ${kind} usage${attempt ? ` for attempt ${attempt.id}` : ''}: ${describeUsage(summary)}`);
+    } catch (err) {
+      console.error(`Failed to record ${kind} usage:`, err.message);
+    }
+  }
+
+  // Runs sequentially to keep provider usage predictable; failures are
+  // reported per attempt instead of stopping the batch
+  async function rescoreAttempts(attemptIds, options = {}) {
+    const results = [];
+
+    for (const attemptId of attemptIds) {
+      try {
+        results.push(await rescoreAttempt(attemptId, options));
+      } catch (err) {
+        console.error(`Re-score failed for attempt ${attemptId}:`, err.message);
+        results.push({ attemptId, error: err.message });
+      }
+    }
+
+    return results;
+  }
+
+  async function findStationAttempts(stationId) {
+    const { data, error } = await supabase
+      .from('attempts')
+      .select('id')
+      .contains('station_ids', [stationId])
+      .not('transcript_segments', 'is', null)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to list attempts for station ${stationId}: ${error.message}`);
+    }
+
+    return (data || []).map(row => row.id);
+  }
+
+  return {
+    fetchStation,
+    hasRolePlayStation,
+    analyseTranscript,
+    scoreTranscript,
+    scoreAttempt,
+    saveResults,
+    rescoreAttempt,
+    rescoreAttempts,
+    findStationAttempts,
+    recordUsage
+  };
+}
+
+// Delivery and hesitation items carry their position in the full recording
+// (atSec); in a circuit they are attached to the station they fall in and
+// re-timed to it
+function placeTimedFeedback(items, ranges) {
+  if (!ranges) {
+    return items;
+  }
+
+  return items.map(item => {
+    const range = ranges.find(r => item.atSec >= r.startSec && (r.endSec === null || item.atSec < r.endSec));
+    if (!range) {
+      return item;
+    }
+    return {
+      ...item,
+      ts: formatTimestamp(item.atSec - range.startSec),
+      station_id: range.stationId
+    };
+  });
+}
+
+// Audio is not kept, so re-scoring reuses the delivery analysis from the job
+function storedDelivery(attempt) {
+  if (!attempt.metrics?.audio) {
+    return null;
+  }
+  return {
+    metrics: attempt.metrics.audio,
+    feedback: (attempt.feedback || [])
+      .filter(item => item.kind === 'delivery')
+      .map(({ station_id, ...item }) => item)
+  };
+}
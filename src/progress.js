@@ -0,0 +1,130 @@
+import { EventEmitter } from "events";
+import { LeaseLostError } from "./errors.js";
+
+// --------------------------------------------------
+// Job progress tracking
+// --------------------------------------------------
+
+export const STAGES = ['downloading', 'transcribing', 'analysing', 'recommending', 'done'];
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'over_quota'];
+
+// Written alongside status 'pending' when a job is requeued, so the next try
+// starts without the previous one's stages
+export function clearedProgress() {
+  return { stage: null, stage_started_at: null, stage_timings: {} };
+}
+
+const JOB_COLUMNS = 'id, attempt_id, status, stage, stage_started_at, stage_timings, retry_count, max_retries, next_attempt_at, error_message, created_at, started_at, completed_at';
+
+// Stage transitions are written to analysis_queue so any replica can serve
+// status requests; the local emitter only makes same-process updates instant.
+export function createProgressTracker(supabase) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  async function getJob(jobId) {
+    const { data, error } = await supabase
+      .from('analysis_queue')
+      .select(JOB_COLUMNS)
+      .eq('id', jobId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch job: ${error.message}`);
+    }
+
+    return data ? toSnapshot(data) : null;
+  }
+
+  // Re-reads the job and pushes the snapshot to local subscribers
+  async function notify(jobId) {
+    if (emitter.listenerCount(jobId) === 0) {
+      return;
+    }
+    try {
+      const snapshot = await getJob(jobId);
+      if (snapshot) {
+        emitter.emit(jobId, snapshot);
+      }
+    } catch (err) {
+      console.error(`Failed to publish progress for job ${jobId}:`, err.message);
+    }
+  }
+
+  // Entering a stage throws once `signal` is aborted or the job has passed to
+  // another worker. `update(changes)` writes to the job only while this
+  // worker holds it and resolves to false otherwise.
+  function trackJob(jobId, { signal, update }) {
+    const timings = {};
+    let current = null;
+    let currentStartedAt = null;
+
+    async function enter(stage) {
+      signal?.throwIfAborted();
+      const now = Date.now();
+      // Circuits pass through the same stage once per station; time adds up
+      if (current) {
+        timings[current] = Number(((timings[current] || 0) + (now - currentStartedAt) / 1000).toFixed(2));
+      }
+      current = stage;
+      currentStartedAt = now;
+
+      console.log(`📍 Job ${jobId} stage: ${stage}`);
+
+      // Progress reporting must never fail the job itself, but a job this
+      // worker no longer holds stops here
+      let owned = true;
+      try {
+        owned = await update({
+          stage,
+          stage_started_at: new Date(now).toISOString(),
+          stage_timings: timings
+        });
+      } catch (err) {
+        console.error(`Failed to record stage ${stage} for job ${jobId}:`, err.message);
+      }
+      if (!owned) {
+        throw new LeaseLostError(jobId);
+      }
+
+      await notify(jobId);
+    }
+
+    return {
+      enter,
+      timings: () => ({ ...timings })
+    };
+  }
+
+  function subscribe(jobId, listener) {
+    emitter.on(jobId, listener);
+    return () => emitter.off(jobId, listener);
+  }
+
+  return { getJob, notify, trackJob, subscribe };
+}
+
+export function isTerminal(snapshot) {
+  return TERMINAL_STATUSES.includes(snapshot.status);
+}
+
+function toSnapshot(row) {
+  return {
+    id: row.id,
+    attemptId: row.attempt_id,
+    status: row.status,
+    stage: row.stage,
+    stageStartedAt: row.stage_started_at,
+    timings: row.stage_timings || {},
+    retry: {
+      count: row.retry_count,
+      max: row.max_retries,
+      nextAttemptAt: row.next_attempt_at,
+      lastError: row.error_message
+    },
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at
+  };
+}
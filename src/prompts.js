@@ -0,0 +1,263 @@
+import { ACTOR, hasSpeakerLabels } from "./speakers.js";
+
+// --------------------------------------------------
+// Analysis prompts
+// --------------------------------------------------
+
+// Recorded with every analysis; bump whenever the prompt wording changes so
+// re-scored results can be compared across versions
+export const PROMPT_VERSION = 'mmi-examiner-v4';
+
+// System prompt template used when a rubric profile does not define its own.
+// Placeholders: {{persona}}, {{bands}}, {{scoreFields}}, {{stationGuidance}}
+export const DEFAULT_PROMPT_TEMPLATE = `{{persona}}
+
+CRITICAL LANGUAGE REQUIREMENT: Use British English spelling throughout all feedback (e.g., "organised" not "organized", "analyse" not "analyze", "behaviour" not "behavior", "realise" not "realize", "recognise" not "recognize", "practise" as verb/practice as noun, etc.).
+
+CRITICAL ASSESSMENT RULES:
+1. Be STRICT - medical school interviews demand excellence
+2. NO SYMPATHY SCORING - give the score they deserve, not what you hope they get
+3. Vague or generic answers = LOW SCORES (20-40%)
+4. Admitting "I don't know" or "winging it" = VERY LOW SCORES (5-20%)
+5. Saying almost nothing or irrelevant content = 0-10%
+6. Complete silence or single word answers = 0%
+7. Lack of structure or evidence = POOR SCORES (15-35%)
+8. Good answers with clear examples and reasoning = 65-80%
+9. Excellent answers with comprehensive depth = 80-90%
+10. Near-perfect, exceptional performance = 90-100%
+
+SCORING GUIDANCE - USE THE FULL RANGE:
+{{bands}}
+
+IMPORTANT: Do NOT be lenient. Medical schools reject most candidates - reflect this in your scoring. If the answer is poor, say so with a low score.
+{{stationGuidance}}
+
+Return a JSON response with this exact structure:
+
+{
+  "scores": {
+{{scoreFields}}
+  },
+  "questionAlignment": {
+    "score": <number 0-100 - how directly and completely the answer addressed the station question>,
+    "note": "<one or two sentences on how well the answer addressed the actual question>"
+  },
+  "feedback": [
+    {"segment": <segment number>, "ts": "mm:ss", "quote": "<words copied verbatim from that segment>", "note": "<specific critical feedback>"},
+    {"segment": <segment number>, "ts": "mm:ss", "quote": "<words copied verbatim from that segment>", "note": "<specific critical feedback>"}
+  ]
+}
+
+CRITICAL RULES FOR FEEDBACK:
+1. ONLY provide timestamped feedback if you have REAL, SUBSTANTIAL content from the transcript to reference
+2. If the transcript is very short (under 30 words total) or unclear - provide ONLY ONE feedback item explaining the lack of content
+3. You MUST use the EXACT segment number (#n) and timestamp (format: mm:ss) from the transcript line you are criticising
+4. Each feedback item MUST include a "quote" of 3-15 words copied EXACTLY, word for word, from that one segment - items whose quote cannot be found in the segment are discarded
+5. Each feedback note MUST reference what the candidate ACTUALLY SAID in the quoted words
+6. NEVER invent or hallucinate things the candidate didn't say
+7. For normal-length responses: provide 3-5 feedback items spread across the interview
+8. Be SPECIFIC and CRITICAL - point out weaknesses, vagueness, lack of examples`;
+
+// Marking criteria added to the examiner prompt for each kind of station.
+// `emphasis` names the rubric dimensions that matter most for the station
+// type; only those the loaded rubric defines are mentioned.
+const STATION_CRITERIA = {
+  'role-play': {
+    heading: 'ROLE-PLAY STATION CRITERIA',
+    points: [
+      'The transcript may include an actor or examiner speaking; assess ONLY the candidate',
+      "When lines are labelled CANDIDATE and ACTOR, read the exchange turn by turn: judge how each candidate turn responds to the actor's previous line",
+      'Reward active listening: acknowledging what the actor said, checking understanding, responding to cues and emotions',
+      'Look for a patient-centred approach (e.g. SPIKES for breaking bad news): ideas, concerns and expectations, warning shots, signposting, summarising',
+      "Penalise lecturing, ignoring the actor's concerns, jargon, or false reassurance"
+    ],
+    emphasis: { keys: ['Empathy', 'Communication'], note: 'should carry the most weight' }
+  },
+  data: {
+    heading: 'DATA / GRAPH INTERPRETATION STATION CRITERIA',
+    points: [
+      'Check the candidate describes what the data actually shows (axes, trends, magnitudes) correctly against the station data below',
+      'Reward noting limitations: sample size, causation vs correlation, missing context, bias',
+      'Reward drawing sensible, proportionate conclusions and implications for practice',
+      'Penalise misreading the data, overclaiming, or ignoring it in favour of a generic answer'
+    ],
+    emphasis: { keys: ['Structure', 'Ethics'], note: 'should reflect the quality of reasoning, not confidence' }
+  },
+  ethics: {
+    heading: 'ETHICS STATION CRITERIA',
+    points: [
+      'Reward identifying the specific ethical dilemma posed, not ethics in general',
+      'Look for balanced use of the four pillars (autonomy, beneficence, non-maleficence, justice) applied to THIS scenario',
+      'Reward reference to law and guidance where relevant (GMC Good Medical Practice, consent, capacity, confidentiality)',
+      'Reward considering multiple stakeholders and reaching a justified, practical conclusion',
+      'Penalise sitting on the fence without a conclusion, or reciting principles without applying them'
+    ]
+  },
+  motivation: {
+    heading: 'MOTIVATION / PERSONAL INSIGHT STATION CRITERIA',
+    points: [
+      'Reward specific, personal and reflective evidence (work experience, volunteering) over generic statements',
+      'Look for realistic insight into the demands of the profession, not just its rewards',
+      'Reward linking experiences to what was learnt and how it shaped their motivation',
+      'Penalise cliches ("I want to help people") that are not backed by evidence'
+    ],
+    emphasis: { keys: ['Motivation', 'Professionalism'], note: 'should carry the most weight' }
+  },
+  general: {
+    heading: 'GENERAL STATION CRITERIA',
+    points: [
+      'Assess how directly the candidate addressed the question that was asked',
+      'Reward structure, relevant examples and balanced reasoning'
+    ]
+  }
+};
+
+export function formatStationCriteria(stationType, rubric) {
+  const { heading, points, emphasis } = STATION_CRITERIA[stationType];
+  const lines = [...points];
+
+  if (emphasis) {
+    const defined = new Set(rubric.dimensions.map(d => d.key));
+    const keys = emphasis.keys.filter(key => defined.has(key));
+    if (keys.length > 0) {
+      lines.push(`${keys.join(' and ')} ${emphasis.note}`);
+    }
+  }
+
+  return `${heading}:\n${lines.map(line => `- ${line}`).join('\n')}`;
+}
+
+const ETHICS_PATTERN = /ethic|dilemma|consent|confidential|capacity|autonomy|euthanasia|resource allocation|gmc/i;
+const MOTIVATION_PATTERN = /motivat|why medicine|why dentistry|why veterinary|career|personal statement|work experience|insight/i;
+
+export function detectStationType(station) {
+  if (!station) {
+    return 'general';
+  }
+  if (station.role_play) {
+    return 'role-play';
+  }
+  if (station.graph_data) {
+    return 'data';
+  }
+
+  const text = [station.title, station.prompt, ...(station.themes || [])].filter(Boolean).join(' ');
+  if (ETHICS_PATTERN.test(text)) {
+    return 'ethics';
+  }
+  if (MOTIVATION_PATTERN.test(text)) {
+    return 'motivation';
+  }
+  return 'general';
+}
+
+export function formatTimestamp(seconds) {
+  const startMin = Math.floor(seconds / 60);
+  const startSec = Math.floor(seconds % 60);
+  return `${String(startMin).padStart(2, '0')}:${String(startSec).padStart(2, '0')}`;
+}
+
+export function buildAnalysisPrompts({ segments, wordCount, totalDuration, transcriptLength, station, rubric }) {
+  const stationType = detectStationType(station);
+
+  // Number each segment so feedback can point at (and quote) an exact line;
+  // role-play dialogue also names the speaker of each line
+  const dialogue = hasSpeakerLabels(segments);
+  const segmentsText = segments.map((seg, idx) => {
+    const speaker = dialogue ? `${seg.speaker === ACTOR ? 'ACTOR' : 'CANDIDATE'}: ` : '';
+    return `[#${idx} ${formatTimestamp(seg.start)}] ${speaker}${seg.text.trim()}`;
+  }).join('\n');
+
+  const transcriptIntro = dialogue
+    ? `Here is the timestamped transcript of the candidate's MMI role-play with an actor, one numbered segment per line ([#segment mm:ss] SPEAKER: text):`
+    : `Here is the timestamped transcript of the candidate's MMI interview response, one numbered segment per line ([#segment mm:ss]):`;
+
+  // Placeholders left by PII redaction, e.g. [NAME_1] or [SCHOOL_2]
+  const redacted = segments.some(seg => /\[[A-Z_]+_\d+\]/.test(seg.text));
+  const redactionNote = redacted
+    ? `\n\nPersonal details have been replaced with placeholders such as [NAME_1] or [SCHOOL_1]. Treat them as the real details: do not penalise or comment on them, and never guess what they stand for.`
+    : '';
+
+  const dialogueInstructions = dialogue
+    ? `
+5. Score ONLY the CANDIDATE's lines. Use the ACTOR's lines to judge listening and responsiveness: did the candidate pick up the actor's cues, questions and emotions, or talk past them?
+6. Feedback quotes must come from CANDIDATE lines only`
+    : '';
+
+  const stationGuidance = `
+STATION TYPE: ${stationType}
+
+${formatStationCriteria(stationType, rubric)}
+`;
+
+  const stationSection = station ? formatStation(station) : '';
+
+  const systemPrompt = renderTemplate(rubric.promptTemplate || DEFAULT_PROMPT_TEMPLATE, {
+    persona: rubric.persona,
+    bands: rubric.bands.map(band => `- ${band.min}-${band.max}: ${band.descriptor}`).join('\n'),
+    scoreFields: rubric.dimensions.map(formatScoreField).join(',\n'),
+    stationGuidance
+  });
+
+  const userPrompt = `${stationSection}${transcriptIntro}
+
+${segmentsText}${redactionNote}
+
+TRANSCRIPT STATS${dialogue ? ' (candidate speech only)' : ''}:
+- Total word count: ${wordCount} words
+- Total duration: ${totalDuration.toFixed(1)} seconds
+- Character count: ${transcriptLength} characters
+
+ASSESSMENT INSTRUCTIONS:
+1. CRITICALLY assess the CONTENT - be HARSH and HONEST, not lenient
+2. If they said very little (under 30 words) - scores should be 0-10% and provide ONLY ONE feedback item
+3. DO NOT HALLUCINATE - only reference what was ACTUALLY said in the transcript above
+4. Judge relevance against the STATION QUESTION - content that does not address it is off-topic, however well delivered${dialogueInstructions}
+
+REMEMBER: Use the FULL scoring range 0-100. Don't artificially inflate scores.`;
+
+  return { systemPrompt, userPrompt, stationType };
+}
+
+// Unknown placeholders are left in place so template typos are visible
+export function renderTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+    values[key] !== undefined ? String(values[key]) : match
+  );
+}
+
+function formatScoreField(dimension) {
+  const hint = dimension.description ? ` - ${dimension.description}` : '';
+  return `    "${dimension.key}": <number 0-100${hint}>`;
+}
+
+// Graph data can be large; the model only needs enough to check the reading
+const MAX_GRAPH_DATA_CHARS = 2000;
+
+function formatStation(station) {
+  const lines = ['STATION QUESTION (the candidate was answering this):'];
+
+  if (station.title) {
+    lines.push(`Title: ${station.title}`);
+  }
+  if (station.prompt) {
+    lines.push(`Prompt: ${station.prompt}`);
+  }
+  if (Array.isArray(station.themes) && station.themes.length > 0) {
+    lines.push(`Themes: ${station.themes.join(', ')}`);
+  }
+  if (station.difficulty) {
+    lines.push(`Difficulty: ${station.difficulty}`);
+  }
+  if (station.role_play) {
+    lines.push('Format: role-play with an actor');
+  }
+  if (station.graph_data) {
+    const graphData = typeof station.graph_data === 'string'
+      ? station.graph_data
+      : JSON.stringify(station.graph_data);
+    lines.push(`Station data shown to the candidate: ${graphData.substring(0, MAX_GRAPH_DATA_CHARS)}`);
+  }
+
+  return `${lines.join('\n')}\n\n`;
+}
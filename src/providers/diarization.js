@@ -0,0 +1,53 @@
+import fetch from "node-fetch";
+import FormData from "form-data";
+import { TransientJobError, errorFromResponse } from "../errors.js";
+import { withTimeout } from "./http.js";
+
+// --------------------------------------------------
+// Speaker diarization over HTTP
+// --------------------------------------------------
+// Any service that accepts the recording as multipart "file" and answers
+// { "segments": [{ "start": 0.0, "end": 3.2, "speaker": "SPEAKER_00" }, ...] }
+// (e.g. a small pyannote wrapper).
+
+export function createHttpDiarizationProvider({ url, apiKey, timeoutMs }) {
+  if (!url) {
+    throw new Error('DIARIZATION_URL is required for the http diarization provider');
+  }
+
+  return {
+    name: 'http',
+    model: url,
+
+    async diarize({ buffer, filename, contentType }) {
+      return withTimeout('Diarization', timeoutMs, async signal => {
+        const formData = new FormData();
+        formData.append("file", buffer, { filename, contentType });
+
+        const res = await fetch(url, {
+          method: "POST",
+          signal,
+          headers: {
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+            ...formData.getHeaders()
+          },
+          body: formData
+        });
+
+        if (!res.ok) {
+          const errText = await res.text();
+          throw errorFromResponse('Diarization', res, errText);
+        }
+
+        const json = await res.json();
+        if (!Array.isArray(json.segments)) {
+          throw new TransientJobError('Diarization returned no segments array');
+        }
+
+        return json.segments
+          .filter(seg => Number.isFinite(seg.start) && Number.isFinite(seg.end) && seg.speaker !== undefined)
+          .map(seg => ({ start: seg.start, end: seg.end, speaker: String(seg.speaker) }));
+      });
+    }
+  };
+}
@@ -0,0 +1,156 @@
+import crypto from "crypto";
+
+// --------------------------------------------------
+// Deterministic fake providers
+// --------------------------------------------------
+// Stand-ins for CI and local development: no network, no API spend, and the
+// same input always gives the same output.
+
+const FAKE_SENTENCES = [
+  'I would start by making sure the patient is safe and understands what is happening.',
+  'The key ethical principles here are autonomy, beneficence, non-maleficence and justice.',
+  'For example, during my work experience at a GP surgery I saw a doctor explain a diagnosis calmly.',
+  'I think it is important to listen to the concerns of everyone involved before deciding.',
+  'I would escalate to a senior colleague if I felt the situation was beyond my competence.',
+  'Teamwork matters because no single professional can deliver care on their own.',
+  'I want to study medicine because I enjoy science and working closely with people.',
+  'Overall I would balance the wishes of the patient with the duty to avoid harm.'
+];
+
+const FALLBACK_DIMENSIONS = ['Structure', 'Communication', 'Empathy', 'Ethics', 'Professionalism', 'Motivation', 'Teamwork'];
+
+export function createFakeTranscriptionProvider() {
+  return {
+    name: 'fake',
+    model: 'fake-transcriber',
+
+    async transcribe({ buffer }) {
+      const seed = digest(buffer);
+      const segmentCount = 20 + (seed[0] % 20);
+      const segments = [];
+      let cursor = 0.4;
+
+      for (let i = 0; i < segmentCount; i++) {
+        const text = FAKE_SENTENCES[(seed[i % seed.length] + i) % FAKE_SENTENCES.length];
+        const length = 5 + (seed[(i + 7) % seed.length] % 6);
+        segments.push({
+          id: i,
+          start: round(cursor),
+          end: round(cursor + length),
+          text: ` ${text}`
+        });
+        cursor += length + (seed[(i + 13) % seed.length] % 3) * 0.6;
+      }
+
+      // Words are spread evenly across their segment
+      const words = segments.flatMap(seg => {
+        const parts = seg.text.trim().split(/\s+/);
+        const step = (seg.end - seg.start) / parts.length;
+        return parts.map((word, idx) => ({
+          word,
+          start: round(seg.start + idx * step),
+          end: round(seg.start + (idx + 1) * step)
+        }));
+      });
+
+      return {
+        text: segments.map(seg => seg.text.trim()).join(' '),
+        language: 'english',
+        duration: round(cursor),
+        segments,
+        words
+      };
+    }
+  };
+}
+
+export function createFakeAnalysisProvider() {
+  return {
+    name: 'fake',
+    model: 'fake-analyst',
+
+    // Scores derive from a hash of the prompt; feedback quotes the first
+    // transcript lines found in the prompt so downstream checks still apply
+    async complete({ messages }) {
+      const prompt = messages.map(m => m.content).join('\n');
+      const seed = digest(prompt);
+
+      // Score whichever dimensions the rubric's JSON schema asks for
+      const requested = [...prompt.matchAll(/^\s*"(\w+)": <number 0-100/gm)]
+        .map(([, key]) => key)
+        .filter(key => key !== 'score');
+      const dimensions = requested.length > 0 ? requested : FALLBACK_DIMENSIONS;
+
+      const scores = {};
+      dimensions.forEach((dimension, idx) => {
+        scores[dimension] = 20 + (seed[idx % seed.length] % 60);
+      });
+      scores.Overall = Math.round(
+        dimensions.reduce((sum, d) => sum + scores[d], 0) / dimensions.length
+      );
+
+      const lines = [...prompt.matchAll(/^\[#(\d+) (\d{2}:\d{2})\] (.+)$/gm)].slice(0, 3);
+      const feedback = lines.map(([, segment, ts, text]) => {
+        const quote = text.trim().split(/\s+/).slice(0, 8).join(' ');
+        return {
+          segment: Number(segment),
+          ts,
+          quote,
+          note: `The candidate said "${quote}" - this needs a more specific example.`
+        };
+      });
+
+      const questionAlignment = {
+        score: scores.Overall,
+        note: 'The answer partly addressed the question but drifted into generic points.'
+      };
+
+      const content = JSON.stringify({ scores, questionAlignment, feedback });
+
+      return {
+        content,
+        model: 'fake-analyst',
+        usage: {
+          prompt_tokens: Math.ceil(prompt.length / 4),
+          completion_tokens: Math.ceil(content.length / 4)
+        }
+      };
+    }
+  };
+}
+
+const FAKE_EMBEDDING_DIMENSIONS = 64;
+
+export function createFakeEmbeddingProvider() {
+  return {
+    name: 'fake',
+    model: 'fake-embedder',
+
+    // Hashed bag of words: texts sharing words end up close together, which
+    // is enough for ranking to behave sensibly offline
+    async embed(texts) {
+      const vectors = texts.map(text => {
+        const vector = new Array(FAKE_EMBEDDING_DIMENSIONS).fill(0);
+        for (const word of String(text).toLowerCase().match(/[a-z]{3,}/g) || []) {
+          vector[digest(word)[0] % FAKE_EMBEDDING_DIMENSIONS] += 1;
+        }
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+        return vector.map(v => round(v / norm));
+      });
+
+      return {
+        vectors,
+        model: 'fake-embedder',
+        usage: { prompt_tokens: Math.ceil(texts.join(' ').length / 4) }
+      };
+    }
+  };
+}
+
+function digest(input) {
+  return crypto.createHash('sha256').update(input).digest();
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
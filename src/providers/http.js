@@ -0,0 +1,20 @@
+import { TransientJobError } from "../errors.js";
+
+// --------------------------------------------------
+// Upstream request timeouts
+// --------------------------------------------------
+
+// Runs `request(signal)` (the fetch and reading its body) under a deadline.
+// A request that is still open when it passes is aborted and retried later,
+// rather than holding the job and its lease indefinitely.
+export async function withTimeout(service, timeoutMs, request) {
+  const signal = AbortSignal.timeout(timeoutMs);
+  try {
+    return await request(signal);
+  } catch (err) {
+    if (signal.aborted) {
+      throw new TransientJobError(`${service} timed out after ${timeoutMs / 1000}s`, { cause: err });
+    }
+    throw err;
+  }
+}
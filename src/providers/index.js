@@ -0,0 +1,85 @@
+import {
+  createFakeAnalysisProvider,
+  createFakeEmbeddingProvider,
+  createFakeTranscriptionProvider
+} from "./fake.js";
+import {
+  createOpenAIAnalysisProvider,
+  createOpenAIEmbeddingProvider,
+  createOpenAITranscriptionProvider
+} from "./openai.js";
+import { createHttpDiarizationProvider } from "./diarization.js";
+import { OPENAI_BASE_URL } from "../config.js";
+
+// --------------------------------------------------
+// Provider selection
+// --------------------------------------------------
+// Transcription providers expose transcribe({ buffer, filename, contentType })
+// and return a Whisper verbose_json shaped object, including `words` when
+// the backend supports word timestamps. Analysis providers expose
+// complete({ messages, maxTokens, temperature, json }) and return
+// { content, model, usage }. Embedding providers expose embed(texts) and
+// return { vectors, model, usage }. Diarization providers expose
+// diarize({ buffer, filename, contentType }) and return speaker turns
+// [{ start, end, speaker }]; "none" disables diarization.
+
+const TRANSCRIPTION_PROVIDERS = {
+  openai: createOpenAITranscriptionProvider,
+  fake: createFakeTranscriptionProvider
+};
+
+const ANALYSIS_PROVIDERS = {
+  openai: createOpenAIAnalysisProvider,
+  fake: createFakeAnalysisProvider
+};
+
+const EMBEDDING_PROVIDERS = {
+  openai: createOpenAIEmbeddingProvider,
+  fake: createFakeEmbeddingProvider
+};
+
+const DIARIZATION_PROVIDERS = {
+  none: () => null,
+  http: createHttpDiarizationProvider
+};
+
+export function createTranscriptionProvider(config) {
+  return createProvider('transcription', TRANSCRIPTION_PROVIDERS, config);
+}
+
+export function createAnalysisProvider(config) {
+  return createProvider('analysis', ANALYSIS_PROVIDERS, config);
+}
+
+export function createEmbeddingProvider(config) {
+  return createProvider('embedding', EMBEDDING_PROVIDERS, config);
+}
+
+export function createDiarizationProvider(config) {
+  return createProvider('diarization', DIARIZATION_PROVIDERS, config);
+}
+
+// Builds every provider from providerConfig; throws on misconfiguration
+export function createConfiguredProviders(providerConfig) {
+  // The hosted OpenAI API needs a key; compatible local servers may not
+  for (const [kind, config] of Object.entries(providerConfig)) {
+    if (config.provider === 'openai' && config.baseUrl === OPENAI_BASE_URL && !config.apiKey) {
+      throw new Error(`Missing OPENAI_API_KEY (or ${kind.toUpperCase()}_API_KEY) for the OpenAI ${kind} provider`);
+    }
+  }
+
+  return {
+    transcriptionProvider: createTranscriptionProvider(providerConfig.transcription),
+    analysisProvider: createAnalysisProvider(providerConfig.analysis),
+    embeddingProvider: createEmbeddingProvider(providerConfig.embedding),
+    diarizationProvider: createDiarizationProvider(providerConfig.diarization)
+  };
+}
+
+function createProvider(kind, registry, config) {
+  const factory = registry[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown ${kind} provider "${config.provider}". Available: ${Object.keys(registry).join(', ')}`);
+  }
+  return factory(config);
+}
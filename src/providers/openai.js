@@ -0,0 +1,161 @@
+import fetch from "node-fetch";
+import FormData from "form-data";
+import { TransientJobError, errorFromResponse } from "../errors.js";
+import { withTimeout } from "./http.js";
+
+// --------------------------------------------------
+// OpenAI and OpenAI-compatible providers
+// --------------------------------------------------
+// Works against api.openai.com or any server exposing the same endpoints
+// (e.g. a local whisper.cpp server or vLLM) via `baseUrl`.
+
+export function createOpenAITranscriptionProvider({ baseUrl, apiKey, model, timeoutMs }) {
+  return {
+    name: 'openai',
+    model,
+
+    async transcribe({ buffer, filename, contentType }) {
+      return withTimeout('Whisper transcription', timeoutMs, async signal => {
+        const formData = new FormData();
+        formData.append("file", buffer, {
+          filename,
+          contentType
+        });
+        formData.append("model", model);
+        formData.append("response_format", "verbose_json");
+        formData.append("timestamp_granularities[]", "segment");
+        formData.append("timestamp_granularities[]", "word");
+
+        const whisperRes = await fetch(`${baseUrl}/audio/transcriptions`, {
+          method: "POST",
+          signal,
+          headers: {
+            ...authHeader(apiKey),
+            ...formData.getHeaders()
+          },
+          body: formData
+        });
+
+        // Log response status for debugging
+        console.log(`Whisper API response status: ${whisperRes.status}`);
+
+        if (!whisperRes.ok) {
+          const errText = await whisperRes.text();
+          console.error("Whisper API error response:", errText);
+          throw errorFromResponse('Whisper transcription', whisperRes, errText);
+        }
+
+        let whisper;
+        try {
+          const responseText = await whisperRes.text();
+          console.log('Whisper API raw response preview:', responseText.substring(0, 200));
+          whisper = JSON.parse(responseText);
+        } catch (parseError) {
+          console.error('Failed to parse Whisper response:', parseError.message);
+          throw new TransientJobError(`Whisper API returned invalid JSON: ${parseError.message}`);
+        }
+
+        // More robust validation of Whisper response
+        if (!whisper || typeof whisper !== 'object') {
+          console.error('Whisper response is not an object:', whisper);
+          throw new TransientJobError('Whisper API returned invalid response: not an object');
+        }
+
+        return whisper;
+      });
+    }
+  };
+}
+
+export function createOpenAIAnalysisProvider({ baseUrl, apiKey, model, timeoutMs }) {
+  return {
+    name: 'openai',
+    model,
+
+    // Returns the raw message content plus token usage
+    async complete({ messages, maxTokens, temperature, json = true }) {
+      return withTimeout('GPT analysis', timeoutMs, async signal => {
+        const gptRes = await fetch(`${baseUrl}/chat/completions`, {
+          method: "POST",
+          signal,
+          headers: {
+            ...authHeader(apiKey),
+            "Content-Type": "application/json"
+          },
+          body: JSON.stringify({
+            model,
+            ...(json ? { response_format: { type: "json_object" } } : {}),
+            messages,
+            max_tokens: maxTokens,
+            temperature
+          })
+        });
+
+        if (!gptRes.ok) {
+          const errText = await gptRes.text();
+          throw errorFromResponse('GPT analysis', gptRes, errText);
+        }
+
+        const gptJson = await gptRes.json();
+        const content = gptJson.choices?.[0]?.message?.content;
+
+        if (typeof content !== 'string') {
+          throw new TransientJobError('GPT analysis returned no message content');
+        }
+
+        return {
+          content,
+          model: gptJson.model || model,
+          usage: gptJson.usage || null
+        };
+      });
+    }
+  };
+}
+
+export function createOpenAIEmbeddingProvider({ baseUrl, apiKey, model, timeoutMs }) {
+  return {
+    name: 'openai',
+    model,
+
+    // One vector per input text, in input order
+    async embed(texts) {
+      return withTimeout('Embeddings', timeoutMs, async signal => {
+        const res = await fetch(`${baseUrl}/embeddings`, {
+          method: "POST",
+          signal,
+          headers: {
+            ...authHeader(apiKey),
+            "Content-Type": "application/json"
+          },
+          body: JSON.stringify({ model, input: texts })
+        });
+
+        if (!res.ok) {
+          const errText = await res.text();
+          throw errorFromResponse('Embeddings', res, errText);
+        }
+
+        const json = await res.json();
+        const vectors = Array.isArray(json.data)
+          ? [...json.data].sort((a, b) => a.index - b.index).map(item => item.embedding)
+          : [];
+
+        if (vectors.length !== texts.length) {
+          throw new TransientJobError(`Embeddings returned ${vectors.length} vectors for ${texts.length} inputs`);
+        }
+
+        return {
+          vectors,
+          model: json.model || model,
+          usage: json.usage || null
+        };
+      });
+    }
+  };
+}
+
+// Local servers often run without a key
+function authHeader(apiKey) {
+  return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+}
@@ -0,0 +1,208 @@
+import { formatTimestamp } from "./prompts.js";
+
+// --------------------------------------------------
+// Speech quality gate
+// --------------------------------------------------
+// Decides whether a transcript is a real answer worth scoring, using the
+// counts the gate always used plus Whisper's own confidence signals: the
+// detected language and each segment's no_speech_prob, avg_logprob and
+// compression_ratio. A rejection carries a reason the candidate can act on.
+
+// Whisper's decoding thresholds: a segment is silence when it is probably not
+// speech and was decoded with low confidence, and a hallucinated loop (music,
+// noise) when its text compresses too well
+const NO_SPEECH_PROB = 0.6;
+const LOW_LOGPROB = -1.0;
+const HIGH_COMPRESSION = 2.4;
+
+// Below this many confident words the detected language is not trusted
+const MIN_WORDS_FOR_LANGUAGE = 5;
+
+// Unclear stretches shorter than this are not worth a feedback item
+const MIN_REPORTED_UNCLEAR_SEC = 15;
+
+export const REJECTION_MESSAGES = {
+  no_speech: 'No speech was detected in your recording. Please ensure your microphone is working and speak clearly during the interview.',
+  too_little_speech: 'Your answer was too short to assess. Aim to speak for most of the station time, developing your points with examples.',
+  quiet_microphone: 'Your voice was too quiet to transcribe reliably. Move closer to the microphone or raise its input level, then record again.',
+  background_speech: 'The recording mostly picked up indistinct or background speech (for example a TV or another conversation) rather than a clear answer. Record again somewhere quiet, close to the microphone.',
+  noise: 'The recording was dominated by music or background noise, so your answer could not be transcribed. Record again somewhere quiet.'
+};
+
+// silence | noise | unclear | speech; segments without Whisper's confidence
+// fields (other transcription backends) always count as speech
+export function classifySegment(seg) {
+  const noSpeechProb = Number(seg.no_speech_prob);
+  const logprob = Number(seg.avg_logprob);
+  const compression = Number(seg.compression_ratio);
+
+  if (noSpeechProb > NO_SPEECH_PROB && logprob < LOW_LOGPROB) {
+    return 'silence';
+  }
+  if (compression > HIGH_COMPRESSION) {
+    return 'noise';
+  }
+  if (logprob < LOW_LOGPROB) {
+    return 'unclear';
+  }
+  return 'speech';
+}
+
+// Silence and noise segments are left out of scoring; unclear ones are kept
+// since they may still be the candidate
+export function isUsableSegment(seg) {
+  const kind = classifySegment(seg);
+  return kind === 'speech' || kind === 'unclear';
+}
+
+// `audio` is the waveform analysis (delivery metrics) when available
+export function assessSpeechQuality({ transcript, segments, language = null, audio = null }, { expectedLanguages, maxUnclearShare, quietDbfs }) {
+  const usable = segments.filter(isUsableSegment);
+  const usableTranscript = usable.length === segments.length
+    ? transcript
+    : usable.map(seg => (seg.text || '').trim()).join(' ').trim();
+
+  const wordCount = countWords(usableTranscript);
+  const transcriptLength = usableTranscript.trim().length;
+
+  // Calculate duration from segments
+  const totalDuration = segments.length > 0
+    ? segments[segments.length - 1].end
+    : 0;
+  const avgWordsPerSecond = totalDuration > 0 ? wordCount / totalDuration : 0;
+
+  // Time Whisper spent on each kind of segment
+  const seconds = { silence: 0, noise: 0, unclear: 0, speech: 0 };
+  for (const seg of segments) {
+    seconds[classifySegment(seg)] += Math.max(0, seg.end - seg.start);
+  }
+  const transcribedSec = seconds.noise + seconds.unclear + seconds.speech;
+  const unclearShare = transcribedSec > 0 ? (seconds.unclear + seconds.noise) / transcribedSec : 0;
+  const confidentWords = countWords(segments
+    .filter(seg => classifySegment(seg) === 'speech')
+    .map(seg => seg.text || '')
+    .join(' '));
+
+  const detectedLanguage = normaliseLanguage(language);
+  const stats = {
+    language: detectedLanguage,
+    wordCount,
+    transcriptLength,
+    totalDuration: round(totalDuration),
+    avgWordsPerSecond: round(avgWordsPerSecond),
+    confidentSpeechSec: round(seconds.speech),
+    unclearSec: round(seconds.unclear),
+    noiseSec: round(seconds.noise),
+    unclearRegions: unclearRegions(segments)
+  };
+
+  const reject = (reason, message = REJECTION_MESSAGES[reason]) => ({
+    ok: false,
+    reason,
+    message,
+    stats,
+    transcript: usableTranscript,
+    segments: usable
+  });
+
+  const expected = (expectedLanguages || []).map(normaliseLanguage);
+  if (detectedLanguage && expected.length > 0 && !expected.includes(detectedLanguage) &&
+      confidentWords >= MIN_WORDS_FOR_LANGUAGE) {
+    return reject('wrong_language', `Your answer appears to be in ${capitalise(detectedLanguage)}. Interviews are assessed in ${expected.map(capitalise).join(' or ')} - please answer in ${capitalise(expected[0])}.`);
+  }
+
+  const tooLittle = wordCount < 15 ||
+                    transcriptLength < 50 ||
+                    (totalDuration > 10 && avgWordsPerSecond < 0.3);
+
+  if (tooLittle) {
+    if (Number.isFinite(audio?.speechLoudnessDbfs) && audio.speechLoudnessDbfs < quietDbfs) {
+      return reject('quiet_microphone');
+    }
+    if (transcribedSec > 0 && seconds.noise >= seconds.unclear && seconds.noise / transcribedSec >= 0.5) {
+      return reject('noise');
+    }
+    if (transcribedSec > 0 && seconds.unclear / transcribedSec >= 0.5) {
+      return reject('background_speech');
+    }
+    return reject(wordCount === 0 ? 'no_speech' : 'too_little_speech');
+  }
+
+  // Plenty of words, but most of them decoded with low confidence: usually a
+  // TV or conversation in the background rather than the candidate
+  if (unclearShare > maxUnclearShare) {
+    return reject(seconds.noise > seconds.unclear ? 'noise' : 'background_speech');
+  }
+
+  return {
+    ok: true,
+    reason: null,
+    message: null,
+    stats,
+    transcript: usableTranscript,
+    segments: usable
+  };
+}
+
+// Feedback item pointing at unclear or noisy stretches that were kept out of,
+// or weighed less in, the assessment
+export function unclearAudioFeedback(stats) {
+  const total = stats.unclearRegions.reduce((sum, r) => sum + (r.end - r.start), 0);
+  if (total < MIN_REPORTED_UNCLEAR_SEC) {
+    return null;
+  }
+
+  const first = stats.unclearRegions[0];
+  return {
+    kind: 'audio_quality',
+    ts: formatTimestamp(first.start),
+    note: `About ${Math.round(total)} seconds of your recording, starting here, were unclear or noisy and could not be transcribed reliably. Record somewhere quiet and close to the microphone so all of your answer counts.`
+  };
+}
+
+// Consecutive unclear/noise segments merged into regions
+function unclearRegions(segments) {
+  const regions = [];
+  for (const seg of segments) {
+    const kind = classifySegment(seg);
+    if (kind !== 'unclear' && kind !== 'noise') continue;
+
+    const last = regions[regions.length - 1];
+    if (last && seg.start - last.end <= 2) {
+      last.end = round(seg.end);
+      if (kind === 'noise') last.kind = 'noise';
+    } else {
+      regions.push({ start: round(seg.start), end: round(seg.end), kind });
+    }
+  }
+  return regions;
+}
+
+// Whisper reports full names ("english"), other backends ISO codes ("en")
+function normaliseLanguage(language) {
+  if (!language || typeof language !== 'string') {
+    return null;
+  }
+
+  const value = language.trim().toLowerCase();
+  if (/^[a-z]{2,3}$/.test(value)) {
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(value).toLowerCase();
+    } catch {
+      return value;
+    }
+  }
+  return value;
+}
+
+function countWords(text) {
+  return text.trim().split(/\s+/).filter(w => w.length > 0).length;
+}
+
+function capitalise(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,235 @@
+// --------------------------------------------------
+// Pull-based analysis_queue consumer
+// --------------------------------------------------
+
+// Polls analysis_queue for runnable jobs and claims them atomically through
+// the claim_analysis_job RPC. At most `concurrency` jobs run at once; each
+// running job renews its lease so other replicas can take back jobs whose
+// worker has died. A worker that loses a lease aborts the job's signal so it
+// stops before writing anything. On shutdown, jobs that do not finish in time are released
+// back to pending; on startup, jobs left in processing by a crash are requeued.
+import { LeaseLostError } from "./errors.js";
+
+export function createQueueConsumer({ supabase, handler, workerId, concurrency, pollIntervalMs, leaseSeconds, staleJobSeconds }) {
+  const active = new Map();
+  const heartbeats = new Map();
+  const controllers = new Map();
+  const claiming = new Set();
+  let reserved = 0;
+  let running = false;
+  let polling = false;
+  let timer = null;
+
+  async function claim(jobId = null) {
+    const { data, error } = await supabase.rpc('claim_analysis_job', {
+      p_worker_id: workerId,
+      p_lease_seconds: leaseSeconds,
+      p_job_id: jobId
+    });
+
+    if (error) {
+      throw new Error(`Failed to claim job: ${error.message}`);
+    }
+
+    return Array.isArray(data) ? data[0] || null : data;
+  }
+
+  // Returns false once the job is no longer held by this worker
+  async function renewLease(jobId) {
+    const { data, error } = await supabase.rpc('renew_analysis_job_lease', {
+      p_job_id: jobId,
+      p_worker_id: workerId,
+      p_lease_seconds: leaseSeconds
+    });
+
+    if (error) {
+      console.error(`Failed to renew lease for job ${jobId}:`, error.message);
+      return true;
+    }
+    if (data === false) {
+      console.warn(`⚠️ Lease lost for job ${jobId} - stopping, another worker may take it over`);
+      return false;
+    }
+    return true;
+  }
+
+  function hasCapacity() {
+    return active.size + reserved < concurrency;
+  }
+
+  // Reserves a slot for the duration of the claim so concurrent polls and
+  // submits cannot exceed the concurrency limit. The claim is tracked until
+  // its job (if any) is running, so stop() can wait for it.
+  function claimWithSlot(jobId = null) {
+    if (!hasCapacity()) {
+      return Promise.resolve(null);
+    }
+
+    reserved += 1;
+    const pending = claim(jobId)
+      .then(job => {
+        if (job) {
+          run(job);
+        }
+        return job;
+      })
+      .finally(() => {
+        reserved -= 1;
+        claiming.delete(pending);
+      });
+    claiming.add(pending);
+    return pending;
+  }
+
+  function run(job) {
+    const controller = new AbortController();
+    const heartbeat = setInterval(async () => {
+      if (!(await renewLease(job.id))) {
+        clearInterval(heartbeat);
+        controller.abort(new LeaseLostError(job.id));
+      }
+    }, Math.max(1000, (leaseSeconds * 1000) / 3));
+    heartbeats.set(job.id, heartbeat);
+    controllers.set(job.id, controller);
+
+    const promise = Promise.resolve()
+      .then(() => handler(job, { signal: controller.signal }))
+      .catch(err => {
+        console.error(`❌ Unhandled error in job ${job.id}:`, err);
+      })
+      .finally(() => {
+        clearInterval(heartbeat);
+        heartbeats.delete(job.id);
+        controllers.delete(job.id);
+        active.delete(job.id);
+        schedule(0);
+      });
+
+    active.set(job.id, promise);
+  }
+
+  async function poll() {
+    if (polling || !running) {
+      return;
+    }
+
+    polling = true;
+    try {
+      while (running && hasCapacity()) {
+        const job = await claimWithSlot();
+        if (!job) {
+          break;
+        }
+        console.log(`📥 Claimed job ${job.id} (${active.size}/${concurrency} active)`);
+      }
+    } catch (err) {
+      console.error('Queue poll failed:', err.message);
+    } finally {
+      polling = false;
+      schedule(pollIntervalMs);
+    }
+  }
+
+  // Returns jobs this worker still holds to pending without using up a retry.
+  // Their handlers are aborted first so they stop before writing anything.
+  async function release(jobIds) {
+    for (const jobId of jobIds) {
+      clearInterval(heartbeats.get(jobId));
+      heartbeats.delete(jobId);
+      controllers.get(jobId)?.abort(new LeaseLostError(jobId));
+    }
+
+    const { data, error } = await supabase.rpc('release_analysis_jobs', {
+      p_worker_id: workerId,
+      p_job_ids: jobIds
+    });
+
+    if (error) {
+      throw new Error(`Failed to release jobs: ${error.message}`);
+    }
+    return data ?? 0;
+  }
+
+  function schedule(delay) {
+    clearTimeout(timer);
+    if (running) {
+      timer = setTimeout(poll, delay);
+    }
+  }
+
+  return {
+    start() {
+      if (running) {
+        return;
+      }
+      running = true;
+      console.log(`✅ Queue consumer started (worker ${workerId}, concurrency ${concurrency})`);
+      schedule(0);
+    },
+
+    // Stops claiming new jobs and waits for in-flight jobs to settle. With
+    // `timeoutMs`, jobs still running at the deadline are released back to
+    // pending for another worker; their ids are returned.
+    async stop({ timeoutMs = null } = {}) {
+      running = false;
+      clearTimeout(timer);
+
+      // A claim already sent may still hand back a job; wait for it so the
+      // job is in `active` before it is awaited or released
+      await Promise.allSettled(claiming);
+
+      const settled = Promise.allSettled(active.values());
+      if (timeoutMs === null) {
+        await settled;
+        return [];
+      }
+
+      let deadline;
+      await Promise.race([
+        settled,
+        new Promise(resolve => {
+          deadline = setTimeout(resolve, timeoutMs);
+        })
+      ]);
+      clearTimeout(deadline);
+
+      const unfinished = [...active.keys()];
+      if (unfinished.length > 0) {
+        const released = await release(unfinished);
+        console.log(`↩️ Released ${released} unfinished job(s) back to the queue`);
+      }
+      return unfinished;
+    },
+
+    // Requeues processing jobs left behind by a crashed worker; call before
+    // start(). Returns the number of jobs requeued.
+    async requeueStale() {
+      const { data, error } = await supabase.rpc('requeue_stale_analysis_jobs', {
+        p_worker_id: workerId,
+        p_stale_seconds: staleJobSeconds
+      });
+
+      if (error) {
+        throw new Error(`Failed to requeue stale jobs: ${error.message}`);
+      }
+      return data ?? 0;
+    },
+
+    // Claims a specific job straight away if a slot is free; otherwise it
+    // stays pending and is picked up by a later poll
+    async submit(jobId) {
+      if (!running) {
+        return false;
+      }
+      const job = await claimWithSlot(jobId);
+      if (job) {
+        console.log(`📥 Claimed job ${job.id} on request (${active.size}/${concurrency} active)`);
+      }
+      return Boolean(job);
+    },
+
+    activeCount() {
+      return active.size;
+    }
+  };
+}
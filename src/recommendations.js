@@ -0,0 +1,432 @@
+import crypto from "crypto";
+import { tokenUsage } from "./usage.js";
+
+// --------------------------------------------------
+// Article recommendations
+// --------------------------------------------------
+// Articles are ranked by embedding similarity to the candidate's weak
+// dimensions and feedback notes, adjusted for difficulty. Keyword matching
+// is kept as a fallback when no embedding provider is available.
+
+// Dimensions scoring below this count as weak areas
+const WEAK_SCORE = 75;
+
+// Article ids per article_embeddings lookup and texts per embedding request,
+// so neither grows with the size of the library
+const BATCH_SIZE = 100;
+
+const DIFFICULTY_NAMES = ['foundation', 'intermediate', 'advanced'];
+
+const DIFFICULTY_WORDS = {
+  easy: 1, beginner: 1, foundation: 1, basic: 1,
+  medium: 2, intermediate: 2, moderate: 2,
+  hard: 3, advanced: 3, challenging: 3, difficult: 3
+};
+
+export function createRecommender({ supabase, embeddingProvider, count, excludeRecentAttempts, contentColumn, maxContentChars }) {
+  const columns = ['id', 'title', 'category', 'tags', 'difficulty', contentColumn].filter(Boolean).join(', ');
+
+  // The article library, its vectors and the candidate's recent
+  // recommendations, loaded on first use. One library serves every station
+  // of a circuit.
+  function createLibrary() {
+    return { articles: null, vectors: null, recent: null };
+  }
+
+  // Returns { articleIds, reasons, usage } where reasons is
+  // [{ article_id, reason, similarity }] in recommendation order and usage
+  // lists the embedding calls made
+  async function recommend({ attempt, scores, feedback, station, rubric, library = createLibrary() }) {
+    const usage = [];
+    const articles = await loadArticles(library);
+
+    library.recent = library.recent || await loadRecentRecommendations(attempt);
+    const candidates = articles.filter(article => !library.recent.has(article.id));
+    if (candidates.length === 0) {
+      return { articleIds: [], reasons: [], usage };
+    }
+
+    const signals = buildSignals(scores, feedback, { rubric, station });
+
+    if (embeddingProvider && signals.length > 0) {
+      try {
+        return { ...await rankBySimilarity(candidates, signals, { scores, station, library, usage }), usage };
+      } catch (err) {
+        console.warn('Semantic recommendations unavailable, using keyword matching:', err.message);
+      }
+    }
+
+    const articleIds = generateArticleRecommendations(scores, candidates, station).slice(0, count);
+    return {
+      articleIds,
+      reasons: articleIds.map(id => ({
+        article_id: id,
+        reason: 'Suggested reading for your weaker areas',
+        similarity: null
+      })),
+      usage
+    };
+  }
+
+  async function loadArticles(library) {
+    if (library.articles) {
+      return library.articles;
+    }
+
+    const { data, error } = await supabase
+      .from('articles')
+      .select(columns);
+
+    if (error) {
+      throw new Error(`Failed to fetch articles: ${error.message}`);
+    }
+
+    library.articles = data || [];
+    return library.articles;
+  }
+
+  async function rankBySimilarity(candidates, signals, { scores, station, library, usage }) {
+    library.vectors = library.vectors || await loadArticleEmbeddings(library.articles, usage);
+    const articleVectors = library.vectors;
+    const embedded = await embeddingProvider.embed(signals.map(s => s.text));
+    usage.push(tokenUsage('embedding', embedded.model || embeddingProvider.model, embedded.usage));
+    const signalVectors = embedded.vectors;
+
+    const targetLevel = targetDifficulty(scores, station);
+
+    const ranked = candidates
+      .filter(article => articleVectors.has(article.id))
+      .map(article => {
+        const vector = articleVectors.get(article.id);
+
+        let best = null;
+        let bestScore = -Infinity;
+        signals.forEach((signal, idx) => {
+          const similarity = cosine(vector, signalVectors[idx]);
+          if (similarity * signal.weight > bestScore) {
+            bestScore = similarity * signal.weight;
+            best = { signal, similarity };
+          }
+        });
+
+        // Off-level articles are demoted, not excluded
+        const level = difficultyLevel(article.difficulty);
+        const fit = level === null ? 0.5 : 1 - Math.abs(level - targetLevel) / 2;
+
+        return {
+          article,
+          level,
+          best,
+          score: bestScore * (0.75 + 0.25 * fit)
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count);
+
+    return {
+      articleIds: ranked.map(r => r.article.id),
+      reasons: ranked.map(r => ({
+        article_id: r.article.id,
+        reason: describeReason(r.best.signal, r.level),
+        similarity: Math.round(r.best.similarity * 1000) / 1000
+      }))
+    };
+  }
+
+  // Article vectors are cached in article_embeddings and recomputed when the
+  // article text or the embedding model changes
+  async function loadArticleEmbeddings(articles, usage) {
+    const texts = new Map(articles.map(article => [article.id, articleText(article, contentColumn, maxContentChars)]));
+
+    const cached = [];
+    for (const ids of batches([...texts.keys()])) {
+      const { data, error } = await supabase
+        .from('article_embeddings')
+        .select('article_id, model, content_hash, embedding')
+        .in('article_id', ids);
+
+      if (error) {
+        throw new Error(`Failed to fetch article embeddings: ${error.message}`);
+      }
+      cached.push(...(data || []));
+    }
+
+    const vectors = new Map();
+    for (const row of cached) {
+      if (row.model === embeddingProvider.model && row.content_hash === hashText(texts.get(row.article_id))) {
+        vectors.set(row.article_id, row.embedding);
+      }
+    }
+
+    const missing = articles.filter(article => !vectors.has(article.id));
+    if (missing.length === 0) {
+      return vectors;
+    }
+
+    console.log(`Embedding ${missing.length} article(s) with ${embeddingProvider.name} (${embeddingProvider.model})...`);
+    const fresh = [];
+    for (const batch of batches(missing)) {
+      const embedded = await embeddingProvider.embed(batch.map(article => texts.get(article.id)));
+      usage.push(tokenUsage('embedding', embedded.model || embeddingProvider.model, embedded.usage));
+      fresh.push(...embedded.vectors);
+    }
+
+    const rows = missing.map((article, idx) => {
+      vectors.set(article.id, fresh[idx]);
+      return {
+        article_id: article.id,
+        model: embeddingProvider.model,
+        content_hash: hashText(texts.get(article.id)),
+        embedding: fresh[idx],
+        updated_at: new Date().toISOString()
+      };
+    });
+
+    // A failed cache write only costs a re-embed next time
+    const { error: upsertError } = await supabase
+      .from('article_embeddings')
+      .upsert(rows, { onConflict: 'article_id' });
+    if (upsertError) {
+      console.warn('Failed to cache article embeddings:', upsertError.message);
+    }
+
+    return vectors;
+  }
+
+  // Articles recommended on the candidate's latest attempts before this one
+  async function loadRecentRecommendations(attempt) {
+    if (!attempt?.user_id || !excludeRecentAttempts) {
+      return new Set();
+    }
+
+    let query = supabase
+      .from('attempts')
+      .select('recommended_articles')
+      .eq('user_id', attempt.user_id)
+      .neq('id', attempt.id)
+      .not('recommended_articles', 'is', null)
+      .order('created_at', { ascending: false })
+      .limit(excludeRecentAttempts);
+
+    if (attempt.created_at) {
+      query = query.lt('created_at', attempt.created_at);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      console.warn('Failed to fetch recent recommendations:', error.message);
+      return new Set();
+    }
+
+    return new Set((data || []).flatMap(row => row.recommended_articles || []));
+  }
+
+  return { recommend, createLibrary };
+}
+
+// What the articles are matched against: the weakest dimensions (weighted by
+// how weak) and the feedback notes about the answer itself. Dimension text
+// is phrased in the rubric's and station's own terms.
+export function buildSignals(scores, feedback, { rubric = null, station = null } = {}) {
+  const descriptions = new Map((rubric?.dimensions || []).map(d => [d.key, d.description]));
+  const context = [
+    rubric?.name ? `${rubric.name} interview answers` : 'interview answers',
+    station?.title ? `(station: ${station.title})` : ''
+  ].filter(Boolean).join(' ');
+
+  const weakAreas = Object.entries(scores)
+    .filter(([key, score]) => key !== 'Overall' && score < WEAK_SCORE)
+    .sort((a, b) => a[1] - b[1])
+    .slice(0, 3)
+    .map(([key, score]) => ({
+      type: 'dimension',
+      key,
+      score,
+      weight: 1 + (WEAK_SCORE - score) / 100,
+      text: `Improving ${key} in ${context}. ${descriptions.get(key) || ''}`.trim()
+    }));
+
+  const notes = (Array.isArray(feedback) ? feedback : [])
+    .filter(item => item && !item.kind && typeof item.note === 'string' && item.note.trim())
+    .slice(0, 6)
+    .map(item => ({
+      type: 'feedback',
+      note: item.note,
+      weight: 1,
+      text: item.note
+    }));
+
+  return [...weakAreas, ...notes];
+}
+
+function describeReason(signal, level) {
+  const reason = signal.type === 'dimension'
+    ? `Targets ${signal.key}, one of your weaker areas (${signal.score})`
+    : `Relates to your feedback: "${truncate(signal.note, 90)}"`;
+
+  return level === null ? reason : `${reason} - ${DIFFICULTY_NAMES[level - 1]} level`;
+}
+
+// Aim between the station's difficulty and the candidate's current level
+function targetDifficulty(scores, station) {
+  const overall = scores.Overall ?? 0;
+  const candidateLevel = overall < 45 ? 1 : overall < 70 ? 2 : 3;
+  const stationLevel = difficultyLevel(station?.difficulty);
+
+  return stationLevel === null
+    ? candidateLevel
+    : Math.round((candidateLevel + stationLevel) / 2);
+}
+
+// Difficulty on a 1-3 scale from words or 1-3 / 1-5 / 1-10 numbers
+export function difficultyLevel(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const number = Number(value);
+  if (Number.isFinite(number)) {
+    if (number <= 0) return null;
+    if (number <= 3) return Math.round(number);
+    const scale = number <= 5 ? 5 : 10;
+    return Math.min(3, Math.max(1, Math.ceil((number / scale) * 3)));
+  }
+
+  return DIFFICULTY_WORDS[String(value).trim().toLowerCase()] || null;
+}
+
+function articleText(article, contentColumn, maxContentChars) {
+  const content = (contentColumn && article[contentColumn]) || '';
+
+  return [
+    article.title,
+    article.category,
+    Array.isArray(article.tags) ? article.tags.join(', ') : '',
+    String(content).slice(0, maxContentChars)
+  ].filter(Boolean).join('\n');
+}
+
+function batches(items) {
+  const result = [];
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    result.push(items.slice(i, i + BATCH_SIZE));
+  }
+  return result;
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text || '').digest('hex');
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na === 0 || nb === 0 ? 0 : dot / Math.sqrt(na * nb);
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+}
+
+// --------------------------------------------------
+// Keyword fallback
+// --------------------------------------------------
+export function generateArticleRecommendations(scores, availableArticles, stationData) {
+  if (!availableArticles || availableArticles.length === 0) {
+    return [];
+  }
+
+  // Score mapping for weak areas
+  const scoreMapping = {
+    'Structure': ['frameworks-techniques', 'STAR', 'Signposting', 'Answer Structure', 'framework', 'structure'],
+    'Communication': ['performance-skills', 'Body Language', 'Communication Skills', 'Clarity', 'communication', 'interpersonal'],
+    'Empathy': ['clinical-scenarios', 'Patient Care', 'Emotional Intelligence', 'Empathy', 'empathy', 'compassion'],
+    'Ethics': ['frameworks-techniques', 'Ethical Dilemmas', 'GMC Guidelines', 'Medical Ethics', 'ethics', 'law'],
+    'Professionalism': ['performance-skills', 'Professionalism', 'Interview Etiquette', 'Dress Code', 'professionalism', 'integrity'],
+    'Motivation': ['specialty-preparation', 'Personal Statement', 'Career Goals', 'Motivation', 'motivation', 'insight'],
+    'Teamwork': ['clinical-scenarios', 'Teamwork', 'Leadership', 'Collaboration', 'teamwork', 'leadership']
+  };
+
+  // Find weak areas (scores < 75)
+  const weakAreas = [];
+  for (const [area, score] of Object.entries(scores)) {
+    if (area !== 'Overall' && score < 75) {
+      weakAreas.push({ area, score });
+    }
+  }
+  weakAreas.sort((a, b) => a.score - b.score);
+
+  // Score articles by relevance
+  const articleScores = new Map();
+  
+  for (const article of availableArticles) {
+    let score = 0;
+    
+    // Score based on weak areas
+    for (let i = 0; i < Math.min(weakAreas.length, 3); i++) {
+      const weakArea = weakAreas[i];
+      const keywords = scoreMapping[weakArea.area] || [];
+      
+      const categoryMatch = keywords.some(kw =>
+        (article.category || '').toLowerCase().includes(kw.toLowerCase())
+      );
+      const tagMatch = article.tags && keywords.some(kw =>
+        article.tags.some(tag => String(tag).toLowerCase().includes(kw.toLowerCase()))
+      );
+      const titleMatch = keywords.some(kw =>
+        (article.title || '').toLowerCase().includes(kw.toLowerCase())
+      );
+      
+      if (categoryMatch || tagMatch || titleMatch) {
+        score += (15 - i * 3);
+      }
+    }
+    
+    // Score based on station context
+    if (stationData) {
+      if (stationData.role_play) {
+        if (article.tags?.some(t =>
+          /communication|interpersonal|breaking bad news|spikes|role|patient|interaction/i.test(t)
+        )) {
+          score += 8;
+        }
+      }
+      
+      if (stationData.graph_data) {
+        if (article.tags?.some(t =>
+          /data|graph|chart|interpret|analysis|statistics/i.test(t)
+        )) {
+          score += 8;
+        }
+      }
+    }
+    
+    if (score > 0) {
+      articleScores.set(article.id, score);
+    }
+  }
+  
+  // Get top 3 articles
+  const rankedArticles = Array.from(articleScores.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([id]) => id)
+    .slice(0, 3);
+  
+  // Fill with general articles if needed
+  if (rankedArticles.length < 3) {
+    const generalArticles = availableArticles
+      .filter(a => !rankedArticles.includes(a.id))
+      .slice(0, 3 - rankedArticles.length)
+      .map(a => a.id);
+    
+    return [...rankedArticles, ...generalArticles];
+  }
+  
+  return rankedArticles;
+}
@@ -0,0 +1,270 @@
+// --------------------------------------------------
+// PII redaction
+// --------------------------------------------------
+// Personal details in the transcript (the candidate's name, school, hometown,
+// relatives and patients, contact details, dates of birth) are replaced with
+// typed placeholders such as [NAME_1] before the transcript is stored or sent
+// to the analysis model. The same value always gets the same placeholder, so
+// the model can still follow who is who.
+
+const NAME = "[A-Z][a-z'’-]+";
+const FULL_NAME = `${NAME}(?:\\s+${NAME}){0,2}`;
+const PLACE = `${NAME}(?:[\\s-]+(?:upon|on|under|in|le|de|${NAME})){0,3}`;
+
+const MONTHS = 'January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec';
+
+// Detectors run in this order; `group` picks the part of the match that is
+// personal (e.g. the name after "my name is")
+const DETECTORS = [
+  { type: 'EMAIL', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  { type: 'PHONE', pattern: /(?:\+44\s?\(?0?\)?\s?|\b0)\d(?:[\s-]?\d){8,9}\b/g },
+  { type: 'POSTCODE', pattern: /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/g },
+  {
+    type: 'DATE_OF_BIRTH',
+    pattern: new RegExp(`\\b(?:\\d{1,2}(?:st|nd|rd|th)?(?:\\s+of)?\\s+(?:${MONTHS})\\.?,?\\s+(?:19|20)\\d{2}|(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+(?:19|20)\\d{2}|\\d{1,2}[/.-]\\d{1,2}[/.-](?:19|20)?\\d{2})\\b`, 'g')
+  },
+  {
+    type: 'SCHOOL',
+    pattern: new RegExp(`\\b(?:${NAME}\\s+){1,4}(?:High School|Grammar School|Primary School|School|Academy|Sixth Form College|Sixth Form|College)\\b`, 'g'),
+    // "Medical School" and similar are not identifying
+    exclude: /^(?:Medical|Dental|Veterinary|Nursing|Secondary|Primary|High|Grammar|Sixth)\s+(?:School|College|Academy|Form)/
+  },
+  {
+    type: 'NAME',
+    pattern: new RegExp(`\\b(?:[Mm]y name is|[Mm]y name's|I'm called|I am called|[Cc]all me|(?:Hi|Hello),?\\s+I'm|(?:Hi|Hello),?\\s+I am)\\s+(${FULL_NAME})`, 'g'),
+    group: 1
+  },
+  {
+    type: 'NAME',
+    pattern: new RegExp(`\\b(?:Dr|Mr|Mrs|Ms|Miss|Doctor|Nurse|Professor|Sister)\\.?\\s+(${FULL_NAME})`, 'g'),
+    group: 1
+  },
+  {
+    type: 'NAME',
+    pattern: new RegExp(`\\b[Mm]y\\s+(?:mum|mother|dad|father|brother|sister|son|daughter|wife|husband|partner|grandma|gran|nan|grandmother|grandad|grandpa|grandfather|aunt|auntie|uncle|cousin|friend|patient|neighbour|colleague|teacher|tutor),?\\s+(${FULL_NAME})`, 'g'),
+    group: 1
+  },
+  {
+    type: 'NAME',
+    pattern: new RegExp(`\\b(?:patient|resident|client)\\s+(?:called|named)\\s+(?:(?:Dr|Mr|Mrs|Ms|Miss)\\.?\\s+)?(${FULL_NAME})`, 'g'),
+    group: 1
+  },
+  {
+    type: 'LOCATION',
+    pattern: new RegExp(`\\b(?:I'm from|I am from|I come from|I live in|I grew up in|I was born in|born and raised in|my hometown(?: is|,)?|my home town(?: is|,)?)\\s+(${PLACE})`, 'g'),
+    group: 1
+  }
+];
+
+// Capitalised words that follow the trigger phrases without being names
+const NOT_NAMES = new Set([
+  'I', 'The', 'A', 'An', 'And', 'But', 'So', 'Then', 'Well', 'Really', 'Just', 'Not', 'Very',
+  'Who', 'When', 'Was', 'Is', 'Had', 'Has', 'Said', 'Says',
+  'Doctor', 'Nurse', 'England', 'Scotland', 'Wales', 'Ireland', 'Britain', 'London',
+  'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday', 'GP', 'NHS'
+]);
+
+// Name parts that are also ordinary words: "Will Smith" is redacted in full
+// and "Smith" on its own, but a later "Will" is left alone
+const COMMON_WORDS = new Set([
+  'will', 'hope', 'mark', 'grace', 'faith', 'joy', 'rose', 'may', 'june', 'april', 'august',
+  'bill', 'pat', 'rob', 'sue', 'jack', 'frank', 'dawn', 'summer', 'autumn', 'penny', 'ruby',
+  'amber', 'holly', 'ivy', 'lily', 'daisy', 'iris', 'heather', 'jade', 'sky', 'river', 'miles',
+  'chase', 'hunter', 'guy', 'art', 'carol', 'drew', 'ray', 'gene', 'reading', 'bath', 'street',
+  'green', 'hill', 'wood', 'young', 'king', 'long', 'white', 'brown', 'black', 'park', 'lane',
+  'new', 'north', 'south', 'east', 'west', 'upon', 'under', 'saint', 'st'
+]);
+
+// Names, places and schools are only recognised capitalised, so they are
+// matched case-sensitively: "Reading" is a town, "reading" is not
+const CASE_SENSITIVE_TYPES = new Set(['NAME', 'LOCATION', 'SCHOOL']);
+
+// Finds personal details across every text of an attempt (transcript and
+// segments) and returns a redactor that replaces them consistently
+export function createRedactor(texts) {
+  const entities = new Map();
+  const counters = {};
+
+  for (const text of texts) {
+    for (const { value, type } of detect(text || '')) {
+      const key = value.toLowerCase();
+      if (entities.has(key)) continue;
+
+      counters[type] = (counters[type] || 0) + 1;
+      const entity = { value, type, placeholder: `[${type}_${counters[type]}]` };
+      entities.set(key, entity);
+
+      // "Sarah Jones" also covers a later "Sarah" on its own
+      if (type === 'NAME' && value.includes(' ')) {
+        for (const part of value.split(/\s+/)) {
+          if (part.length >= 3 && !COMMON_WORDS.has(part.toLowerCase()) && !entities.has(part.toLowerCase())) {
+            entities.set(part.toLowerCase(), { ...entity, value: part });
+          }
+        }
+      }
+    }
+  }
+
+  // Longest first, so "Sarah Jones" is replaced before "Sarah"
+  const ordered = [...entities.values()].sort((a, b) => b.value.length - a.value.length);
+  const patterns = ordered.map(entity => {
+    const caseSensitive = CASE_SENSITIVE_TYPES.has(entity.type);
+    return {
+      entity,
+      pattern: new RegExp(`(?<![\\w])${escapeRegExp(entity.value).replace(/\s+/g, '\\s+')}(?![\\w])`, caseSensitive ? 'g' : 'gi'),
+      tokens: wordTokens(entity.value, caseSensitive)
+    };
+  });
+
+  function redactText(text) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+    let result = text;
+    for (const { entity, pattern } of patterns) {
+      result = result.replace(pattern, entity.placeholder);
+    }
+    return result;
+  }
+
+  // Word timestamps: the first word of a detected value becomes the
+  // placeholder and the rest of it is dropped. Matching runs on tokens, since
+  // one Whisper word can hold several ("sarah@gmail.com"). Case is compared
+  // the same way as in redactText.
+  function redactWords(words) {
+    const stream = [];
+    words.forEach((word, index) => {
+      for (const token of wordTokens(String(word.word ?? ''), true)) {
+        stream.push({ token, index });
+      }
+    });
+
+    const replaced = new Map();
+    const dropped = new Set();
+    for (let s = 0; s < stream.length; s++) {
+      const match = patterns.find(({ entity, tokens }) => tokens.length > 0 &&
+        tokens.every((token, k) => stream[s + k] !== undefined &&
+          (CASE_SENSITIVE_TYPES.has(entity.type) ? stream[s + k].token : stream[s + k].token.toLowerCase()) === token));
+      if (!match) continue;
+
+      const first = stream[s].index;
+      const last = stream[s + match.tokens.length - 1].index;
+      replaced.set(first, { ...words[first], word: match.entity.placeholder, end: words[last].end });
+      for (let i = first + 1; i <= last; i++) {
+        dropped.add(i);
+      }
+      s += match.tokens.length - 1;
+    }
+
+    return words
+      .map((word, i) => replaced.get(i) || word)
+      .filter((word, i) => !dropped.has(i));
+  }
+
+  return {
+    redactText,
+    redactWords,
+    // Types and counts only; the values themselves are never recorded here
+    summary() {
+      const counts = {};
+      const distinct = new Map([...entities.values()].map(entity => [entity.placeholder, entity.type]));
+      for (const type of distinct.values()) {
+        counts[type] = (counts[type] || 0) + 1;
+      }
+      return { count: distinct.size, types: counts };
+    }
+  };
+}
+
+// Redacts the transcript, segments and words of one attempt together
+export function redactTranscript({ transcript, segments, words = [] }) {
+  const redactor = createRedactor([transcript, ...segments.map(seg => seg.text)]);
+
+  return {
+    transcript: redactor.redactText(transcript),
+    segments: segments.map(seg => ({ ...seg, text: redactor.redactText(seg.text) })),
+    words: redactor.redactWords(words),
+    redactions: redactor.summary()
+  };
+}
+
+// Keeps the unredacted transcript in a table only the service role can read,
+// for deployments whose policy allows it
+export async function saveOriginalTranscript(supabase, attemptId, { transcript, segments, words }, redactions) {
+  const { error } = await supabase.from('attempt_transcripts_private').upsert({
+    attempt_id: attemptId,
+    transcript,
+    transcript_segments: segments,
+    transcript_words: words,
+    redactions,
+    created_at: new Date().toISOString()
+  }, { onConflict: 'attempt_id' });
+
+  if (error) {
+    throw new Error(`Failed to store original transcript: ${error.message}`);
+  }
+}
+
+function detect(text) {
+  const found = [];
+
+  for (const { type, pattern, group = 0, exclude } of DETECTORS) {
+    for (const match of text.matchAll(pattern)) {
+      let value = match[group].trim().replace(/[.,;:!?]+$/, '');
+      if (type === 'SCHOOL') {
+        value = trimLeadingWords(value);
+      }
+      if (!value || (exclude && exclude.test(value))) continue;
+
+      if (type === 'NAME' || type === 'LOCATION') {
+        value = trimCommonWords(value);
+        if (!value) continue;
+      }
+      found.push({ type, value });
+    }
+  }
+
+  return found;
+}
+
+// Sentence openers caught by the capitalised-word pattern: "At Hillcrest
+// Academy" -> "Hillcrest Academy"
+const LEADING_WORDS = new Set([
+  'At', 'In', 'From', 'To', 'My', 'Our', 'The', 'A', 'When', 'While', 'During', 'After',
+  'Before', 'Since', 'Then', 'So', 'And', 'But', 'I', 'We', 'Went', 'Attended', 'Local'
+]);
+
+function trimLeadingWords(value) {
+  const parts = value.split(/\s+/);
+  while (parts.length > 1 && LEADING_WORDS.has(parts[0])) {
+    parts.shift();
+  }
+  return parts.join(' ');
+}
+
+// "Sarah And" -> "Sarah"; a value made only of common words is dropped
+function trimCommonWords(value) {
+  const parts = value.split(/\s+/);
+  const kept = [];
+  for (const part of parts) {
+    if (NOT_NAMES.has(part)) break;
+    kept.push(part);
+  }
+  return kept.join(' ');
+}
+
+// Word tokens for matching timestamped words; unlike metrics' tokenize, case
+// is kept unless the match is case-insensitive
+function wordTokens(text, caseSensitive) {
+  return String(text || '')
+    .replace(/[’‘]/g, "'")
+    .replace(/[^A-Za-z0-9'\s-]/g, ' ')
+    .split(/[\s-]+/)
+    .map(w => w.replace(/^'+|'+$/g, ''))
+    .filter(w => w.length > 0)
+    .map(w => (caseSensitive ? w : w.toLowerCase()));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
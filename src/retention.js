@@ -0,0 +1,291 @@
+import { extractAudio } from "./audio.js";
+
+// --------------------------------------------------
+// Recording retention
+// --------------------------------------------------
+// What happens to recordings in the "recordings" bucket once they have served
+// their purpose. `policy` applies as soon as an analysis completes: "keep",
+// "delete", or "audio" (the video is replaced by a compressed audio copy, so
+// the attempt can still be reprocessed). Age-based rules are applied by a
+// periodic sweep. Every action is appended to attempts.recording_retention_log.
+//
+// attempts.recording_state: null (original recording), 'audio_only' or 'deleted'
+
+const BUCKET = 'recordings';
+
+export function createRetentionManager({ supabase, policy, retentionDays, failedRetentionDays, sweepIntervalMs, batchSize }) {
+  const enabled = policy !== 'keep' || Boolean(retentionDays) || Boolean(failedRetentionDays);
+  let running = false;
+  let sweeping = false;
+  let timer = null;
+
+  // Called once a job has completed; problems are logged, never propagated
+  // into the job
+  async function applyAfterAnalysis(attempt) {
+    if (policy === 'keep') {
+      return;
+    }
+
+    try {
+      await applyPolicy(attempt, 'analysed');
+    } catch (err) {
+      console.error(`Retention policy "${policy}" failed for attempt ${attempt.id}:`, err.message);
+    }
+  }
+
+  async function applyPolicy(attempt, reason) {
+    if (policy === 'delete') {
+      return deleteRecordings(attempt, reason);
+    }
+    if (policy === 'audio') {
+      return keepAudioOnly(attempt, reason);
+    }
+    return [];
+  }
+
+  // One pass over every rule; returns counts per rule
+  async function sweep() {
+    if (sweeping) {
+      return null;
+    }
+
+    sweeping = true;
+    const summary = { expired: 0, failed: 0, policy: 0, errors: 0 };
+
+    try {
+      if (retentionDays) {
+        const attempts = await findAttempts(query => query
+          .lt('created_at', daysAgo(retentionDays))
+          .or('recording_state.is.null,recording_state.neq.deleted'));
+        await each(attempts, attempt => deleteRecordings(attempt, 'expired'), 'expired', summary);
+      }
+
+      if (failedRetentionDays) {
+        const attempts = await findFailedAttempts(daysAgo(failedRetentionDays));
+        await each(attempts, attempt => deleteRecordings(attempt, 'failed'), 'failed', summary);
+      }
+
+      // Attempts analysed before the policy was introduced, or whose
+      // post-analysis step failed
+      if (policy !== 'keep') {
+        const attempts = await findAttempts(query => query
+          .not('scores', 'is', null)
+          .is('recording_state', null));
+        await each(attempts, attempt => applyPolicy(attempt, 'policy'), 'policy', summary);
+      }
+    } finally {
+      sweeping = false;
+    }
+
+    return summary;
+  }
+
+  async function each(attempts, action, key, summary) {
+    for (const attempt of attempts) {
+      try {
+        await action(attempt);
+        summary[key]++;
+      } catch (err) {
+        summary.errors++;
+        console.error(`Retention sweep (${key}) failed for attempt ${attempt.id}:`, err.message);
+      }
+    }
+  }
+
+  async function findAttempts(filter) {
+    const { data, error } = await filter(supabase
+      .from('attempts')
+      .select('id, station_recordings, recording_state, recording_retention_log'))
+      .order('created_at', { ascending: true })
+      .limit(batchSize);
+
+    if (error) {
+      throw new Error(`Failed to fetch attempts for retention: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  // Attempts that were never scored, still have a recording and whose latest
+  // job failed before the cutoff. Handled attempts drop out of the result, so
+  // each sweep moves on to the next batch.
+  async function findFailedAttempts(cutoff) {
+    const { data, error } = await supabase.rpc('failed_recording_attempts', {
+      p_cutoff: cutoff,
+      p_limit: batchSize
+    });
+
+    if (error) {
+      throw new Error(`Failed to fetch failed attempts for retention: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  async function deleteRecordings(attempt, reason) {
+    const paths = await recordingPaths(attempt);
+
+    if (paths.length > 0) {
+      const { error } = await supabase.storage.from(BUCKET).remove(paths);
+      if (error) {
+        throw new Error(`Failed to delete recordings: ${error.message}`);
+      }
+    }
+
+    const at = new Date().toISOString();
+    await record(attempt, {
+      recording_state: 'deleted',
+      recording_deleted_at: at
+    }, paths.map(path => ({ action: 'deleted', path, reason, at })));
+
+    console.log(`🗑️ Deleted ${paths.length} recording(s) for attempt ${attempt.id} (${reason})`);
+    return paths;
+  }
+
+  async function keepAudioOnly(attempt, reason) {
+    const paths = await recordingPaths(attempt);
+    const events = [];
+    const missing = [];
+    let stationRecordings = attempt.station_recordings;
+
+    for (const videoPath of paths) {
+      if (isAudioCopy(videoPath)) continue;
+
+      const { data: blob, error: downloadError } = await supabase.storage.from(BUCKET).download(videoPath);
+      if (downloadError || !blob) {
+        console.warn(`Recording ${videoPath} could not be downloaded for audio extraction:`, downloadError?.message || 'no data');
+        missing.push(videoPath);
+        continue;
+      }
+
+      const fileName = videoPath.substring(videoPath.lastIndexOf('/') + 1);
+      const audio = await extractAudio(Buffer.from(await blob.arrayBuffer()), fileName);
+      const audioPath = `${videoPath.substring(0, videoPath.lastIndexOf('.'))}.audio.mp3`;
+
+      const { error: uploadError } = await supabase.storage.from(BUCKET).upload(audioPath, audio, {
+        contentType: 'audio/mpeg',
+        upsert: true
+      });
+      if (uploadError) {
+        throw new Error(`Failed to upload audio copy of ${videoPath}: ${uploadError.message}`);
+      }
+
+      // Point jobs and station recordings at the audio copy before the video goes
+      const { error: queueError } = await supabase
+        .from('analysis_queue')
+        .update({ video_url: audioPath })
+        .eq('attempt_id', attempt.id)
+        .eq('video_url', videoPath);
+      if (queueError) {
+        throw new Error(`Failed to update jobs for ${videoPath}: ${queueError.message}`);
+      }
+      if (Array.isArray(stationRecordings)) {
+        stationRecordings = stationRecordings.map(r => (r?.video_path === videoPath ? { ...r, video_path: audioPath } : r));
+      }
+
+      const { error: removeError } = await supabase.storage.from(BUCKET).remove([videoPath]);
+      if (removeError) {
+        throw new Error(`Failed to delete ${videoPath}: ${removeError.message}`);
+      }
+
+      events.push({ action: 'replaced_with_audio', path: videoPath, audio_path: audioPath, reason, at: new Date().toISOString() });
+    }
+
+    // Videos that could not be converted are still in storage, so the attempt
+    // stays unmarked and the next sweep tries again
+    await record(attempt, {
+      ...(missing.length === 0 ? { recording_state: 'audio_only' } : {}),
+      ...(Array.isArray(stationRecordings) ? { station_recordings: stationRecordings } : {})
+    }, events);
+
+    if (missing.length > 0) {
+      throw new Error(`Could not download ${missing.join(', ')} for audio extraction`);
+    }
+
+    console.log(`🎧 Kept audio only for ${events.length} recording(s) of attempt ${attempt.id} (${reason})`);
+    return events.map(e => e.path);
+  }
+
+  // Every storage path the attempt's recordings were uploaded to
+  async function recordingPaths(attempt) {
+    const paths = new Set();
+
+    for (const recording of Array.isArray(attempt.station_recordings) ? attempt.station_recordings : []) {
+      if (recording?.video_path) {
+        paths.add(recording.video_path);
+      }
+    }
+
+    const { data: jobs, error } = await supabase
+      .from('analysis_queue')
+      .select('video_url')
+      .eq('attempt_id', attempt.id);
+
+    if (error) {
+      throw new Error(`Failed to fetch jobs for attempt ${attempt.id}: ${error.message}`);
+    }
+    for (const job of jobs || []) {
+      if (job.video_url && job.video_url.trim() !== '') {
+        paths.add(job.video_url);
+      }
+    }
+
+    return [...paths];
+  }
+
+  async function record(attempt, changes, events) {
+    const { error } = await supabase.from('attempts').update({
+      ...changes,
+      recording_retention_log: [...(attempt.recording_retention_log || []), ...events]
+    }).eq('id', attempt.id);
+
+    if (error) {
+      throw new Error(`Failed to record retention for attempt ${attempt.id}: ${error.message}`);
+    }
+  }
+
+  function schedule(delay) {
+    clearTimeout(timer);
+    if (running) {
+      timer = setTimeout(run, delay);
+    }
+  }
+
+  async function run() {
+    try {
+      const summary = await sweep();
+      if (summary && (summary.expired || summary.failed || summary.policy || summary.errors)) {
+        console.log(`Retention sweep: ${summary.expired} expired, ${summary.failed} failed, ${summary.policy} by policy, ${summary.errors} error(s)`);
+      }
+    } catch (err) {
+      console.error('Retention sweep failed:', err.message);
+    } finally {
+      schedule(sweepIntervalMs);
+    }
+  }
+
+  return {
+    applyAfterAnalysis,
+    sweep,
+
+    start() {
+      if (running || !enabled) {
+        return;
+      }
+      running = true;
+      console.log(`✅ Recording retention: policy ${policy}, ${retentionDays ? `delete after ${retentionDays} day(s)` : 'no age limit'}${failedRetentionDays ? `, failed after ${failedRetentionDays} day(s)` : ''}`);
+      schedule(0);
+    },
+
+    stop() {
+      running = false;
+      clearTimeout(timer);
+    }
+  };
+}
+
+function isAudioCopy(path) {
+  return path.toLowerCase().endsWith('.audio.mp3');
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
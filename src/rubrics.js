@@ -0,0 +1,167 @@
+// --------------------------------------------------
+// Scoring rubric profiles
+// --------------------------------------------------
+
+// Built-in profile used when no rubric_profiles row applies, and as the
+// source of defaults for any field a row leaves empty
+export const DEFAULT_RUBRIC = {
+  id: null,
+  slug: 'uk-medicine-mmi',
+  name: 'UK medicine MMI',
+  version: 1,
+  persona: 'You are a HIGHLY CRITICAL UK medical school MMI examiner with VERY HIGH STANDARDS. You are evaluating candidates for competitive UK medical schools. Your role is to provide HONEST, RIGOROUS assessment based ONLY on what you observe in the transcript.',
+  dimensions: [
+    { key: 'Structure', weight: 1 },
+    { key: 'Communication', weight: 1 },
+    { key: 'Empathy', weight: 1 },
+    { key: 'Ethics', weight: 1 },
+    { key: 'Professionalism', weight: 1 },
+    { key: 'Motivation', weight: 1 },
+    { key: 'Teamwork', weight: 1 }
+  ],
+  bands: [
+    { min: 0, max: 10, descriptor: 'No meaningful response, silence, single words, completely off-topic' },
+    { min: 11, max: 25, descriptor: 'Extremely poor, admits not knowing, unprepared, incoherent' },
+    { min: 26, max: 40, descriptor: 'Poor/inadequate response, major gaps, very vague' },
+    { min: 41, max: 55, descriptor: 'Below average, lacks depth, generic platitudes' },
+    { min: 56, max: 65, descriptor: 'Average, meets minimal expectations but unremarkable' },
+    { min: 66, max: 75, descriptor: 'Good, solid response with some strengths' },
+    { min: 76, max: 85, descriptor: 'Very good, clear structure and good insight' },
+    { min: 86, max: 93, descriptor: 'Excellent, comprehensive and well-articulated' },
+    { min: 94, max: 100, descriptor: 'Outstanding, exceptional depth and professionalism' }
+  ],
+  duration: {
+    // Length of a real station answer
+    expectedSec: 420,
+    // Answers at or below capBelowSec have every score capped at capScore
+    capBelowSec: 120,
+    capScore: 30,
+    recommendedSec: 240
+  },
+  promptTemplate: null
+};
+
+const RUBRIC_COLUMNS = 'id, slug, name, version, persona, dimensions, bands, duration_rules, prompt_template';
+
+// Selection order: the attempt's override (rubric_profile_id, never written
+// by the worker), then the station's profile, then the profile flagged
+// is_default, then the built-in default
+export async function loadRubric(supabase, { attempt, station }) {
+  const candidates = [attempt?.rubric_profile_id, station?.rubric_profile_id].filter(Boolean);
+
+  for (const profileId of candidates) {
+    const { data, error } = await supabase
+      .from('rubric_profiles')
+      .select(RUBRIC_COLUMNS)
+      .eq('id', profileId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch rubric profile ${profileId}: ${error.message}`);
+    }
+    if (data) {
+      return normaliseRubric(data);
+    }
+    console.warn(`Rubric profile ${profileId} not found - falling back`);
+  }
+
+  const { data: defaultProfile, error } = await supabase
+    .from('rubric_profiles')
+    .select(RUBRIC_COLUMNS)
+    .eq('is_default', true)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch default rubric profile: ${error.message}`);
+  }
+
+  return defaultProfile ? normaliseRubric(defaultProfile) : DEFAULT_RUBRIC;
+}
+
+export function normaliseRubric(row) {
+  const dimensions = Array.isArray(row.dimensions) && row.dimensions.length > 0
+    ? row.dimensions
+      .filter(d => d && typeof d.key === 'string' && d.key !== 'Overall')
+      .map(d => ({
+        key: d.key,
+        weight: Number.isFinite(Number(d.weight)) ? Number(d.weight) : 1,
+        description: d.description || null
+      }))
+    : DEFAULT_RUBRIC.dimensions;
+
+  return {
+    id: row.id,
+    slug: row.slug || DEFAULT_RUBRIC.slug,
+    name: row.name || DEFAULT_RUBRIC.name,
+    version: row.version || 1,
+    persona: row.persona || DEFAULT_RUBRIC.persona,
+    dimensions,
+    bands: Array.isArray(row.bands) && row.bands.length > 0 ? row.bands : DEFAULT_RUBRIC.bands,
+    duration: { ...DEFAULT_RUBRIC.duration, ...(row.duration_rules || {}) },
+    promptTemplate: row.prompt_template || null
+  };
+}
+
+export function zeroScores(rubric) {
+  const scores = {};
+  for (const { key } of rubric.dimensions) {
+    scores[key] = 0;
+  }
+  scores.Overall = 0;
+  return scores;
+}
+
+// Overall is the weighted mean of the dimension scores, not the model's guess
+export function computeOverall(scores, rubric) {
+  let total = 0;
+  let weights = 0;
+
+  for (const { key, weight } of rubric.dimensions) {
+    if (typeof scores[key] === 'number' && weight > 0) {
+      total += scores[key] * weight;
+      weights += weight;
+    }
+  }
+
+  return weights > 0 ? Math.round(total / weights) : 0;
+}
+
+// Caps every score for answers too short to show depth and explains why.
+// Returns true when the cap applied.
+export function applyDurationCap(analysis, totalDuration, rubric) {
+  const { capBelowSec, capScore, expectedSec, recommendedSec } = rubric.duration;
+
+  if (!capBelowSec || totalDuration > capBelowSec) {
+    return false;
+  }
+
+  console.log(`Response duration ${totalDuration.toFixed(1)}s <= ${capBelowSec}s - capping all scores at ${capScore}%`);
+
+  for (const key in analysis.scores) {
+    if (analysis.scores[key] > capScore) {
+      console.log(`  Capping ${key}: ${analysis.scores[key]} -> ${capScore}`);
+      analysis.scores[key] = capScore;
+    }
+  }
+
+  const hasTimeFeedback = analysis.feedback.some(f =>
+    f.note && (f.note.toLowerCase().includes('duration') ||
+               f.note.toLowerCase().includes('length') ||
+               f.note.toLowerCase().includes('time'))
+  );
+
+  if (!hasTimeFeedback) {
+    analysis.feedback.unshift({
+      ts: '00:00',
+      note: `Response duration (${formatMinutes(totalDuration)}) is significantly below the expected ${Math.round(expectedSec / 60)}-minute timeframe for this station. In real interviews, responses under ${formatMinutes(capBelowSec)} typically receive a maximum of ${capScore}% as they lack sufficient depth and development. Aim for at least ${Math.round(recommendedSec / 60)} minutes to demonstrate comprehensive understanding.`
+    });
+  }
+
+  return true;
+}
+
+function formatMinutes(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
@@ -0,0 +1,108 @@
+// --------------------------------------------------
+// Speaker separation (role-play stations)
+// --------------------------------------------------
+// Segments and words are labelled "candidate" or "actor" from speaker turns,
+// which come either from the client (attempts.speaker_turns, e.g. when the
+// actor is a pre-recorded video) or from a diarization provider.
+
+export const CANDIDATE = 'candidate';
+export const ACTOR = 'actor';
+
+// attempts.speaker_turns = [{ "start_sec": 0, "end_sec": 12.5, "speaker": "actor" }, ...];
+// any speaker other than "candidate" is treated as the actor or examiner
+export function turnsFromAttempt(attempt) {
+  if (!Array.isArray(attempt.speaker_turns) || attempt.speaker_turns.length === 0) {
+    return null;
+  }
+
+  const turns = attempt.speaker_turns
+    .filter(t => t && Number.isFinite(Number(t.start_sec)) && Number.isFinite(Number(t.end_sec)))
+    .map(t => ({
+      start: Number(t.start_sec),
+      end: Number(t.end_sec),
+      speaker: t.speaker === CANDIDATE ? CANDIDATE : ACTOR
+    }));
+
+  return turns.length > 0 ? turns : null;
+}
+
+// Diarization returns anonymous speakers ("SPEAKER_00"); the candidate is
+// taken to be whoever speaks longest, since the actor only prompts
+export function turnsFromDiarization(diarized) {
+  if (!Array.isArray(diarized) || diarized.length === 0) {
+    return null;
+  }
+
+  const talkTime = new Map();
+  for (const turn of diarized) {
+    talkTime.set(turn.speaker, (talkTime.get(turn.speaker) || 0) + (turn.end - turn.start));
+  }
+  const candidate = [...talkTime.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+  return diarized.map(turn => ({
+    start: turn.start,
+    end: turn.end,
+    speaker: turn.speaker === candidate ? CANDIDATE : ACTOR
+  }));
+}
+
+// Each segment or word gets the speaker whose turns overlap it most; with no
+// overlapping turn it is assumed to be the candidate
+export function labelSpeakers(items, turns) {
+  return items.map(item => {
+    const overlap = { [CANDIDATE]: 0, [ACTOR]: 0 };
+    for (const turn of turns) {
+      const shared = Math.min(item.end, turn.end) - Math.max(item.start, turn.start);
+      if (shared > 0) {
+        overlap[turn.speaker] += shared;
+      }
+    }
+    return {
+      ...item,
+      speaker: overlap[ACTOR] > overlap[CANDIDATE] ? ACTOR : CANDIDATE
+    };
+  });
+}
+
+export function hasSpeakerLabels(segments) {
+  return segments.some(seg => seg.speaker === ACTOR);
+}
+
+// What the speech metrics and quality gate see: the candidate's own words on
+// their own timeline. Unlabelled segments are returned as they are.
+export function candidateSpeech(transcript, segments) {
+  if (!hasSpeakerLabels(segments)) {
+    return { transcript, segments };
+  }
+
+  const own = candidateTimeline(segments);
+  return {
+    transcript: own.map(seg => (seg.text || '').trim()).join(' ').trim(),
+    segments: own
+  };
+}
+
+// The candidate's segments on a timeline with the actor's turns cut out: the
+// gap before an actor line and the line itself are removed, the gap after it
+// (the candidate's response time) is kept. Pace, pauses and duration then
+// describe only the candidate's speech.
+export function candidateTimeline(segments) {
+  const result = [];
+  let removed = 0;
+  let previousEnd = 0;
+
+  for (const seg of segments) {
+    if (seg.speaker === ACTOR) {
+      removed += Math.max(0, seg.end - previousEnd);
+    } else {
+      result.push({
+        ...seg,
+        start: Math.max(0, seg.start - removed),
+        end: Math.max(0, seg.end - removed)
+      });
+    }
+    previousEnd = Math.max(previousEnd, seg.end);
+  }
+
+  return result;
+}
@@ -0,0 +1,14 @@
+import { createClient } from "@supabase/supabase-js";
+
+// --------------------------------------------------
+// Supabase client (service role)
+// --------------------------------------------------
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+  console.error('❌ Missing Supabase environment variables');
+  process.exit(1);
+}
+
+export const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
@@ -0,0 +1,262 @@
+// --------------------------------------------------
+// Progress against the candidate's previous attempts
+// --------------------------------------------------
+
+const TRACKED_METRICS = [
+  // lowerIsBetter: null means closer to the target range is better
+  { key: 'wpm', label: 'speaking pace', theme: 'pace', lowerIsBetter: null },
+  { key: 'fillerRate', label: 'filler use', theme: 'fillers', lowerIsBetter: true },
+  { key: 'longestPauseSec', label: 'longest pause', theme: 'hesitation', lowerIsBetter: true }
+];
+
+// Conversational pace for an MMI answer
+const TARGET_WPM = { min: 120, max: 160 };
+
+// A score change smaller than this is reported as "no change"
+const NOTABLE_CHANGE = 5;
+
+// Recurring feedback themes, matched against feedback notes. Metric-based
+// themes also fire from the speech metrics so they do not depend on wording.
+const FEEDBACK_THEMES = [
+  { key: 'structure', label: 'answer structure', pattern: /structur|signpost|organi[sz]|framework|\bstar\b|conclu/i },
+  { key: 'specificity', label: 'specific examples', pattern: /specific|vague|generic|concrete|example/i },
+  { key: 'depth', label: 'depth and reflection', pattern: /depth|superficial|reflect|insight|elaborat|expand/i },
+  { key: 'empathy', label: 'empathy', pattern: /empath|compassion|feelings|patient'?s? (perspective|concerns)/i },
+  { key: 'ethics', label: 'ethical reasoning', pattern: /ethic|autonomy|beneficence|maleficence|justice|confidential|consent/i },
+  { key: 'relevance', label: 'answering the question', pattern: /off.?topic|irrelevant|did not (answer|address)|stay on/i },
+  {
+    key: 'fillers',
+    label: 'filler words',
+    pattern: /filler|\bum+\b|\buh+\b|\berm+\b|you know/i,
+    metric: metrics => metrics.fillerRate > 0.03
+  },
+  {
+    key: 'pace',
+    label: 'speaking pace',
+    pattern: /too (fast|quick|slow)|\bpace\b|rushed/i,
+    metric: metrics => metrics.wpm > 0 && (metrics.wpm < TARGET_WPM.min || metrics.wpm > TARGET_WPM.max)
+  },
+  {
+    key: 'hesitation',
+    label: 'long pauses',
+    pattern: /pause|hesitat|silen/i,
+    metric: metrics => metrics.longestPauseSec > 5
+  }
+];
+
+// The candidate's earlier scored attempts, newest first. Recordings the
+// quality gate rejected have zeroed scores and are left out.
+export async function loadPreviousAttempts(supabase, attempt, { limit }) {
+  if (!attempt.user_id) {
+    return [];
+  }
+
+  let query = supabase
+    .from('attempts')
+    .select('id, created_at, scores, metrics, feedback')
+    .eq('user_id', attempt.user_id)
+    .neq('id', attempt.id)
+    .not('scores', 'is', null)
+    .is('metrics->quality->>reason', null)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  // Re-scoring an old attempt compares it with what came before it
+  if (attempt.created_at) {
+    query = query.lt('created_at', attempt.created_at);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch previous attempts: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+// Trend block stored on the attempt: per-dimension and metric change since
+// the last attempt, rolling averages over the window (current included), and
+// feedback themes that came up again
+export function computeTrends(result, previous, { window }) {
+  if (previous.length === 0) {
+    return null;
+  }
+
+  const last = previous[0];
+  const recent = previous.slice(0, window - 1);
+
+  const dimensions = {};
+  for (const [key, current] of Object.entries(result.scores)) {
+    dimensions[key] = trendFor(current, recent.map(a => a.scores?.[key]));
+  }
+
+  const metrics = {};
+  for (const { key } of TRACKED_METRICS) {
+    if (Number.isFinite(result.metrics?.[key])) {
+      metrics[key] = trendFor(result.metrics[key], recent.map(a => a.metrics?.[key]));
+    }
+  }
+
+  const currentThemes = extractThemes(result.feedback, result.metrics);
+  const previousThemes = previous.map(a => extractThemes(a.feedback, a.metrics));
+  const lastThemes = previousThemes[0];
+
+  const recurring = currentThemes
+    .filter(key => lastThemes.includes(key))
+    .map(key => ({
+      theme: key,
+      label: themeLabel(key),
+      // Consecutive attempts (this one included) in which the theme appeared
+      streak: 1 + countLeading(previousThemes, themes => themes.includes(key))
+    }));
+
+  const resolved = lastThemes
+    .filter(key => !currentThemes.includes(key))
+    .map(key => ({ theme: key, label: themeLabel(key) }));
+
+  const trends = {
+    previousAttemptId: last.id,
+    previousAttemptAt: last.created_at,
+    attemptsCompared: recent.length,
+    dimensions,
+    metrics,
+    themes: {
+      current: currentThemes,
+      recurring,
+      resolved
+    }
+  };
+
+  trends.summary = describeTrends(trends);
+  return trends;
+}
+
+export function extractThemes(feedback, metrics) {
+  const notes = (Array.isArray(feedback) ? feedback : [])
+    // Generated items (question alignment, progress) are not about the answer itself
+    .filter(item => item && typeof item.note === 'string' && !item.kind)
+    .map(item => item.note);
+
+  return FEEDBACK_THEMES
+    .filter(theme =>
+      notes.some(note => theme.pattern.test(note)) ||
+      (theme.metric && metrics && theme.metric(metrics)))
+    .map(theme => theme.key);
+}
+
+// One sentence for the feedback list, e.g. "your Structure score has improved
+// by 12 points, but filler words came up again"
+export function describeTrends(trends) {
+  const improved = [];
+  const declined = [];
+
+  for (const [key, trend] of Object.entries(trends.dimensions)) {
+    if (key === 'Overall' || trend.change === null) continue;
+    if (trend.change >= NOTABLE_CHANGE) improved.push({ key, change: trend.change });
+    if (trend.change <= -NOTABLE_CHANGE) declined.push({ key, change: trend.change });
+  }
+  improved.sort((a, b) => b.change - a.change);
+  declined.sort((a, b) => a.change - b.change);
+
+  const good = [];
+  const bad = [];
+
+  if (improved.length > 0) {
+    const [top, ...rest] = improved;
+    good.push(`your ${top.key} score has improved by ${top.change} points${rest.length > 0 ? ` (${rest.map(d => d.key).join(', ')} also up)` : ''}`);
+  }
+  const improvedMetrics = TRACKED_METRICS.filter(metric =>
+    metricImproved(metric, trends.metrics[metric.key]) === true);
+  for (const metric of improvedMetrics) {
+    good.push(`your ${metric.label} has improved`);
+  }
+  const resolved = trends.themes.resolved
+    .filter(item => !improvedMetrics.some(metric => metric.theme === item.theme));
+  if (resolved.length > 0) {
+    good.push(`${listLabels(resolved)} no longer came up`);
+  }
+
+  if (declined.length > 0) {
+    bad.push(`${declined.map(d => d.key).join(' and ')} dropped (${declined.map(d => d.change).join(', ')})`);
+  }
+  for (const item of trends.themes.recurring) {
+    const metric = TRACKED_METRICS.find(m => m.theme === item.theme);
+    const stillWorse = metric && metricImproved(metric, trends.metrics[metric.key]) !== true;
+    if (!metric || stillWorse) {
+      bad.push(`${item.label} came up again${item.streak > 2 ? ` (${item.streak} attempts in a row)` : ''}`);
+    }
+  }
+
+  if (good.length === 0 && bad.length === 0) {
+    return null;
+  }
+  if (good.length === 0) {
+    return capitalise(joinClauses(bad)) + '.';
+  }
+  if (bad.length === 0) {
+    return capitalise(joinClauses(good)) + '.';
+  }
+  return `${capitalise(joinClauses(good))}, but ${joinClauses(bad)}.`;
+}
+
+// --------------------------------------------------
+// Helpers
+// --------------------------------------------------
+function trendFor(current, history) {
+  const values = history.filter(Number.isFinite);
+  const previous = Number.isFinite(history[0]) ? history[0] : null;
+  const all = [current, ...values];
+
+  return {
+    current,
+    previous,
+    change: previous === null ? null : round(current - previous),
+    rollingAverage: round(all.reduce((sum, v) => sum + v, 0) / all.length)
+  };
+}
+
+// true / false, or null when there is nothing to compare
+function metricImproved(metric, trend) {
+  if (!trend || trend.previous === null) {
+    return null;
+  }
+  if (metric.lowerIsBetter) {
+    return trend.current < trend.previous;
+  }
+  return distanceFromTarget(trend.current) < distanceFromTarget(trend.previous);
+}
+
+function distanceFromTarget(wpm) {
+  if (wpm < TARGET_WPM.min) return TARGET_WPM.min - wpm;
+  if (wpm > TARGET_WPM.max) return wpm - TARGET_WPM.max;
+  return 0;
+}
+
+function countLeading(items, predicate) {
+  let count = 0;
+  while (count < items.length && predicate(items[count])) {
+    count++;
+  }
+  return count;
+}
+
+function themeLabel(key) {
+  return FEEDBACK_THEMES.find(theme => theme.key === key)?.label || key;
+}
+
+function listLabels(items) {
+  return joinClauses(items.map(item => item.label));
+}
+
+function joinClauses(parts) {
+  if (parts.length <= 1) return parts.join('');
+  return `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+}
+
+function capitalise(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
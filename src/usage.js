@@ -0,0 +1,221 @@
+// --------------------------------------------------
+// Usage accounting and quotas
+// --------------------------------------------------
+// Each job records what it spent (audio seconds transcribed, prompt and
+// completion tokens per model) with an estimated cost in job_usage, as do
+// re-scores and calibration runs (`kind`, without a job). The totals feed
+// per-user and per-organisation quotas defined in usage_quotas, which are
+// checked before a job or re-score calls any paid provider.
+//
+// Usage items:
+//   { kind: 'transcription', model, audioSeconds }
+//   { kind: 'analysis' | 'embedding', model, promptTokens, completionTokens }
+
+export function transcriptionUsage(model, audioSeconds) {
+  return {
+    kind: 'transcription',
+    model,
+    audioSeconds: round(Number(audioSeconds) || 0)
+  };
+}
+
+// From an OpenAI-style usage object; providers that report nothing count as 0
+export function tokenUsage(kind, model, usage) {
+  return {
+    kind,
+    model,
+    promptTokens: Number(usage?.prompt_tokens) || 0,
+    completionTokens: Number(usage?.completion_tokens) || 0
+  };
+}
+
+// Totals for one job. `prices` maps a model to { perMinute } (audio) or
+// { inputPerMillion, outputPerMillion } (tokens), in US dollars.
+export function summariseUsage(items, prices) {
+  const summary = {
+    audioSeconds: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    embeddingTokens: 0,
+    models: [],
+    estimatedCostUsd: 0,
+    unpricedModels: []
+  };
+
+  for (const item of items) {
+    if (!summary.models.includes(item.model)) {
+      summary.models.push(item.model);
+    }
+
+    if (item.kind === 'transcription') {
+      summary.audioSeconds += item.audioSeconds;
+    } else if (item.kind === 'embedding') {
+      summary.embeddingTokens += item.promptTokens;
+    } else {
+      summary.promptTokens += item.promptTokens;
+      summary.completionTokens += item.completionTokens;
+    }
+
+    const cost = estimateCost(item, prices);
+    if (cost === null) {
+      if (!summary.unpricedModels.includes(item.model)) {
+        summary.unpricedModels.push(item.model);
+      }
+    } else {
+      summary.estimatedCostUsd += cost;
+    }
+  }
+
+  summary.audioSeconds = round(summary.audioSeconds);
+  summary.estimatedCostUsd = Math.round(summary.estimatedCostUsd * 1e6) / 1e6;
+  return summary;
+}
+
+// null when the model has no price. Dated model names returned by the API
+// ("gpt-4o-mini-2024-07-18") use the price of their base name.
+function estimateCost(item, prices) {
+  const base = Object.keys(prices)
+    .filter(name => item.model === name || String(item.model).startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  const price = prices[base];
+  if (!price) {
+    return null;
+  }
+
+  if (item.kind === 'transcription') {
+    return (item.audioSeconds / 60) * (price.perMinute || 0);
+  }
+  return (item.promptTokens * (price.inputPerMillion || 0) +
+          item.completionTokens * (price.outputPerMillion || 0)) / 1e6;
+}
+
+// kind: 'job' | 'rescore' | 'calibration'
+export async function recordJobUsage(supabase, { kind = 'job', job = null, attempt = null, items, prices }) {
+  const summary = summariseUsage(items, prices);
+
+  const { error } = await supabase.from('job_usage').insert({
+    kind,
+    job_id: job?.id ?? null,
+    attempt_id: job?.attempt_id ?? attempt?.id ?? null,
+    user_id: attempt?.user_id || null,
+    organisation_id: attempt?.organisation_id || null,
+    audio_seconds: summary.audioSeconds,
+    prompt_tokens: summary.promptTokens,
+    completion_tokens: summary.completionTokens,
+    embedding_tokens: summary.embeddingTokens,
+    models: summary.models,
+    estimated_cost_usd: summary.estimatedCostUsd,
+    items
+  });
+
+  if (error) {
+    throw new Error(`Failed to record job usage: ${error.message}`);
+  }
+
+  return summary;
+}
+
+// One-line summary for the logs
+export function describeUsage(summary) {
+  const unpriced = summary.unpricedModels.length > 0 ? ` (no price for ${summary.unpricedModels.join(', ')})` : '';
+  return `${summary.audioSeconds}s audio, ${summary.promptTokens}+${summary.completionTokens} tokens, ${summary.embeddingTokens} embedding tokens, ~$${summary.estimatedCostUsd.toFixed(4)}${unpriced}`;
+}
+
+// --------------------------------------------------
+// Quotas
+// --------------------------------------------------
+const LIMITS = [
+  { column: 'max_jobs', total: 'jobs', label: 'analyses' },
+  { column: 'max_audio_seconds', total: 'audio_seconds', label: 'seconds of recording' },
+  { column: 'max_cost_usd', total: 'cost_usd', label: 'usage allowance' }
+];
+
+// The first quota the user or their organisation has used up, or null.
+// A row for a specific user/organisation replaces the default row
+// (subject_id null) for the same scope and period.
+export async function findExceededQuota(supabase, { userId = null, organisationId = null }) {
+  const subjects = { user: userId, organisation: organisationId };
+  const scopes = Object.keys(subjects).filter(scope => subjects[scope]);
+  if (scopes.length === 0) {
+    return null;
+  }
+
+  const { data: rows, error } = await supabase
+    .from('usage_quotas')
+    .select('scope, subject_id, period, max_jobs, max_audio_seconds, max_cost_usd')
+    .in('scope', scopes);
+
+  if (error) {
+    throw new Error(`Failed to fetch usage quotas: ${error.message}`);
+  }
+
+  const effective = new Map();
+  for (const row of rows || []) {
+    if (row.subject_id && row.subject_id !== subjects[row.scope]) continue;
+
+    const key = `${row.scope}:${row.period}`;
+    if (!effective.has(key) || row.subject_id) {
+      effective.set(key, row);
+    }
+  }
+
+  for (const quota of effective.values()) {
+    const since = periodStart(quota.period);
+    const { data, error: totalsError } = await supabase.rpc('usage_totals', {
+      p_scope: quota.scope,
+      p_subject_id: subjects[quota.scope],
+      p_since: since.toISOString()
+    });
+
+    if (totalsError) {
+      throw new Error(`Failed to fetch usage totals: ${totalsError.message}`);
+    }
+
+    const totals = (Array.isArray(data) ? data[0] : data) || {};
+    for (const limit of LIMITS) {
+      const max = quota[limit.column];
+      const used = Number(totals[limit.total]) || 0;
+      if (max !== null && max !== undefined && used >= Number(max)) {
+        return {
+          scope: quota.scope,
+          period: quota.period,
+          limit: limit.column,
+          max: Number(max),
+          used,
+          resetsAt: nextPeriodStart(quota.period, since).toISOString(),
+          message: quotaMessage(quota, limit, since)
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+function quotaMessage(quota, limit, since) {
+  const who = quota.scope === 'organisation' ? 'Your organisation has' : 'You have';
+  const period = quota.period === 'day' ? 'daily' : 'monthly';
+  const amount = limit.column === 'max_cost_usd'
+    ? `${period} ${limit.label}`
+    : `${period} limit of ${quota[limit.column]} ${limit.label}`;
+  const resets = nextPeriodStart(quota.period, since).toISOString().slice(0, 10);
+
+  return `${who} reached the ${amount}. Your recording has been saved and can be analysed after the limit resets on ${resets} (UTC).`;
+}
+
+// Periods are calendar days and months in UTC
+function periodStart(period, now = new Date()) {
+  return period === 'day'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+function nextPeriodStart(period, start) {
+  return period === 'day'
+    ? new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() + 1))
+    : new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,97 @@
+// --------------------------------------------------
+// Analysis output validation
+// --------------------------------------------------
+
+const TIMESTAMP_PATTERN = /^(\d{2}):([0-5]\d)$/;
+
+// Whisper segment ends and model rounding can overshoot the last second
+const TIMESTAMP_TOLERANCE_SEC = 1;
+
+export function parseTimestamp(ts) {
+  const match = typeof ts === 'string' ? ts.trim().match(TIMESTAMP_PATTERN) : null;
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// Checks the model's analysis against the rubric and recording. Returns a
+// normalised copy (scores coerced to integers and clamped to 0-100, unknown
+// score keys dropped) together with every problem found; the caller decides
+// whether problems are fatal.
+export function validateAnalysis(raw, { rubric, durationSec }) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { analysis: null, errors: ['Response must be a JSON object'] };
+  }
+
+  const scores = {};
+  if (!raw.scores || typeof raw.scores !== 'object' || Array.isArray(raw.scores)) {
+    errors.push('"scores" must be an object');
+  } else {
+    for (const { key } of rubric.dimensions) {
+      const value = raw.scores[key];
+      if (value === undefined || value === null) {
+        errors.push(`scores.${key} is missing`);
+        continue;
+      }
+
+      const number = typeof value === 'string' ? Number(value.trim()) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        errors.push(`scores.${key} must be a number, got ${JSON.stringify(value)}`);
+        continue;
+      }
+
+      scores[key] = clampScore(number);
+    }
+  }
+
+  let questionAlignment = null;
+  if (raw.questionAlignment !== undefined && raw.questionAlignment !== null) {
+    const { score, note } = raw.questionAlignment;
+    if (typeof note !== 'string' || note.trim() === '') {
+      errors.push('questionAlignment.note must be a non-empty string');
+    } else {
+      questionAlignment = {
+        score: Number.isFinite(Number(score)) ? clampScore(Number(score)) : null,
+        note: note.trim()
+      };
+    }
+  }
+
+  const feedback = [];
+  if (!Array.isArray(raw.feedback)) {
+    errors.push('"feedback" must be an array');
+  } else {
+    raw.feedback.forEach((item, idx) => {
+      if (!item || typeof item !== 'object') {
+        errors.push(`feedback[${idx}] must be an object`);
+        return;
+      }
+
+      const seconds = parseTimestamp(item.ts);
+      if (seconds === null) {
+        errors.push(`feedback[${idx}].ts must be in mm:ss format, got ${JSON.stringify(item.ts)}`);
+      } else if (seconds > durationSec + TIMESTAMP_TOLERANCE_SEC) {
+        errors.push(`feedback[${idx}].ts ${item.ts} is after the end of the recording (${formatDuration(durationSec)})`);
+      }
+
+      if (typeof item.note !== 'string' || item.note.trim() === '') {
+        errors.push(`feedback[${idx}].note must be a non-empty string`);
+      }
+
+      feedback.push({ ...item, ts: typeof item.ts === 'string' ? item.ts.trim() : item.ts, note: item.note });
+    });
+  }
+
+  return {
+    analysis: { ...raw, scores, questionAlignment, feedback },
+    errors
+  };
+}
+
+function clampScore(value) {
+  return Math.min(100, Math.max(0, Math.round(value)));
+}
+
+function formatDuration(seconds) {
+  return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
@@ -0,0 +1,248 @@
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { computeBackoffMs, parseRetryAfter } from "./errors.js";
+
+// --------------------------------------------------
+// Outbound job webhooks
+// --------------------------------------------------
+
+export const WEBHOOK_EVENTS = {
+  completed: 'job.completed',
+  failed: 'job.failed',
+  retrying: 'job.retrying',
+  overQuota: 'job.over_quota'
+};
+
+// Every delivery is logged in webhook_deliveries before it is sent, so
+// deliveries that exhaust their retries can be replayed later. A pending
+// delivery more than STALE_AFTER_MS past its next_attempt_at was abandoned by
+// a worker that stopped while it waited, and can be replayed too.
+const STALE_AFTER_MS = 60 * 1000;
+
+export function createWebhookDispatcher({ supabase, urls, secret, maxAttempts, timeoutMs, baseDelayMs, maxDelayMs }) {
+  const enabled = Array.isArray(urls) && urls.length > 0;
+
+  if (enabled && !secret) {
+    console.warn('⚠️ WEBHOOK_URLS set without WEBHOOK_SECRET - webhooks are disabled');
+  }
+
+  async function dispatch(event, data) {
+    if (!enabled || !secret) {
+      return;
+    }
+
+    const payload = {
+      event,
+      created_at: new Date().toISOString(),
+      data
+    };
+
+    for (const url of urls) {
+      // Webhook problems are logged, never propagated into the job
+      try {
+        const { data: delivery, error } = await supabase
+          .from('webhook_deliveries')
+          .insert({ event, job_id: data.job_id, url, payload })
+          .select('*')
+          .single();
+
+        if (error) {
+          console.error(`Failed to log webhook delivery to ${url}:`, error.message);
+          continue;
+        }
+
+        // Deliver in the background; the job must not wait on subscribers
+        deliver(delivery).catch(err => {
+          console.error(`Webhook delivery ${delivery.id} crashed:`, err.message);
+        });
+      } catch (err) {
+        console.error(`Failed to dispatch webhook to ${url}:`, err.message);
+      }
+    }
+  }
+
+  async function deliver(delivery) {
+    let attempts = delivery.attempts || 0;
+
+    while (attempts < maxAttempts) {
+      attempts += 1;
+      const result = await send(delivery);
+
+      if (result.ok) {
+        await record(delivery.id, {
+          status: 'delivered',
+          attempts,
+          last_status_code: result.statusCode,
+          last_error: null,
+          delivered_at: new Date().toISOString()
+        });
+        console.log(`📤 Webhook ${delivery.event} delivered to ${delivery.url}`);
+        return true;
+      }
+
+      const exhausted = attempts >= maxAttempts;
+      const delayMs = exhausted ? 0 : computeBackoffMs(attempts, {
+        baseDelayMs,
+        maxDelayMs,
+        retryAfterMs: result.retryAfterMs
+      });
+      await record(delivery.id, {
+        status: exhausted ? 'failed' : 'pending',
+        attempts,
+        last_status_code: result.statusCode,
+        last_error: result.error,
+        next_attempt_at: exhausted ? null : new Date(Date.now() + delayMs).toISOString()
+      });
+
+      if (exhausted) {
+        break;
+      }
+
+      await sleep(delayMs);
+    }
+
+    console.warn(`⚠️ Webhook ${delivery.event} to ${delivery.url} failed after ${attempts} attempt(s)`);
+    return false;
+  }
+
+  async function send(delivery) {
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    try {
+      const res = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${sign(secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (res.ok) {
+        return { ok: true, statusCode: res.status };
+      }
+
+      const text = await res.text().catch(() => '');
+      return {
+        ok: false,
+        statusCode: res.status,
+        error: `HTTP ${res.status}: ${text.substring(0, 500)}`,
+        retryAfterMs: parseRetryAfter(res.headers)
+      };
+    } catch (err) {
+      return { ok: false, statusCode: null, error: err.message };
+    }
+  }
+
+  async function record(deliveryId, fields) {
+    const { error } = await supabase
+      .from('webhook_deliveries')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', deliveryId);
+
+    if (error) {
+      console.error(`Failed to update webhook delivery ${deliveryId}:`, error.message);
+    }
+  }
+
+  // Failed deliveries, and pending ones abandoned mid-backoff. A send in
+  // progress updates its row within timeoutMs, so live retries never match.
+  function replayableFilter() {
+    const staleBefore = new Date(Date.now() - timeoutMs - STALE_AFTER_MS).toISOString();
+    return `status.eq.failed,and(status.eq.pending,next_attempt_at.lt.${staleBefore})`;
+  }
+
+  // Moves replayable deliveries back to pending with a fresh set of attempts.
+  // Only rows still replayable are taken, so a delivery that is being
+  // retried, or was claimed by a concurrent replay, is never sent twice.
+  async function claimReplayable(ids) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .update({ status: 'pending', attempts: 0, next_attempt_at: now, updated_at: now })
+      .in('id', ids)
+      .or(replayableFilter())
+      .select('*');
+
+    if (error) {
+      throw new Error(`Failed to queue webhook replay: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  // Replays run in the background, one delivery at a time
+  function deliverInBackground(deliveries) {
+    (async () => {
+      for (const delivery of deliveries) {
+        await deliver(delivery);
+      }
+    })().catch(err => {
+      console.error('Webhook replay crashed:', err.message);
+    });
+  }
+
+  // Queues a failed or abandoned delivery to be re-sent. Returns null when
+  // the delivery does not exist, otherwise { queued, status }; delivered and
+  // still-retrying deliveries are left alone.
+  async function replay(deliveryId) {
+    const { data: delivery, error } = await supabase
+      .from('webhook_deliveries')
+      .select('id, status')
+      .eq('id', deliveryId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch webhook delivery: ${error.message}`);
+    }
+    if (!delivery) {
+      return null;
+    }
+    if (delivery.status === 'delivered') {
+      return { queued: false, status: delivery.status };
+    }
+
+    const claimed = await claimReplayable([delivery.id]);
+    deliverInBackground(claimed);
+    return { queued: claimed.length > 0, status: claimed.length > 0 ? 'pending' : delivery.status };
+  }
+
+  async function replayFailed({ limit = 100 } = {}) {
+    const { data: deliveries, error } = await supabase
+      .from('webhook_deliveries')
+      .select('id')
+      .or(replayableFilter())
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to list failed webhook deliveries: ${error.message}`);
+    }
+    if (!deliveries || deliveries.length === 0) {
+      return { queued: 0 };
+    }
+
+    const claimed = await claimReplayable(deliveries.map(d => d.id));
+    deliverInBackground(claimed);
+    return { queued: claimed.length };
+  }
+
+  return { dispatch, replay, replayFailed };
+}
+
+// Receivers verify by recomputing HMAC-SHA256 over "<timestamp>.<raw body>"
+// and rejecting stale timestamps
+export function sign(secret, timestamp, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,57 @@
+// --------------------------------------------------
+// Whisper verbose_json helpers
+// --------------------------------------------------
+
+// Stitch per-chunk Whisper responses into one timeline. Each part carries the
+// chunk's offset (seconds) into the original recording.
+export function mergeTranscriptions(parts) {
+  if (parts.length === 1 && parts[0].offset === 0) {
+    return parts[0].whisper;
+  }
+
+  const texts = [];
+  const segments = [];
+  const words = [];
+  let duration = 0;
+
+  for (const { whisper, offset } of parts) {
+    const chunkSegments = Array.isArray(whisper.segments)
+      ? whisper.segments
+      : [{ start: 0, end: whisper.duration || 0, text: whisper.text || '' }];
+
+    for (const seg of chunkSegments) {
+      segments.push({
+        ...seg,
+        id: segments.length,
+        start: seg.start + offset,
+        end: seg.end + offset
+      });
+    }
+
+    for (const word of Array.isArray(whisper.words) ? whisper.words : []) {
+      words.push({
+        ...word,
+        start: word.start + offset,
+        end: word.end + offset
+      });
+    }
+
+    const chunkText = whisper.text !== undefined && whisper.text !== null
+      ? String(whisper.text).trim()
+      : chunkSegments.map(seg => seg.text || '').join(' ').trim();
+    if (chunkText) {
+      texts.push(chunkText);
+    }
+
+    const chunkEnd = offset + (whisper.duration || chunkSegments[chunkSegments.length - 1]?.end || 0);
+    duration = Math.max(duration, chunkEnd);
+  }
+
+  return {
+    text: texts.join(' '),
+    language: parts[0]?.whisper.language,
+    duration,
+    segments,
+    words
+  };
+}
@@ -0,0 +1,75 @@
+-- Atomic job claiming with leases for the pull-based queue consumer
+
+alter table analysis_queue
+  add column if not exists locked_by text,
+  add column if not exists lease_expires_at timestamptz;
+
+create index if not exists analysis_queue_status_created_at_idx
+  on analysis_queue (status, created_at);
+
+-- Claims the oldest runnable job (or a specific one when p_job_id is given).
+-- A 'processing' job whose lease has expired belonged to a worker that died or
+-- stalled; it is taken back and counted as a retry. SKIP LOCKED guarantees two
+-- workers never receive the same row.
+create or replace function claim_analysis_job(
+  p_worker_id text,
+  p_lease_seconds integer,
+  p_job_id uuid default null
+)
+returns setof analysis_queue
+language plpgsql
+as $$
+begin
+  -- Jobs that have used up their retries are failed rather than claimed
+  update analysis_queue
+     set status = 'failed',
+         error_message = coalesce(error_message, 'Max retries (' || max_retries || ') exceeded'),
+         completed_at = now(),
+         locked_by = null,
+         lease_expires_at = null
+   where (status = 'pending' and retry_count >= max_retries)
+      or (status = 'processing' and lease_expires_at < now() and retry_count + 1 >= max_retries);
+
+  return query
+  update analysis_queue q
+     set status = 'processing',
+         started_at = now(),
+         locked_by = p_worker_id,
+         lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+         retry_count = case when q.status = 'processing' then q.retry_count + 1 else q.retry_count end
+   where q.id = (
+     select c.id
+       from analysis_queue c
+      where (p_job_id is null or c.id = p_job_id)
+        and (
+          (c.status = 'pending' and c.retry_count < c.max_retries)
+          or (c.status = 'processing' and c.lease_expires_at < now())
+        )
+      order by c.created_at
+      limit 1
+      for update skip locked
+   )
+  returning q.*;
+end;
+$$;
+
+-- Heartbeat: extends the lease while the owning worker is still processing.
+-- Returns false if the job is no longer held by this worker.
+create or replace function renew_analysis_job_lease(
+  p_job_id uuid,
+  p_worker_id text,
+  p_lease_seconds integer
+)
+returns boolean
+language plpgsql
+as $$
+begin
+  update analysis_queue
+     set lease_expires_at = now() + make_interval(secs => p_lease_seconds)
+   where id = p_job_id
+     and locked_by = p_worker_id
+     and status = 'processing';
+
+  return found;
+end;
+$$;
@@ -0,0 +1,6 @@
+-- Current processing stage and per-stage timings for the job status API
+
+alter table analysis_queue
+  add column if not exists stage text,
+  add column if not exists stage_started_at timestamptz,
+  add column if not exists stage_timings jsonb not null default '{}'::jsonb;
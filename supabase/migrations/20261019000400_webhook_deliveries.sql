@@ -0,0 +1,22 @@
+-- Delivery log for outbound job webhooks, used for retries and replay
+
+create table if not exists webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  event text not null,
+  job_id uuid references analysis_queue (id) on delete set null,
+  url text not null,
+  payload jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'delivered', 'failed')),
+  attempts integer not null default 0,
+  last_status_code integer,
+  last_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  delivered_at timestamptz
+);
+
+create index if not exists webhook_deliveries_status_idx
+  on webhook_deliveries (status, created_at);
+
+-- Service role only: payloads include job results
+alter table webhook_deliveries enable row level security;
@@ -0,0 +1,33 @@
+-- Configurable scoring rubrics, selectable per station or attempt
+
+create table if not exists rubric_profiles (
+  id uuid primary key default gen_random_uuid(),
+  slug text not null,
+  name text not null,
+  version integer not null default 1,
+  is_default boolean not null default false,
+  -- Opening paragraph of the examiner prompt
+  persona text,
+  -- [{ "key": "Structure", "weight": 1, "description": "..." }, ...]; Overall is the weighted mean
+  dimensions jsonb,
+  -- [{ "min": 0, "max": 10, "descriptor": "..." }, ...]
+  bands jsonb,
+  -- { "expectedSec": 420, "capBelowSec": 120, "capScore": 30, "recommendedSec": 240 }
+  duration_rules jsonb,
+  -- Full system prompt with {{persona}}, {{bands}}, {{scoreFields}}, {{stationGuidance}} placeholders
+  prompt_template text,
+  created_at timestamptz not null default now(),
+  unique (slug, version)
+);
+
+alter table stations
+  add column if not exists rubric_profile_id uuid references rubric_profiles (id);
+
+alter table attempts
+  add column if not exists rubric_profile_id uuid references rubric_profiles (id),
+  add column if not exists rubric_version integer;
+
+-- Empty fields fall back to the worker's built-in UK medicine MMI rubric
+insert into rubric_profiles (slug, name, version, is_default)
+values ('uk-medicine-mmi', 'UK medicine MMI', 1, true)
+on conflict (slug, version) do nothing;
@@ -0,0 +1,34 @@
+-- Cached transcripts and a versioned history of analysis results, so attempts
+-- can be re-scored after prompt, rubric or model changes without the recording
+
+alter table attempts
+  -- Whisper verbose_json segments: [{ "id": 0, "start": 0.0, "end": 4.2, "text": "..." }, ...]
+  add column if not exists transcript_segments jsonb,
+  add column if not exists transcript_language text;
+
+create table if not exists attempt_analyses (
+  id uuid primary key default gen_random_uuid(),
+  attempt_id uuid not null references attempts (id) on delete cascade,
+  -- job: produced by the queue; rescore: re-run from the cached transcript;
+  -- legacy: result that existed before history was recorded
+  source text not null check (source in ('job', 'rescore', 'legacy')),
+  -- Free-form tag for a re-score batch, e.g. "prompt-v2 trial"
+  label text,
+  prompt_version text,
+  rubric_profile_id uuid references rubric_profiles (id),
+  rubric_version integer,
+  model text,
+  scores jsonb,
+  metrics jsonb,
+  feedback jsonb,
+  recommended_articles jsonb,
+  -- Whether this result was written to the attempt as its current result
+  applied boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists attempt_analyses_attempt_idx
+  on attempt_analyses (attempt_id, created_at);
+
+-- Service role only
+alter table attempt_analyses enable row level security;
@@ -0,0 +1,19 @@
+-- Reference answers marked by human examiners, used by `cli.js calibrate` to
+-- measure how closely the model's scores agree with real interviewers
+
+create table if not exists calibration_references (
+  id uuid primary key default gen_random_uuid(),
+  label text,
+  -- Station context and rubric selection, as for a real attempt
+  station_id uuid references stations (id) on delete set null,
+  transcript text not null,
+  -- Whisper verbose_json segments: [{ "id": 0, "start": 0.0, "end": 4.2, "text": "..." }, ...]
+  transcript_segments jsonb not null,
+  -- Examiner marks keyed by rubric dimension, optionally with Overall: { "Structure": 62, ... }
+  examiner_scores jsonb not null,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- Service role only: transcripts are candidate answers
+alter table calibration_references enable row level security;
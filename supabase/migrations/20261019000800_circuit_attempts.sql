@@ -0,0 +1,13 @@
+-- Multi-station (MMI circuit) attempts
+
+alter table attempts
+  -- One recording split by time: [{ "station_id": "...", "start_sec": 0 }, ...];
+  -- each station ends where the next one starts
+  add column if not exists station_markers jsonb,
+  -- One recording per station, in circuit order: [{ "station_id": "...", "video_path": "..." }, ...]
+  add column if not exists station_recordings jsonb,
+  -- Per-station scores, the cross-station profile and strongest/weakest stations
+  add column if not exists circuit_report jsonb;
+
+alter table attempt_analyses
+  add column if not exists circuit_report jsonb;
@@ -0,0 +1,11 @@
+-- Progress against the candidate's previous attempts: score and metric
+-- changes, rolling averages and recurring feedback themes
+
+alter table attempts
+  add column if not exists trends jsonb;
+
+alter table attempt_analyses
+  add column if not exists trends jsonb;
+
+create index if not exists attempts_user_created_idx
+  on attempts (user_id, created_at desc);
@@ -0,0 +1,20 @@
+-- Embedding-based article recommendations with a reason per article
+
+-- Cached article vectors; recomputed when the article text or model changes
+create table if not exists article_embeddings (
+  article_id uuid primary key references articles (id) on delete cascade,
+  model text not null,
+  -- sha256 of the embedded text (title, category, tags, content)
+  content_hash text not null,
+  embedding jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+alter table article_embeddings enable row level security;
+
+alter table attempts
+  -- [{ "article_id": "...", "reason": "...", "similarity": 0.42 }, ...]
+  add column if not exists recommendation_reasons jsonb;
+
+alter table attempt_analyses
+  add column if not exists recommendation_reasons jsonb;
@@ -0,0 +1,11 @@
+-- Word-level timestamps and the filler/hesitation timeline built from them
+
+alter table attempts
+  -- Whisper words: [{ "word": "So", "start": 0.0, "end": 0.2 }, ...] on the recording's timeline
+  add column if not exists transcript_words jsonb,
+  -- { "events": [{ "type": "filler" | "repetition" | "false_start" | "hedge", "text": "um",
+  --   "start": 12.3, "end": 12.5 }, ...], "counts": {...}, "binSec": 5, "bins": [0, 2, ...] }
+  add column if not exists hesitation_timeline jsonb;
+
+alter table attempt_analyses
+  add column if not exists hesitation_timeline jsonb;
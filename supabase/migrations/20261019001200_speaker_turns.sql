@@ -0,0 +1,9 @@
+-- Speaker turns for role-play stations, so only the candidate is scored
+
+alter table attempts
+  -- Tagged by the client when it knows who is speaking (e.g. a pre-recorded actor):
+  -- [{ "start_sec": 0, "end_sec": 12.5, "speaker": "actor" | "candidate" }, ...]
+  -- on the recording's timeline. Without it, role-play recordings are diarized when
+  -- DIARIZATION_PROVIDER is set; transcript_segments / transcript_words then carry
+  -- a "speaker" field.
+  add column if not exists speaker_turns jsonb;
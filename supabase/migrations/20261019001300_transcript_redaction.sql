@@ -0,0 +1,20 @@
+-- PII redaction: attempts.transcript (and segments/words) hold the redacted
+-- text; the original is only kept when the deployment sets PII_KEEP_ORIGINAL
+
+alter table attempts
+  -- Types and counts of what was redacted, never the values:
+  -- { "count": 3, "types": { "NAME": 2, "SCHOOL": 1 } }
+  add column if not exists transcript_redactions jsonb;
+
+create table if not exists attempt_transcripts_private (
+  attempt_id uuid primary key references attempts (id) on delete cascade,
+  transcript text,
+  transcript_segments jsonb,
+  transcript_words jsonb,
+  redactions jsonb,
+  created_at timestamptz not null default now()
+);
+
+-- Service role only: no policies, and no grants to client roles
+alter table attempt_transcripts_private enable row level security;
+revoke all on attempt_transcripts_private from anon, authenticated;
@@ -0,0 +1,14 @@
+-- Recording retention: what happened to an attempt's recordings, and when
+
+alter table attempts
+  -- null: original recording kept; 'audio_only': replaced by a compressed audio
+  -- copy; 'deleted': no recording left in storage
+  add column if not exists recording_state text
+    check (recording_state in ('audio_only', 'deleted')),
+  add column if not exists recording_deleted_at timestamptz,
+  -- [{ "action": "deleted" | "replaced_with_audio", "path": "...", "audio_path": "...",
+  --    "reason": "analysed" | "policy" | "expired" | "failed", "at": "..." }, ...]
+  add column if not exists recording_retention_log jsonb not null default '[]'::jsonb;
+
+create index if not exists attempts_recording_state_created_at_idx
+  on attempts (recording_state, created_at);
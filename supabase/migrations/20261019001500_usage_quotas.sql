@@ -0,0 +1,67 @@
+-- Per-job usage accounting and per-user / per-organisation quotas
+
+alter table attempts
+  add column if not exists organisation_id uuid;
+
+create table if not exists job_usage (
+  id uuid primary key default gen_random_uuid(),
+  job_id uuid references analysis_queue (id) on delete set null,
+  attempt_id uuid references attempts (id) on delete set null,
+  user_id uuid,
+  organisation_id uuid,
+  audio_seconds numeric not null default 0,
+  prompt_tokens integer not null default 0,
+  completion_tokens integer not null default 0,
+  embedding_tokens integer not null default 0,
+  models text[] not null default '{}',
+  -- Estimated from MODEL_PRICES at the time the job ran
+  estimated_cost_usd numeric not null default 0,
+  -- [{ "kind": "transcription", "model": "whisper-1", "audioSeconds": 312.4 },
+  --  { "kind": "analysis" | "embedding", "model": "...", "promptTokens": 0, "completionTokens": 0 }, ...]
+  items jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists job_usage_user_created_at_idx
+  on job_usage (user_id, created_at);
+create index if not exists job_usage_organisation_created_at_idx
+  on job_usage (organisation_id, created_at);
+
+-- A row with subject_id null is the default for every user / organisation;
+-- a row for a specific subject replaces it. Null limits are not enforced.
+create table if not exists usage_quotas (
+  id uuid primary key default gen_random_uuid(),
+  scope text not null check (scope in ('user', 'organisation')),
+  subject_id uuid,
+  period text not null check (period in ('day', 'month')),
+  max_jobs integer,
+  max_audio_seconds numeric,
+  max_cost_usd numeric,
+  created_at timestamptz not null default now(),
+  unique nulls not distinct (scope, subject_id, period)
+);
+
+-- Service role only
+alter table job_usage enable row level security;
+alter table usage_quotas enable row level security;
+
+create or replace function usage_totals(
+  p_scope text,
+  p_subject_id uuid,
+  p_since timestamptz
+)
+returns table (jobs bigint, audio_seconds numeric, cost_usd numeric)
+language sql
+stable
+as $$
+  select count(distinct u.job_id),
+         coalesce(sum(u.audio_seconds), 0),
+         coalesce(sum(u.estimated_cost_usd), 0)
+    from job_usage u
+   where u.created_at >= p_since
+     and case p_scope
+           when 'user' then u.user_id = p_subject_id
+           when 'organisation' then u.organisation_id = p_subject_id
+           else false
+         end;
+$$;
@@ -0,0 +1,65 @@
+-- Returning jobs to the queue when a worker shuts down or has crashed
+
+-- Graceful shutdown: jobs the worker could not finish in time go back to
+-- pending straight away. Not the job's fault, so no retry is used up.
+-- Returns the number of jobs released.
+create or replace function release_analysis_jobs(
+  p_worker_id text,
+  p_job_ids uuid[]
+)
+returns integer
+language plpgsql
+as $$
+declare
+  released integer;
+begin
+  update analysis_queue
+     set status = 'pending',
+         started_at = null,
+         next_attempt_at = null,
+         locked_by = null,
+         lease_expires_at = null
+   where id = any(p_job_ids)
+     and locked_by = p_worker_id
+     and status = 'processing';
+
+  get diagnostics released = row_count;
+  return released;
+end;
+$$;
+
+-- Startup recovery: processing jobs left behind by a crashed worker. Covers
+-- jobs still locked by this worker id (it has just started, so they cannot be
+-- running) and jobs started more than p_stale_seconds ago whose lease has
+-- expired or was never set. As with an expired lease in claim_analysis_job,
+-- the crash counts as a retry; exhausted jobs are failed on the next claim.
+-- Returns the number of jobs requeued.
+create or replace function requeue_stale_analysis_jobs(
+  p_worker_id text,
+  p_stale_seconds integer
+)
+returns integer
+language plpgsql
+as $$
+declare
+  requeued integer;
+begin
+  update analysis_queue
+     set status = 'pending',
+         started_at = null,
+         next_attempt_at = null,
+         retry_count = retry_count + 1,
+         error_message = coalesce(error_message, 'Worker stopped while processing'),
+         locked_by = null,
+         lease_expires_at = null
+   where status = 'processing'
+     and (
+       locked_by = p_worker_id
+       or (coalesce(started_at, created_at) < now() - make_interval(secs => p_stale_seconds)
+           and (lease_expires_at is null or lease_expires_at < now()))
+     );
+
+  get diagnostics requeued = row_count;
+  return requeued;
+end;
+$$;
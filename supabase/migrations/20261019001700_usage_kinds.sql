@@ -0,0 +1,8 @@
+-- Usage of re-scores and calibration runs, recorded without a job
+
+alter table job_usage
+  add column if not exists kind text not null default 'job'
+    check (kind in ('job', 'rescore', 'calibration'));
+
+create index if not exists job_usage_kind_created_at_idx
+  on job_usage (kind, created_at);
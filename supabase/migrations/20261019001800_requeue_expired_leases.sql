@@ -0,0 +1,32 @@
+-- Startup recovery only takes back jobs whose lease has run out, including
+-- jobs locked by this worker id: a job whose lease is still being renewed is
+-- running somewhere and is never requeued from under it.
+create or replace function requeue_stale_analysis_jobs(
+  p_worker_id text,
+  p_stale_seconds integer
+)
+returns integer
+language plpgsql
+as $$
+declare
+  requeued integer;
+begin
+  update analysis_queue
+     set status = 'pending',
+         started_at = null,
+         next_attempt_at = null,
+         retry_count = retry_count + 1,
+         error_message = coalesce(error_message, 'Worker stopped while processing'),
+         locked_by = null,
+         lease_expires_at = null
+   where status = 'processing'
+     and (lease_expires_at is null or lease_expires_at < now())
+     and (
+       locked_by = p_worker_id
+       or coalesce(started_at, created_at) < now() - make_interval(secs => p_stale_seconds)
+     );
+
+  get diagnostics requeued = row_count;
+  return requeued;
+end;
+$$;
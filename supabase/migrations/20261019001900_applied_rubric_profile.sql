@@ -0,0 +1,27 @@
+-- The rubric an attempt was scored with is recorded separately from
+-- attempts.rubric_profile_id, which is now only an explicit override. Writing
+-- the applied profile back into the override pinned every attempt to the
+-- rubric it was first scored with.
+
+alter table attempts
+  add column if not exists applied_rubric_profile_id uuid references rubric_profiles (id);
+
+comment on column attempts.rubric_profile_id is
+  'Explicit rubric override; when null the station''s profile or the default is used';
+comment on column attempts.applied_rubric_profile_id is
+  'Rubric profile of the current result (version in rubric_version)';
+
+update attempts
+   set applied_rubric_profile_id = rubric_profile_id
+ where rubric_profile_id is not null
+   and applied_rubric_profile_id is null
+   and rubric_version is not null;
+
+-- Station and default profiles the worker wrote back were never overrides
+update attempts a
+   set rubric_profile_id = null
+ where a.rubric_version is not null
+   and (
+     exists (select 1 from rubric_profiles p where p.id = a.rubric_profile_id and p.is_default)
+     or exists (select 1 from stations s where s.rubric_profile_id = a.rubric_profile_id)
+   );
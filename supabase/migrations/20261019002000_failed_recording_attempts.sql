@@ -0,0 +1,36 @@
+-- Retention of recordings whose analysis failed: attempts that were never
+-- scored, still have a recording and whose latest job failed before the
+-- cutoff. Only the latest job counts, so a recording is kept while a retry or
+-- a newer job for the attempt is pending. Oldest failures first.
+create or replace function failed_recording_attempts(
+  p_cutoff timestamptz,
+  p_limit integer
+)
+returns table (
+  id uuid,
+  station_recordings jsonb,
+  recording_state text,
+  recording_retention_log jsonb
+)
+language sql
+stable
+as $$
+  select a.id, a.station_recordings, a.recording_state, a.recording_retention_log
+    from attempts a
+    join lateral (
+      select q.status, q.completed_at
+        from analysis_queue q
+       where q.attempt_id = a.id
+       order by q.created_at desc
+       limit 1
+    ) latest on true
+   where latest.status = 'failed'
+     and latest.completed_at < p_cutoff
+     and a.scores is null
+     and a.recording_state is distinct from 'deleted'
+   order by latest.completed_at
+   limit p_limit;
+$$;
+
+create index if not exists analysis_queue_attempt_created_at_idx
+  on analysis_queue (attempt_id, created_at);
@@ -0,0 +1,9 @@
+-- When a pending webhook delivery is next due. Retries wait in memory, so a
+-- pending row whose time has long passed was left behind by a worker that
+-- exited mid-backoff; replay picks those up along with failed deliveries.
+
+alter table webhook_deliveries
+  add column if not exists next_attempt_at timestamptz default now();
+
+create index if not exists webhook_deliveries_status_next_attempt_idx
+  on webhook_deliveries (status, next_attempt_at);
@@ -0,0 +1,61 @@
+-- Over-quota jobs are requeued when their quota resets, so the candidate's
+-- recording is analysed without being uploaded again
+
+create or replace function claim_analysis_job(
+  p_worker_id text,
+  p_lease_seconds integer,
+  p_job_id uuid default null
+)
+returns setof analysis_queue
+language plpgsql
+as $$
+begin
+  -- Jobs that have used up their retries are failed rather than claimed
+  update analysis_queue
+     set status = 'failed',
+         error_message = coalesce(error_message, 'Max retries (' || max_retries || ') exceeded'),
+         completed_at = now(),
+         locked_by = null,
+         lease_expires_at = null
+   where (status = 'pending' and retry_count >= max_retries)
+      or (status = 'processing' and lease_expires_at < now() and retry_count + 1 >= max_retries);
+
+  -- Jobs parked over quota go back to the queue once the quota period they
+  -- hit has rolled over; next_attempt_at holds the reset time. A job still
+  -- over a quota is parked again by the worker.
+  update analysis_queue
+     set status = 'pending',
+         error_message = null,
+         completed_at = null
+   where status = 'over_quota'
+     and next_attempt_at <= now();
+
+  return query
+  update analysis_queue q
+     set status = 'processing',
+         started_at = now(),
+         locked_by = p_worker_id,
+         lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+         next_attempt_at = null,
+         retry_count = case when q.status = 'processing' then q.retry_count + 1 else q.retry_count end
+   where q.id = (
+     select c.id
+       from analysis_queue c
+      where (p_job_id is null or c.id = p_job_id)
+        and (
+          (c.status = 'pending'
+            and c.retry_count < c.max_retries
+            and (c.next_attempt_at is null or c.next_attempt_at <= now()))
+          or (c.status = 'processing' and c.lease_expires_at < now())
+        )
+      order by coalesce(c.next_attempt_at, c.created_at)
+      limit 1
+      for update skip locked
+   )
+  returning q.*;
+end;
+$$;
+
+create index if not exists analysis_queue_over_quota_idx
+  on analysis_queue (next_attempt_at)
+  where status = 'over_quota';
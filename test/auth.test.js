@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { createAuthMiddleware, createRateLimiter, verifyJwt } from "../src/auth.js";
+
+const SECRET = 'test-secret';
+const config = { apiToken: 'api-token', jwtSecret: SECRET, jwtAllowedRoles: ['service_role'], jwtUserRoles: ['authenticated'] };
+
+function jwt(header, claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode(header)}.${encode(claims)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', SECRET).update(unsigned).digest('base64url')}`;
+}
+
+function run(middleware, token, { ip = '10.0.0.1' } = {}) {
+  const req = { ip, query: {}, get: name => (name === 'authorization' && token ? `Bearer ${token}` : undefined) };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    set(name, value) { this.headers[name] = value; return this; }
+  };
+  let called = false;
+  middleware(req, res, () => { called = true; });
+  return { req, res, called };
+}
+
+test('verifyJwt accepts a valid HS256 token', () => {
+  assert.deepEqual(verifyJwt(jwt({ alg: 'HS256' }, { sub: 'u1', role: 'authenticated' }), SECRET), { sub: 'u1', role: 'authenticated' });
+});
+
+test('verifyJwt rejects a header or payload that is not an object', () => {
+  assert.equal(verifyJwt(jwt(null, { role: 'service_role' }), SECRET), null);
+  assert.equal(verifyJwt(jwt({ alg: 'HS256' }, null), SECRET), null);
+  assert.equal(verifyJwt(jwt({ alg: 'HS256' }, [1]), SECRET), null);
+});
+
+test('verifyJwt rejects expired tokens and other algorithms', () => {
+  assert.equal(verifyJwt(jwt({ alg: 'HS256' }, { exp: 1 }), SECRET), null);
+  assert.equal(verifyJwt(jwt({ alg: 'none' }, {}), SECRET), null);
+});
+
+test('a null JWT payload gets a 401, not an exception', () => {
+  const { res, called } = run(createAuthMiddleware(config), jwt({ alg: 'HS256' }, null));
+  assert.equal(called, false);
+  assert.equal(res.statusCode, 401);
+});
+
+test('end-user tokens are only accepted where users are allowed', () => {
+  const token = jwt({ alg: 'HS256' }, { sub: 'u1', role: 'authenticated' });
+
+  assert.equal(run(createAuthMiddleware(config), token).res.statusCode, 401);
+
+  const { req, called } = run(createAuthMiddleware(config, { allowUsers: true }), token);
+  assert.equal(called, true);
+  assert.deepEqual(req.auth, { service: false, subject: 'u1' });
+});
+
+test('the shared API token is a service caller', () => {
+  const { req, called } = run(createAuthMiddleware(config), 'api-token');
+  assert.equal(called, true);
+  assert.deepEqual(req.auth, { service: true, subject: null });
+});
+
+test('the rate limiter keeps separate buckets per subject and per IP', () => {
+  const limiter = createRateLimiter({ windowMs: 60 * 1000, max: 1 });
+  const request = (auth, ip) => {
+    const { res } = run((req, res, next) => { req.auth = auth; limiter(req, res, next); }, null, { ip });
+    return res.statusCode;
+  };
+
+  assert.equal(request({ service: false, subject: 'u1' }, '10.0.0.1'), 200);
+  assert.equal(request({ service: false, subject: 'u2' }, '10.0.0.1'), 200);
+  assert.equal(request({ service: false, subject: 'u1' }, '10.0.0.2'), 429);
+  assert.equal(request({ service: true, subject: null }, '10.0.0.3'), 200);
+  assert.equal(request({ service: true, subject: null }, '10.0.0.4'), 200);
+  assert.equal(request({ service: true, subject: null }, '10.0.0.3'), 429);
+});
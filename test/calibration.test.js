@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compareToBaseline, summariseSamples } from "../src/calibration.js";
+
+const tolerances = { maeTolerance: 2, correlationTolerance: 0.1 };
+
+test('each dimension is summarised against the examiner marks', () => {
+  const dimensions = summariseSamples([
+    { examiner: { Empathy: 50 }, runs: [{ Empathy: 60 }, { Empathy: 70 }] },
+    { examiner: { Empathy: 70 }, runs: [{ Empathy: 70 }] },
+    { examiner: { Empathy: 90, Ethics: 'n/a' }, runs: [{ Empathy: 80, Ethics: 40 }] }
+  ]);
+
+  assert.deepEqual(dimensions, {
+    Empathy: { n: 3, mae: 8.33, bias: 1.67, spearman: 1, runVariance: 50 }
+  });
+});
+
+test('rank correlation needs three references and some spread', () => {
+  const two = summariseSamples([
+    { examiner: { Empathy: 50 }, runs: [{ Empathy: 60 }] },
+    { examiner: { Empathy: 70 }, runs: [{ Empathy: 65 }] }
+  ]);
+  const flat = summariseSamples([50, 60, 70].map(mark => ({ examiner: { Empathy: mark }, runs: [{ Empathy: 60 }] })));
+
+  assert.equal(two.Empathy.spearman, null);
+  assert.equal(two.Empathy.runVariance, null);
+  assert.equal(flat.Empathy.spearman, null);
+});
+
+test('only regressions beyond the tolerances are reported', () => {
+  const baseline = {
+    dimensions: {
+      Empathy: { mae: 5, bias: -2, spearman: 0.8 },
+      Ethics: { mae: 5, bias: 0, spearman: 0.8 },
+      Teamwork: { mae: 5, bias: 0, spearman: 0.8 }
+    }
+  };
+  const report = {
+    dimensions: {
+      Empathy: { mae: 7, bias: 4, spearman: 0.75 },
+      Ethics: { mae: 7.5, bias: -4.5, spearman: 0.65 }
+    }
+  };
+
+  assert.deepEqual(compareToBaseline(report, baseline, tolerances), [
+    { dimension: 'Ethics', metric: 'mae', baseline: 5, current: 7.5 },
+    { dimension: 'Ethics', metric: 'bias', baseline: 0, current: -4.5 },
+    { dimension: 'Ethics', metric: 'spearman', baseline: 0.8, current: 0.65 },
+    { dimension: 'Teamwork', metric: 'missing', baseline: null, current: null }
+  ]);
+});
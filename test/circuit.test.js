@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCircuitReport, getStationRanges, getStationRecordings, rangesFromMarkers, sliceSegments } from "../src/circuit.js";
+
+test('per-station recordings need at least two usable entries', () => {
+  assert.deepEqual(getStationRecordings({
+    station_recordings: [
+      { station_id: 's1', video_path: 'a.webm' },
+      { station_id: 's2' },
+      { station_id: 's3', video_path: 'c.webm' }
+    ]
+  }), [{ stationId: 's1', videoPath: 'a.webm' }, { stationId: 's3', videoPath: 'c.webm' }]);
+  assert.equal(getStationRecordings({ station_recordings: [{ station_id: 's1', video_path: 'a.webm' }] }), null);
+  assert.equal(getStationRecordings({}), null);
+});
+
+test('markers are sorted and each station ends where the next starts', () => {
+  assert.deepEqual(rangesFromMarkers([
+    { station_id: 's2', start_sec: '420' },
+    { station_id: 's1', start_sec: 0 },
+    { station_id: 's3', start_sec: 'later' }
+  ]), [
+    { stationId: 's1', startSec: 0, endSec: 420 },
+    { stationId: 's2', startSec: 420, endSec: null }
+  ]);
+  assert.equal(rangesFromMarkers([{ station_id: 's1', start_sec: 0 }]), null);
+  assert.equal(rangesFromMarkers(null), null);
+});
+
+test('without markers the ranges of an earlier circuit report are reused', () => {
+  const circuit_report = {
+    stations: [
+      { stationId: 's1', startSec: 0, endSec: 300 },
+      { stationId: 's2', startSec: 300, endSec: null }
+    ]
+  };
+
+  assert.deepEqual(getStationRanges({ station_markers: null, circuit_report }), [
+    { stationId: 's1', startSec: 0, endSec: 300 },
+    { stationId: 's2', startSec: 300, endSec: null }
+  ]);
+  assert.equal(getStationRanges({ circuit_report: { stations: [{ stationId: 's1', startSec: 0 }] } }), null);
+});
+
+test('segments go to the station their midpoint falls in, rebased to zero', () => {
+  const segments = [
+    { id: 0, start: 0, end: 10, text: 'first' },
+    { id: 1, start: 295, end: 310, text: 'straddles' },
+    { id: 2, start: 300, end: 320, text: 'second' }
+  ];
+
+  assert.deepEqual(sliceSegments(segments, { startSec: 0, endSec: 300 }).map(s => s.text), ['first']);
+  assert.deepEqual(sliceSegments(segments, { startSec: 300, endSec: null }), [
+    { id: 0, start: 0, end: 10, text: 'straddles' },
+    { id: 1, start: 0, end: 20, text: 'second' }
+  ]);
+});
+
+test('the circuit report averages dimensions and names the strongest and weakest stations', () => {
+  const station = (stationId, scores) => ({ stationId, title: stationId.toUpperCase(), startSec: 0, endSec: null, noSpeech: false, scores });
+  const report = buildCircuitReport([
+    station('s1', { Empathy: 60, Overall: 55 }),
+    station('s2', { Empathy: 81, Overall: 75 }),
+    station('s3', { Empathy: 30, Overall: 40 })
+  ]);
+
+  assert.deepEqual(report.profile, { Empathy: 57, Overall: 57 });
+  assert.deepEqual(report.strongest, { stationId: 's2', title: 'S2', overall: 75 });
+  assert.deepEqual(report.weakest, { stationId: 's3', title: 'S3', overall: 40 });
+  assert.equal(report.stations[0].rejection, null);
+});
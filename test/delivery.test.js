@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyseDelivery } from "../src/delivery.js";
+
+const SAMPLE_RATE = 8000;
+const options = { minSilenceSec: 1, longSilenceSec: 5, monotoneSemitones: 2, quietDbfs: -35 };
+
+// A tone at `hz(t)` for each [startSec, endSec) part, silence elsewhere
+function signal(durationSec, parts, { amplitude = 8000, hz = () => 160 } = {}) {
+  const samples = new Float32Array(durationSec * SAMPLE_RATE);
+  let phase = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const t = i / SAMPLE_RATE;
+    phase += (2 * Math.PI * hz(t)) / SAMPLE_RATE;
+    if (parts.some(([start, end]) => t >= start && t < end)) {
+      samples[i] = Math.max(-32767, Math.min(32767, amplitude * Math.sin(phase)));
+    }
+  }
+  return samples;
+}
+
+test('pauses inside the answer are found and long ones get feedback', async () => {
+  const { metrics, feedback } = await analyseDelivery(signal(30, [[1, 10], [18, 29]]), SAMPLE_RATE, options);
+
+  assert.deepEqual(metrics.silences, [{ start: 10, end: 18, durationSec: 8 }]);
+  assert.equal(metrics.longestSilenceSec, 8);
+  assert.equal(metrics.clippingPct, 0);
+  assert.equal(Math.round(metrics.pitchMedianHz), 160);
+  assert.equal(metrics.monotone, true);
+  assert.deepEqual(feedback.map(item => [item.ts, item.kind]), [['00:00', 'delivery'], ['00:10', 'delivery']]);
+  assert.match(feedback[1].note, /^You were silent for 8 seconds here/);
+});
+
+test('a varied pitch is not monotone, and clipping is pointed out where it starts', async () => {
+  const hz = t => 150 + 60 * Math.sin(t);
+  const { metrics, feedback } = await analyseDelivery(signal(30, [[0, 30]], { amplitude: 40000, hz }), SAMPLE_RATE, options);
+
+  assert.equal(metrics.monotone, false);
+  assert.ok(metrics.pitchVariationSt > 2);
+  assert.ok(metrics.clippingPct > 0.1);
+  assert.equal(feedback.length, 1);
+  assert.equal(feedback[0].ts, '00:00');
+  assert.match(feedback[0].note, /clipping/);
+});
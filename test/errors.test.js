@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PermanentJobError, ProviderConfigError, TransientJobError, errorFromResponse, isPermanentError } from "../src/errors.js";
+
+function response(status, headers = {}) {
+  return { status, headers: new Headers(headers) };
+}
+
+test('credential and endpoint errors are configuration problems, not permanent failures', () => {
+  for (const status of [401, 403, 404]) {
+    const err = errorFromResponse('Whisper transcription', response(status), 'Incorrect API key');
+    assert.ok(err instanceof ProviderConfigError);
+    assert.ok(err instanceof TransientJobError);
+    assert.equal(isPermanentError(err), false);
+  }
+});
+
+test('rejected requests fail permanently and ask for a new recording', () => {
+  for (const status of [400, 413, 415, 422]) {
+    const err = errorFromResponse('Whisper transcription', response(status), 'bad file');
+    assert.ok(err instanceof PermanentJobError);
+    assert.equal(err.userMessage, 'Whisper transcription rejected the recording. Please try recording again.');
+  }
+});
+
+test('other client errors fail permanently without blaming the recording', () => {
+  const err = errorFromResponse('GPT analysis', response(410), 'gone');
+  assert.ok(err instanceof PermanentJobError);
+  assert.doesNotMatch(err.userMessage, /rejected the recording/);
+});
+
+test('rate limits and server errors are transient and keep Retry-After', () => {
+  const err = errorFromResponse('GPT analysis', response(429, { 'retry-after': '7' }), 'slow down');
+  assert.ok(err instanceof TransientJobError);
+  assert.equal(err.retryAfterMs, 7000);
+  assert.ok(errorFromResponse('GPT analysis', response(503), '') instanceof TransientJobError);
+});
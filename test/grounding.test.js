@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { groundFeedback } from "../src/grounding.js";
+import { validateAnalysis } from "../src/validation.js";
+import { DEFAULT_RUBRIC } from "../src/rubrics.js";
+
+const segments = [
+  { start: 0, end: 6, text: ' I would start by checking the patient is safe.' },
+  { start: 6, end: 14, text: ' Autonomy matters, so I would ask what she wants.' }
+];
+
+test('a quote found in another segment is re-pointed there', () => {
+  const [item] = groundFeedback([{ ts: '00:00', segment: 0, quote: 'Autonomy matters, so', note: 'Good' }], segments);
+
+  assert.equal(item.segment, 1);
+  assert.equal(item.ts, '00:06');
+  assert.equal(item.grounded, true);
+});
+
+test('items with a missing or out-of-range segment are looked up by quote', () => {
+  const grounded = groundFeedback([
+    { ts: '00:00', quote: 'checking the patient is safe', note: 'Good' },
+    { ts: '00:00', segment: 7, quote: 'ask what she wants', note: 'Good' }
+  ], segments);
+
+  assert.deepEqual(grounded.map(item => item.segment), [0, 1]);
+});
+
+test('items without a usable quote are dropped, or flagged in flag mode', () => {
+  const feedback = [
+    { ts: '00:00', segment: 0, quote: '', note: 'Empty quote' },
+    { ts: '00:00', segment: 0, note: 'No quote' },
+    { ts: '00:00', segment: 99, quote: 'never said this', note: 'Invented' }
+  ];
+
+  assert.deepEqual(groundFeedback(feedback, segments), []);
+  assert.deepEqual(groundFeedback(feedback, segments, { mode: 'flag' }).map(item => item.grounded), [false, false, false]);
+});
+
+test('quotes outside 3-15 words or matching only part of a word are not grounded', () => {
+  const grounded = groundFeedback([
+    { ts: '00:00', segment: 0, quote: 'I', note: 'Too short' },
+    { ts: '00:00', segment: 0, quote: 'the patient', note: 'Too short' },
+    { ts: '00:00', segment: 0, quote: 'start by check', note: 'Partial word' },
+    { ts: '00:00', segment: 0, quote: 'would start by checking the patient is safe autonomy matters so I would ask what she wants', note: 'Too long' },
+    { ts: '00:00', segment: 0, quote: 'start by checking', note: 'Whole words' }
+  ], segments);
+
+  assert.deepEqual(grounded.map(item => item.note), ['Whole words']);
+});
+
+test('segment and quote problems are not validation errors', () => {
+  const scores = Object.fromEntries(DEFAULT_RUBRIC.dimensions.map(({ key }) => [key, 60]));
+  const { errors } = validateAnalysis({
+    scores,
+    feedback: [{ ts: '00:03', segment: -1, quote: '', note: 'Ungrounded' }]
+  }, { rubric: DEFAULT_RUBRIC, durationSec: 14 });
+
+  assert.deepEqual(errors, []);
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildHesitationTimeline, hesitationFeedback } from "../src/hesitations.js";
+
+// Whisper-style words, `step` seconds apart from `from`
+function words(text, { from = 0, step = 0.5 } = {}) {
+  return text.split(' ').map((word, i) => ({ word, start: from + i * step, end: from + i * step + 0.4 }));
+}
+
+test('fillers, hedges, false starts and repetitions are told apart', () => {
+  const timeline = buildHesitationTimeline(words('Um, I think maybe the the pro- professional answer is kind of the therapy we had had'));
+
+  assert.deepEqual(timeline.events.map(e => [e.type, e.text]), [
+    ['filler', 'um'],
+    ['hedge', 'i think maybe'],
+    ['repetition', 'the'],
+    ['false_start', 'pro'],
+    ['filler', 'kind of']
+  ]);
+  assert.deepEqual(timeline.counts, { filler: 2, repetition: 1, false_start: 1, hedge: 1 });
+  assert.deepEqual(timeline.events[1], { type: 'hedge', text: 'i think maybe', start: 0.5, end: 1.9 });
+});
+
+test('an unmarked false start needs a near word that begins with it', () => {
+  const events = text => buildHesitationTimeline(words(text)).events.map(e => [e.type, e.text]);
+
+  assert.deepEqual(events('I want to medic medicine'), [['false_start', 'medic']]);
+  assert.deepEqual(events('the car career'), []);
+  assert.deepEqual(buildHesitationTimeline([{ word: 'medic', start: 0, end: 0.4 }, { word: 'medicine', start: 3, end: 3.5 }]).events, []);
+});
+
+test('events are counted into heatmap bins', () => {
+  const timeline = buildHesitationTimeline([
+    ...words('um so', { from: 1 }),
+    ...words('right uh', { from: 11 }),
+    ...words('erm fine', { from: 12 })
+  ]);
+
+  assert.equal(timeline.binSec, 5);
+  assert.deepEqual(timeline.bins, [1, 0, 2]);
+});
+
+test('feedback points at the densest stretches only', () => {
+  const timeline = buildHesitationTimeline([
+    ...words('um I mean uh the the answer', { from: 5 }),
+    ...words('um later', { from: 40 })
+  ]);
+  const feedback = hesitationFeedback(timeline);
+
+  assert.equal(feedback.length, 1);
+  assert.equal(feedback[0].ts, '00:05');
+  assert.equal(feedback[0].kind, 'hesitation');
+  assert.match(feedback[0].note, /^4 hesitations in a few seconds here \("um", "i mean", "uh", "the"\)/);
+  assert.deepEqual(hesitationFeedback(buildHesitationTimeline(words('um fine'))), []);
+});
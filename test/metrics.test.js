@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeSpeechMetrics, tokenize } from "../src/metrics.js";
+
+const segments = [
+  { start: 1.5, end: 10, text: ' Um, I think, you know, medicine is a vocation.' },
+  { start: 10.2, end: 20, text: ' I mean, I sort of realised it on placement.' },
+  { start: 26, end: 30, text: ' Er, that is why.' }
+];
+const transcript = segments.map(seg => seg.text.trim()).join(' ');
+
+test('tokens are lower-cased words without punctuation', () => {
+  assert.deepEqual(tokenize("Um, it's well-known — ‘really’."), ['um', "it's", 'well', 'known', 'really']);
+});
+
+test('metrics are computed from words and segment timings', () => {
+  const metrics = computeSpeechMetrics(transcript, segments);
+
+  assert.equal(metrics.wordCount, 22);
+  assert.equal(metrics.wpm, 44);
+  assert.deepEqual(metrics.fillers, { um: 1, 'you know': 1, 'i mean': 1, 'sort of': 1, er: 1 });
+  assert.equal(metrics.fillerCount, 5);
+  assert.equal(metrics.fillerRate, 0.227);
+  assert.equal(metrics.longestPauseSec, 6);
+  assert.equal(metrics.pauseCount, 2);
+  assert.deepEqual(metrics.pauseDistribution, { '0.5-1s': 0, '1-2s': 1, '2-5s': 0, '5s+': 1 });
+  assert.equal(metrics.speakingTimeRatio, 0.74);
+  assert.equal(metrics.durationSec, 30);
+});
+
+test('a custom lexicon replaces the default one', () => {
+  const metrics = computeSpeechMetrics('Like, I like medicine, like, a lot.', [{ start: 0, end: 6 }], { lexicon: ['like'] });
+
+  assert.deepEqual(metrics.fillers, { like: 3 });
+});
+
+test('an empty transcript gives zeroed metrics', () => {
+  const metrics = computeSpeechMetrics('', []);
+
+  assert.equal(metrics.wpm, 0);
+  assert.equal(metrics.fillerRate, 0);
+  assert.equal(metrics.speakingTimeRatio, 0);
+});
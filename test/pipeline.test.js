@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createPipeline } from "../src/pipeline.js";
+import { createFakeAnalysisProvider, createFakeTranscriptionProvider } from "../src/providers/fake.js";
+
+// Tables held in memory, with the query methods the pipeline uses. Filters it
+// does not need to check (ordering, limits, JSON paths) are accepted and ignored.
+function fakeSupabase(tables) {
+  return {
+    tables,
+    rpc: async () => ({ data: [{ jobs: 0, audio_seconds: 0, cost_usd: 0 }], error: null }),
+    from(table) {
+      const rows = (tables[table] = tables[table] || []);
+      const filters = [];
+      let op = 'select';
+      let payload = null;
+      let single = false;
+      let head = false;
+      const query = {
+        select: (columns, options) => { head = Boolean(options?.head); return query; },
+        insert: values => { op = 'insert'; payload = values; return query; },
+        update: values => { op = 'update'; payload = values; return query; },
+        eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+        neq: (column, value) => { filters.push(row => row[column] !== value); return query; },
+        in: (column, values) => { filters.push(row => values.includes(row[column])); return query; },
+        contains: (column, values) => { filters.push(row => values.every(v => row[column]?.includes(v))); return query; },
+        not: (column, operator, value) => {
+          if (!column.includes('->')) filters.push(row => row[column] !== value && row[column] !== undefined);
+          return query;
+        },
+        is: () => query,
+        lt: () => query,
+        gte: () => query,
+        order: () => query,
+        limit: () => query,
+        single: () => { single = true; return query; },
+        maybeSingle: () => { single = true; return query; },
+        then(resolve) {
+          if (op === 'insert') {
+            const row = { id: `${table}-${rows.length + 1}`, created_at: new Date().toISOString(), ...payload };
+            rows.push(row);
+            return resolve({ data: { ...row }, error: null });
+          }
+          const matched = rows.filter(row => filters.every(filter => filter(row)));
+          if (op === 'update') {
+            matched.forEach(row => Object.assign(row, payload));
+          }
+          if (head) {
+            return resolve({ count: matched.length, error: null });
+          }
+          const data = matched.map(row => ({ ...row }));
+          return resolve({ data: single ? data[0] ?? null : data, error: null });
+        }
+      };
+      return query;
+    }
+  };
+}
+
+async function setup(attempt = {}) {
+  const whisper = await createFakeTranscriptionProvider().transcribe({ buffer: Buffer.from('cached recording') });
+  const supabase = fakeSupabase({
+    attempts: [{
+      id: 'attempt-1',
+      user_id: null,
+      station_ids: ['station-1'],
+      transcript: whisper.text,
+      transcript_segments: whisper.segments,
+      transcript_words: whisper.words,
+      transcript_redactions: { count: 0, types: {} },
+      scores: { Overall: 41 },
+      metrics: {},
+      feedback: [],
+      ...attempt
+    }],
+    stations: [{ id: 'station-1', title: 'Teamwork', rubric_profile_id: null }],
+    articles: []
+  });
+  const pipeline = createPipeline({ supabase, analysisProvider: createFakeAnalysisProvider() });
+  return { supabase, pipeline };
+}
+
+test('a re-score is added to history without changing the attempt by default', async () => {
+  const { supabase, pipeline } = await setup();
+
+  const result = await pipeline.rescoreAttempt('attempt-1', { label: 'prompt trial' });
+
+  assert.equal(result.applied, false);
+  assert.equal(result.previousOverall, 41);
+  assert.deepEqual(supabase.tables.attempts[0].scores, { Overall: 41 });
+  const [history] = supabase.tables.attempt_analyses;
+  assert.equal(history.source, 'rescore');
+  assert.equal(history.label, 'prompt trial');
+  assert.equal(history.applied, false);
+  assert.equal(supabase.tables.job_usage[0].kind, 'rescore');
+});
+
+test('an applied re-score keeps the earlier result and records the rubric it used', async () => {
+  const { supabase, pipeline } = await setup();
+
+  const result = await pipeline.rescoreAttempt('attempt-1', { apply: true });
+
+  const attempt = supabase.tables.attempts[0];
+  assert.equal(attempt.scores.Overall, result.overall);
+  assert.equal(attempt.rubric_version, 1);
+  assert.equal('applied_rubric_profile_id' in attempt, true);
+  assert.equal(attempt.rubric_profile_id, undefined);
+  assert.deepEqual(supabase.tables.attempt_analyses.map(row => [row.source, row.applied]), [['legacy', true], ['rescore', true]]);
+});
+
+test('attempts without a cached transcript cannot be re-scored', async () => {
+  const { pipeline } = await setup({ transcript_segments: null });
+
+  const [result] = await pipeline.rescoreAttempts(['attempt-1']);
+
+  assert.match(result.error, /no cached transcript segments/);
+});
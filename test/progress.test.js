@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LeaseLostError } from "../src/errors.js";
+import { clearedProgress, createProgressTracker, isTerminal } from "../src/progress.js";
+
+const row = {
+  id: 'job-1',
+  attempt_id: 'attempt-1',
+  status: 'processing',
+  stage: 'transcribing',
+  stage_started_at: '2026-10-19T10:00:05.000Z',
+  stage_timings: { downloading: 5 },
+  retry_count: 1,
+  max_retries: 3,
+  next_attempt_at: null,
+  error_message: 'Whisper timed out after 600s',
+  created_at: '2026-10-19T09:59:00.000Z',
+  started_at: '2026-10-19T10:00:00.000Z',
+  completed_at: null
+};
+
+function fakeSupabase(data) {
+  const query = {
+    select: () => query,
+    eq: () => query,
+    maybeSingle: async () => ({ data, error: null })
+  };
+  return { from: () => query };
+}
+
+test('job rows are served as camelCase snapshots', async () => {
+  const snapshot = await createProgressTracker(fakeSupabase(row)).getJob('job-1');
+
+  assert.equal(snapshot.attemptId, 'attempt-1');
+  assert.deepEqual(snapshot.timings, { downloading: 5 });
+  assert.deepEqual(snapshot.retry, { count: 1, max: 3, nextAttemptAt: null, lastError: 'Whisper timed out after 600s' });
+  assert.equal(isTerminal(snapshot), false);
+  assert.equal(isTerminal({ ...snapshot, status: 'over_quota' }), true);
+});
+
+test('stages are written through the owned update with their timings', async () => {
+  const writes = [];
+  const progress = createProgressTracker(fakeSupabase(null)).trackJob('job-1', {
+    update: async changes => { writes.push(changes); return true; }
+  });
+
+  await progress.enter('downloading');
+  await progress.enter('transcribing');
+
+  assert.deepEqual(writes.map(w => w.stage), ['downloading', 'transcribing']);
+  assert.deepEqual(Object.keys(progress.timings()), ['downloading']);
+});
+
+test('a stage write the worker no longer owns stops the job', async () => {
+  const progress = createProgressTracker(fakeSupabase(null)).trackJob('job-1', { update: async () => false });
+
+  await assert.rejects(progress.enter('analysing'), LeaseLostError);
+});
+
+test('failed stage writes and aborted signals are handled differently', async () => {
+  const tracker = createProgressTracker(fakeSupabase(null));
+  const failing = tracker.trackJob('job-1', { update: async () => { throw new Error('connection reset'); } });
+  await failing.enter('analysing');
+
+  const controller = new AbortController();
+  controller.abort(new LeaseLostError('job-1'));
+  const aborted = tracker.trackJob('job-1', { signal: controller.signal, update: async () => true });
+  await assert.rejects(aborted.enter('analysing'), LeaseLostError);
+});
+
+test('requeued jobs clear the previous try\'s stages', () => {
+  assert.deepEqual(clearedProgress(), { stage: null, stage_started_at: null, stage_timings: {} });
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildAnalysisPrompts, detectStationType, formatStationCriteria, renderTemplate } from "../src/prompts.js";
+import { DEFAULT_RUBRIC } from "../src/rubrics.js";
+
+const segments = [
+  { start: 0, end: 5, text: ' I would begin by weighing up her autonomy.' },
+  { start: 65, end: 70, text: ' Then I would involve the wider team.' }
+];
+
+test('station type comes from the station record', () => {
+  assert.equal(detectStationType(null), 'general');
+  assert.equal(detectStationType({ role_play: true, title: 'Consent' }), 'role-play');
+  assert.equal(detectStationType({ graph_data: { x: [1] } }), 'data');
+  assert.equal(detectStationType({ title: 'A patient refuses treatment', themes: ['capacity'] }), 'ethics');
+  assert.equal(detectStationType({ prompt: 'Why medicine and not nursing?' }), 'motivation');
+  assert.equal(detectStationType({ title: 'Teamwork task' }), 'general');
+});
+
+test('station criteria only name dimensions the rubric defines', () => {
+  const rubric = { dimensions: [{ key: 'Rapport' }, { key: 'Communication' }] };
+
+  assert.match(formatStationCriteria('role-play', DEFAULT_RUBRIC), /- Empathy and Communication should carry the most weight$/);
+  assert.match(formatStationCriteria('role-play', rubric), /- Communication should carry the most weight$/);
+  assert.doesNotMatch(formatStationCriteria('motivation', rubric), /carry the most weight/);
+});
+
+test('prompts include the station question, criteria and numbered segments', () => {
+  const { systemPrompt, userPrompt, stationType } = buildAnalysisPrompts({
+    segments,
+    wordCount: 15,
+    totalDuration: 70,
+    transcriptLength: 80,
+    station: { title: 'Refusing treatment', prompt: 'A patient with capacity refuses a transfusion.' },
+    rubric: DEFAULT_RUBRIC
+  });
+
+  assert.equal(stationType, 'ethics');
+  assert.match(systemPrompt, /ETHICS STATION CRITERIA:/);
+  assert.match(systemPrompt, /"Teamwork": <number 0-100>/);
+  assert.match(userPrompt, /Prompt: A patient with capacity refuses a transfusion\./);
+  assert.match(userPrompt, /\[#1 01:05\] Then I would involve the wider team\./);
+});
+
+test('unknown template placeholders are left in place', () => {
+  assert.equal(renderTemplate('{{persona}} {{typo}}', { persona: 'Examiner' }), 'Examiner {{typo}}');
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { REJECTION_MESSAGES, assessSpeechQuality, classifySegment, isUsableSegment, unclearAudioFeedback } from "../src/quality.js";
+
+const options = { expectedLanguages: ['english'], maxUnclearShare: 0.6, quietDbfs: -40 };
+
+// Whisper confidence fields typical of each kind of segment
+const CONFIDENCE = {
+  speech: { no_speech_prob: 0.1, avg_logprob: -0.3, compression_ratio: 1.5 },
+  unclear: { no_speech_prob: 0.2, avg_logprob: -1.5, compression_ratio: 1.5 },
+  noise: { no_speech_prob: 0.2, avg_logprob: -0.5, compression_ratio: 3 },
+  silence: { no_speech_prob: 0.9, avg_logprob: -1.5, compression_ratio: 1 }
+};
+
+const ANSWER = 'I would first make sure the patient is safe and then explain my concerns to the consultant in private';
+
+function seg(kind, start, end, text = ANSWER) {
+  return { start, end, text, ...CONFIDENCE[kind] };
+}
+
+function assess(segments, extra = {}) {
+  const transcript = segments.map(s => s.text).join(' ');
+  return assessSpeechQuality({ transcript, segments, language: 'english', ...extra }, options);
+}
+
+test('segments are classified from Whisper confidence', () => {
+  for (const kind of Object.keys(CONFIDENCE)) {
+    assert.equal(classifySegment(seg(kind, 0, 1)), kind);
+  }
+  assert.equal(classifySegment({ start: 0, end: 1, text: 'no confidence fields' }), 'speech');
+  assert.equal(isUsableSegment(seg('unclear', 0, 1)), true);
+  assert.equal(isUsableSegment(seg('noise', 0, 1)), false);
+});
+
+test('a clear answer passes with silence and noise left out', () => {
+  const result = assess([seg('speech', 0, 8), seg('silence', 8, 12, 'Thank you.'), seg('noise', 12, 14, 'la la la')]);
+
+  assert.equal(result.ok, true);
+  assert.equal(result.transcript, ANSWER);
+  assert.equal(result.segments.length, 1);
+  assert.equal(result.stats.confidentSpeechSec, 8);
+  assert.deepEqual(result.stats.unclearRegions, [{ start: 12, end: 14, kind: 'noise' }]);
+});
+
+test('short answers are rejected with the most likely cause', () => {
+  const short = 'Yes I agree';
+
+  assert.equal(assess([seg('speech', 0, 2, short)], { audio: { speechLoudnessDbfs: -50 } }).reason, 'quiet_microphone');
+  assert.equal(assess([seg('noise', 0, 20, 'la la la')]).reason, 'noise');
+  assert.equal(assess([seg('unclear', 0, 20, short)]).reason, 'background_speech');
+  assert.equal(assess([seg('silence', 0, 20, 'Thank you.')]).reason, 'no_speech');
+  assert.equal(assess([seg('speech', 0, 2, short)]).message, REJECTION_MESSAGES.too_little_speech);
+});
+
+test('mostly unclear speech is rejected as background speech', () => {
+  const result = assess([seg('speech', 0, 5), seg('unclear', 5, 20), seg('unclear', 20, 40)]);
+
+  assert.equal(result.reason, 'background_speech');
+  assert.deepEqual(result.stats.unclearRegions, [{ start: 5, end: 40, kind: 'unclear' }]);
+});
+
+test('answers in another language are rejected once there are enough confident words', () => {
+  const result = assess([seg('speech', 0, 8)], { language: 'fr' });
+
+  assert.equal(result.reason, 'wrong_language');
+  assert.match(result.message, /^Your answer appears to be in French\. Interviews are assessed in English/);
+  assert.equal(assess([seg('speech', 0, 8, 'Bonjour')], { language: 'fr' }).reason, 'too_little_speech');
+});
+
+test('long unclear stretches get a feedback item', () => {
+  assert.deepEqual(unclearAudioFeedback({ unclearRegions: [{ start: 65, end: 75 }, { start: 90, end: 96 }] }), {
+    kind: 'audio_quality',
+    ts: '01:05',
+    note: 'About 16 seconds of your recording, starting here, were unclear or noisy and could not be transcribed reliably. Record somewhere quiet and close to the microphone so all of your answer counts.'
+  });
+  assert.equal(unclearAudioFeedback({ unclearRegions: [{ start: 0, end: 10 }] }), null);
+});
@@ -0,0 +1,154 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LeaseLostError } from "../src/errors.js";
+import { createQueueConsumer } from "../src/queue.js";
+
+const options = { workerId: 'worker-1', concurrency: 2, pollIntervalMs: 20, leaseSeconds: 3, staleJobSeconds: 1800 };
+
+// Hands out `jobs` one claim at a time (the array is consumed, so tests can
+// add jobs later); `renew` answers lease renewals. Every RPC is recorded as
+// [name, args].
+function fakeSupabase({ jobs = [], renew = () => true, claimDelayMs = 0 } = {}) {
+  const pending = jobs;
+  const calls = [];
+  return {
+    calls,
+    async rpc(name, args) {
+      calls.push([name, args]);
+      if (name === 'claim_analysis_job') {
+        await wait(claimDelayMs);
+        return { data: pending.length > 0 ? [pending.shift()] : [], error: null };
+      }
+      if (name === 'renew_analysis_job_lease') {
+        return { data: renew(args.p_job_id), error: null };
+      }
+      if (name === 'release_analysis_jobs') {
+        return { data: args.p_job_ids.length, error: null };
+      }
+      return { data: 0, error: null };
+    }
+  };
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('jobs are claimed as this worker and run at most `concurrency` at a time', async () => {
+  const supabase = fakeSupabase({ jobs: [{ id: 'j1' }, { id: 'j2' }, { id: 'j3' }] });
+  let running = 0;
+  let peak = 0;
+  const handled = [];
+  const queue = createQueueConsumer({
+    ...options,
+    supabase,
+    handler: async job => {
+      running++;
+      peak = Math.max(peak, running);
+      await wait(30);
+      handled.push(job.id);
+      running--;
+    }
+  });
+
+  queue.start();
+  await wait(200);
+  await queue.stop();
+
+  assert.deepEqual(handled.sort(), ['j1', 'j2', 'j3']);
+  assert.equal(peak, 2);
+  const claim = supabase.calls.find(([name]) => name === 'claim_analysis_job');
+  assert.deepEqual(claim[1], { p_worker_id: 'worker-1', p_lease_seconds: 3, p_job_id: null });
+});
+
+test('submit claims a specific job only while running', async () => {
+  const jobs = [];
+  const supabase = fakeSupabase({ jobs });
+  const handled = [];
+  const queue = createQueueConsumer({ ...options, pollIntervalMs: 60000, supabase, handler: async job => { handled.push(job.id); } });
+
+  assert.equal(await queue.submit('j9'), false);
+  queue.start();
+  await wait(10);
+  jobs.push({ id: 'j9' });
+  assert.equal(await queue.submit('j9'), true);
+  await queue.stop();
+
+  assert.deepEqual(handled, ['j9']);
+  assert.ok(supabase.calls.some(([name, args]) => name === 'claim_analysis_job' && args.p_job_id === 'j9'));
+});
+
+test('a lost lease aborts the handler with LeaseLostError', async () => {
+  const supabase = fakeSupabase({ jobs: [{ id: 'j1' }], renew: () => false });
+  let reason = null;
+  const queue = createQueueConsumer({
+    ...options,
+    supabase,
+    handler: (job, { signal }) => new Promise(resolve => {
+      signal.addEventListener('abort', () => {
+        reason = signal.reason;
+        resolve();
+      });
+    })
+  });
+
+  queue.start();
+  await wait(1200);
+  await queue.stop();
+
+  assert.ok(reason instanceof LeaseLostError);
+});
+
+test('stop releases jobs still running at the deadline and aborts their handlers', async () => {
+  const supabase = fakeSupabase({ jobs: [{ id: 'j1' }], claimDelayMs: 50 });
+  let reason = null;
+  const queue = createQueueConsumer({
+    ...options,
+    supabase,
+    handler: (job, { signal }) => new Promise(resolve => {
+      signal.addEventListener('abort', () => {
+        reason = signal.reason;
+        resolve();
+      });
+    })
+  });
+
+  queue.start();
+  // The claim is still in flight when stop() is called
+  await wait(10);
+  const released = await queue.stop({ timeoutMs: 30 });
+
+  assert.deepEqual(released, ['j1']);
+  assert.ok(reason instanceof LeaseLostError);
+  const release = supabase.calls.find(([name]) => name === 'release_analysis_jobs');
+  assert.deepEqual(release[1], { p_worker_id: 'worker-1', p_job_ids: ['j1'] });
+});
+
+test('stop without a deadline waits for running jobs', async () => {
+  const supabase = fakeSupabase({ jobs: [{ id: 'j1' }] });
+  let finished = false;
+  const queue = createQueueConsumer({
+    ...options,
+    supabase,
+    handler: async () => {
+      await wait(50);
+      finished = true;
+    }
+  });
+
+  queue.start();
+  await wait(10);
+
+  assert.deepEqual(await queue.stop(), []);
+  assert.equal(finished, true);
+  assert.equal(supabase.calls.some(([name]) => name === 'release_analysis_jobs'), false);
+});
+
+test('stale jobs are requeued for this worker id', async () => {
+  const supabase = fakeSupabase();
+  const queue = createQueueConsumer({ ...options, supabase, handler: async () => {} });
+
+  await queue.requeueStale();
+
+  assert.deepEqual(supabase.calls, [['requeue_stale_analysis_jobs', { p_worker_id: 'worker-1', p_stale_seconds: 1800 }]]);
+});
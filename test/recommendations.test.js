@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildSignals, createRecommender, difficultyLevel, generateArticleRecommendations } from "../src/recommendations.js";
+import { createFakeEmbeddingProvider } from "../src/providers/fake.js";
+
+const scores = { Structure: 35, Communication: 80, Empathy: 50, Overall: 55 };
+
+// Serves `tables` to select queries and records every query as
+// "<table>:<select|upsert>:<ids in .in()>"
+function fakeSupabase(tables) {
+  const calls = [];
+  return {
+    calls,
+    from(table) {
+      let op = 'select';
+      let ids = null;
+      const query = {
+        select: () => query,
+        eq: () => query,
+        neq: () => query,
+        not: () => query,
+        order: () => query,
+        limit: () => query,
+        in: (column, values) => { ids = values; return query; },
+        upsert: () => { op = 'upsert'; return query; },
+        then(resolve) {
+          calls.push(`${table}:${op}${ids ? `:${ids.length}` : ''}`);
+          return resolve({ data: op === 'select' ? tables[table] || [] : null, error: null });
+        }
+      };
+      return query;
+    }
+  };
+}
+
+test('dimension signals use the rubric and station instead of a fixed context', () => {
+  const [signal] = buildSignals(scores, [], {
+    rubric: { name: 'Dentistry MMI', dimensions: [{ key: 'Structure', description: 'Clear beginning, middle and end' }] },
+    station: { title: 'Breaking bad news' }
+  });
+
+  assert.equal(signal.key, 'Structure');
+  assert.equal(signal.text, 'Improving Structure in Dentistry MMI interview answers (station: Breaking bad news). Clear beginning, middle and end');
+  assert.doesNotMatch(buildSignals(scores, [])[0].text, /medical school/);
+});
+
+test('keyword matching copes with articles missing a category or title', () => {
+  const articles = [
+    { id: 'a1', title: null, category: null, tags: null },
+    { id: 'a2', title: 'Answer structure with STAR', category: null, tags: ['framework'] }
+  ];
+
+  assert.deepEqual(generateArticleRecommendations(scores, articles, null), ['a2', 'a1']);
+});
+
+test('difficulty is read from numbers and common words', () => {
+  assert.deepEqual(['Easy', 'intermediate', 'HARD', 2, 7, 'unknown', null].map(difficultyLevel), [1, 2, 3, 2, 3, null, null]);
+});
+
+test('a shared library is loaded once and embedding lookups are batched', async () => {
+  const articles = Array.from({ length: 150 }, (_, i) => ({
+    id: `a${i}`,
+    title: i === 7 ? 'Structuring your interview answers' : `Article ${i}`,
+    category: null,
+    tags: []
+  }));
+  const supabase = fakeSupabase({ articles, attempts: [] });
+  const recommender = createRecommender({
+    supabase,
+    embeddingProvider: createFakeEmbeddingProvider(),
+    count: 3,
+    excludeRecentAttempts: 3,
+    contentColumn: null,
+    maxContentChars: 4000
+  });
+  const library = recommender.createLibrary();
+  const request = { attempt: { id: 'x', user_id: 'u' }, scores, feedback: [], station: null, rubric: null, library };
+
+  const first = await recommender.recommend(request);
+  const second = await recommender.recommend(request);
+
+  assert.equal(first.articleIds.length, 3);
+  assert.deepEqual(second.articleIds, first.articleIds);
+  assert.deepEqual(supabase.calls, [
+    'articles:select',
+    'attempts:select',
+    'article_embeddings:select:100',
+    'article_embeddings:select:50',
+    'article_embeddings:upsert'
+  ]);
+  // Two article batches and the signals; later calls only embed their signals
+  assert.equal(first.usage.length, 3);
+  assert.equal(second.usage.length, 1);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRedactor, redactTranscript } from "../src/redaction.js";
+
+function transcriptOf(texts) {
+  const segments = texts.map((text, i) => ({ start: i * 5, end: i * 5 + 5, text }));
+  const words = texts.join(' ').split(' ').map((word, i) => ({ word, start: i * 0.5, end: i * 0.5 + 0.4 }));
+  return { transcript: texts.join(' '), segments, words };
+}
+
+test('redacts contact details, dates of birth and schools', () => {
+  const { transcript, redactions } = redactTranscript(transcriptOf([
+    "Hi, I'm Sarah Jones and I went to Hillcrest Academy.",
+    'Reach me on 07700 900123 or sarah.jones@gmail.com, postcode LS6 2AB.',
+    'I was born on 12th March 2006.'
+  ]));
+
+  assert.equal(transcript, "Hi, I'm [NAME_1] and I went to [SCHOOL_1]. Reach me on [PHONE_1] or [EMAIL_1], postcode [POSTCODE_1]. I was born on [DATE_OF_BIRTH_1].");
+  assert.deepEqual(redactions, {
+    count: 6,
+    types: { EMAIL: 1, PHONE: 1, POSTCODE: 1, DATE_OF_BIRTH: 1, SCHOOL: 1, NAME: 1 }
+  });
+});
+
+test('a name part on its own shares the full name placeholder', () => {
+  const redactor = createRedactor(['My patient Edith Walker was anxious.']);
+
+  assert.equal(redactor.redactText('Later Walker relaxed.'), 'Later [NAME_1] relaxed.');
+});
+
+test('names and places are matched case-sensitively', () => {
+  const { transcript } = redactTranscript(transcriptOf([
+    'My friend Will Hope and I live in Reading.',
+    'I will explain. He will hope to mark the date. I love reading.'
+  ]));
+
+  assert.equal(transcript, 'My friend [NAME_1] and I live in [LOCATION_1]. I will explain. He will hope to mark the date. I love reading.');
+});
+
+test('name parts that are common words are not redacted on their own', () => {
+  const redactor = createRedactor(['My tutor Mark Smith helped me.']);
+
+  assert.equal(redactor.redactText('Mark my words, Smith was right.'), 'Mark my words, [NAME_1] was right.');
+});
+
+test('contact details are matched case-insensitively', () => {
+  const redactor = createRedactor(['Email Sarah.Jones@Gmail.com please.']);
+
+  assert.equal(redactor.redactText('It is sarah.jones@gmail.com'), 'It is [EMAIL_1]');
+});
+
+test('word timestamps are redacted the same way as segments', () => {
+  const { words } = redactTranscript(transcriptOf([
+    'My friend Will Hope and I live in Reading.',
+    'I will hope for the best, reading widely.'
+  ]));
+
+  assert.deepEqual(words.map(w => w.word), [
+    'My', 'friend', '[NAME_1]', 'and', 'I', 'live', 'in', '[LOCATION_1]',
+    'I', 'will', 'hope', 'for', 'the', 'best,', 'reading', 'widely.'
+  ]);
+  const name = words.find(w => w.word === '[NAME_1]');
+  assert.equal(name.start, 1);
+  assert.equal(name.end, 1.9);
+});
+
+test('a value spread over several words is collapsed into one', () => {
+  const redactor = createRedactor(['Call me on 07700 900123.']);
+  const words = [
+    { word: 'on', start: 0, end: 0.2 },
+    { word: '07700', start: 0.2, end: 0.8 },
+    { word: '900123.', start: 0.8, end: 1.5 }
+  ];
+
+  assert.deepEqual(redactor.redactWords(words), [
+    { word: 'on', start: 0, end: 0.2 },
+    { word: '[PHONE_1]', start: 0.2, end: 1.5 }
+  ]);
+});
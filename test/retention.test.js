@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRetentionManager } from "../src/retention.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `attempts` answers every attempts query and the failed-attempts RPC; jobs
+// are looked up by attempt_id. RPCs, storage calls and attempt updates are
+// recorded as [name, ...args].
+function fakeSupabase({ attempts = [], jobs = [], downloadError = null }) {
+  const calls = [];
+  return {
+    calls,
+    async rpc(name, args) {
+      calls.push(['rpc', name, args]);
+      return { data: attempts, error: null };
+    },
+    from(table) {
+      const filters = {};
+      let update = null;
+      const query = {
+        select: () => query,
+        update: changes => { update = changes; return query; },
+        eq: (column, value) => { filters[column] = value; return query; },
+        lt: () => query,
+        or: () => query,
+        not: () => query,
+        is: () => query,
+        order: () => query,
+        limit: () => query,
+        then(resolve) {
+          if (update) {
+            calls.push(['update', table, filters.id, update]);
+            return resolve({ error: null });
+          }
+          const data = table === 'analysis_queue' ? jobs.filter(job => job.attempt_id === filters.attempt_id) : attempts;
+          return resolve({ data, error: null });
+        }
+      };
+      return query;
+    },
+    storage: {
+      from: () => ({
+        remove: async paths => { calls.push(['remove', paths]); return { error: null }; },
+        download: async path => {
+          calls.push(['download', path]);
+          return { data: null, error: downloadError };
+        }
+      })
+    }
+  };
+}
+
+function manager(supabase, options) {
+  return createRetentionManager({ supabase, policy: 'keep', retentionDays: 0, failedRetentionDays: 0, sweepIntervalMs: 60000, batchSize: 10, ...options });
+}
+
+test('failed attempts come from the latest-job RPC and have every recording deleted', async () => {
+  const attempt = {
+    id: 'a1',
+    station_recordings: [{ station_id: 's1', video_path: 'u1/s1.webm' }],
+    recording_retention_log: [{ action: 'earlier' }]
+  };
+  const supabase = fakeSupabase({
+    attempts: [attempt],
+    jobs: [{ attempt_id: 'a1', video_url: 'u1/s1.webm' }, { attempt_id: 'a1', video_url: 'u1/retry.webm' }]
+  });
+
+  const summary = await manager(supabase, { failedRetentionDays: 7 }).sweep();
+
+  assert.deepEqual(summary, { expired: 0, failed: 1, policy: 0, errors: 0 });
+  const [, name, args] = supabase.calls[0];
+  assert.equal(name, 'failed_recording_attempts');
+  assert.equal(args.p_limit, 10);
+  assert.ok(Math.abs(Date.parse(args.p_cutoff) - (Date.now() - 7 * DAY_MS)) < 5000);
+  assert.deepEqual(supabase.calls[1], ['remove', ['u1/s1.webm', 'u1/retry.webm']]);
+
+  const [, table, id, changes] = supabase.calls[2];
+  assert.equal(table, 'attempts');
+  assert.equal(id, 'a1');
+  assert.equal(changes.recording_state, 'deleted');
+  assert.deepEqual(changes.recording_retention_log.map(e => [e.action, e.path, e.reason]), [
+    ['earlier', undefined, undefined],
+    ['deleted', 'u1/s1.webm', 'failed'],
+    ['deleted', 'u1/retry.webm', 'failed']
+  ]);
+});
+
+test('an attempt is not marked audio-only while a video could not be downloaded', async () => {
+  const supabase = fakeSupabase({
+    attempts: [{ id: 'a1', station_recordings: null, recording_retention_log: [] }],
+    jobs: [{ attempt_id: 'a1', video_url: 'u1/answer.webm' }],
+    downloadError: { message: 'Object not found' }
+  });
+
+  const summary = await manager(supabase, { policy: 'audio' }).sweep();
+
+  assert.deepEqual(summary, { expired: 0, failed: 0, policy: 0, errors: 1 });
+  assert.equal(supabase.calls.some(([name]) => name === 'remove'), false);
+  const update = supabase.calls.find(([name]) => name === 'update');
+  assert.deepEqual(update[3], { recording_retention_log: [] });
+});
+
+test('attempts already reduced to audio are left alone', async () => {
+  const supabase = fakeSupabase({
+    attempts: [{ id: 'a1', station_recordings: null, recording_retention_log: [] }],
+    jobs: [{ attempt_id: 'a1', video_url: 'u1/answer.audio.mp3' }]
+  });
+
+  assert.deepEqual(await manager(supabase, { policy: 'audio' }).sweep(), { expired: 0, failed: 0, policy: 1, errors: 0 });
+  assert.equal(supabase.calls.some(([name]) => name === 'download'), false);
+  assert.equal(supabase.calls.find(([name]) => name === 'update')[3].recording_state, 'audio_only');
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_RUBRIC, applyDurationCap, computeOverall, loadRubric, normaliseRubric, zeroScores } from "../src/rubrics.js";
+
+const profiles = {
+  override: { id: 'override', slug: 'override', version: 1, dimensions: [{ key: 'Reasoning', weight: 2 }] },
+  station: { id: 'station', slug: 'station', version: 3 },
+  default: { id: 'default', slug: 'uk-medicine-mmi', version: 2 }
+};
+
+// rubric_profiles lookups by id, or the profile flagged is_default
+function fakeSupabase({ withDefault = true } = {}) {
+  const lookups = [];
+  return {
+    lookups,
+    from() {
+      let id = null;
+      const query = {
+        select: () => query,
+        eq: (column, value) => {
+          id = column === 'id' ? value : 'default';
+          return query;
+        },
+        order: () => query,
+        limit: () => query,
+        maybeSingle: async () => {
+          lookups.push(id);
+          const data = id === 'default' && !withDefault ? null : profiles[id] || null;
+          return { data, error: null };
+        }
+      };
+      return query;
+    }
+  };
+}
+
+test('the attempt override wins over the station and default profiles', async () => {
+  const supabase = fakeSupabase();
+  const rubric = await loadRubric(supabase, { attempt: { rubric_profile_id: 'override' }, station: { rubric_profile_id: 'station' } });
+
+  assert.equal(rubric.id, 'override');
+  assert.deepEqual(supabase.lookups, ['override']);
+});
+
+test('without an override the station profile, then the default, is used', async () => {
+  const supabase = fakeSupabase();
+
+  assert.equal((await loadRubric(supabase, { attempt: { applied_rubric_profile_id: 'default' }, station: { rubric_profile_id: 'station' } })).id, 'station');
+  assert.equal((await loadRubric(supabase, { attempt: { rubric_profile_id: 'deleted' }, station: null })).id, 'default');
+  assert.equal(await loadRubric(fakeSupabase({ withDefault: false }), { attempt: {}, station: null }), DEFAULT_RUBRIC);
+});
+
+test('empty profile fields fall back to the built-in rubric', () => {
+  const rubric = normaliseRubric({
+    id: 'p1',
+    version: 2,
+    dimensions: [{ key: 'Reasoning', weight: '2', description: 'Logical steps' }, { key: 'Overall' }, { weight: 1 }],
+    duration_rules: { capScore: 40 }
+  });
+
+  assert.deepEqual(rubric.dimensions, [{ key: 'Reasoning', weight: 2, description: 'Logical steps' }]);
+  assert.equal(rubric.persona, DEFAULT_RUBRIC.persona);
+  assert.equal(rubric.bands, DEFAULT_RUBRIC.bands);
+  assert.deepEqual(rubric.duration, { ...DEFAULT_RUBRIC.duration, capScore: 40 });
+});
+
+test('Overall is the weighted mean of the dimension scores', () => {
+  const rubric = { dimensions: [{ key: 'A', weight: 3 }, { key: 'B', weight: 1 }, { key: 'C', weight: 0 }] };
+
+  assert.equal(computeOverall({ A: 80, B: 40, C: 0 }, rubric), 70);
+  assert.equal(computeOverall({}, rubric), 0);
+  assert.deepEqual(zeroScores(rubric), { A: 0, B: 0, C: 0, Overall: 0 });
+});
+
+test('short answers have every score capped and are told why', () => {
+  const analysis = { scores: { Structure: 70, Empathy: 20 }, feedback: [] };
+
+  assert.equal(applyDurationCap(analysis, 300, DEFAULT_RUBRIC), false);
+  assert.equal(applyDurationCap(analysis, 95, DEFAULT_RUBRIC), true);
+  assert.deepEqual(analysis.scores, { Structure: 30, Empathy: 20 });
+  assert.match(analysis.feedback[0].note, /^Response duration \(1:35\) is significantly below the expected 7-minute timeframe/);
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ACTOR, CANDIDATE, candidateSpeech, candidateTimeline, hasSpeakerLabels, labelSpeakers, turnsFromAttempt, turnsFromDiarization } from "../src/speakers.js";
+
+const segments = [
+  { id: 0, start: 0, end: 5, text: ' Hello, I am the doctor.', speaker: CANDIDATE },
+  { id: 1, start: 6, end: 10, text: ' Why are you late?', speaker: ACTOR },
+  { id: 2, start: 12, end: 20, text: ' I am sorry for the wait.', speaker: CANDIDATE }
+];
+
+test('client turns are validated and anyone but the candidate is the actor', () => {
+  assert.deepEqual(turnsFromAttempt({
+    speaker_turns: [
+      { start_sec: '0', end_sec: 5, speaker: 'candidate' },
+      { start_sec: 5, end_sec: 9, speaker: 'examiner' },
+      { start_sec: 9, speaker: 'candidate' }
+    ]
+  }), [
+    { start: 0, end: 5, speaker: CANDIDATE },
+    { start: 5, end: 9, speaker: ACTOR }
+  ]);
+  assert.equal(turnsFromAttempt({ speaker_turns: [] }), null);
+  assert.equal(turnsFromAttempt({ speaker_turns: [{ speaker: 'actor' }] }), null);
+});
+
+test('the diarized speaker who talks longest is the candidate', () => {
+  assert.deepEqual(turnsFromDiarization([
+    { start: 0, end: 4, speaker: 'SPEAKER_01' },
+    { start: 4, end: 30, speaker: 'SPEAKER_00' },
+    { start: 30, end: 34, speaker: 'SPEAKER_01' }
+  ]).map(turn => turn.speaker), [ACTOR, CANDIDATE, ACTOR]);
+  assert.equal(turnsFromDiarization([]), null);
+});
+
+test('items take the speaker they overlap most, defaulting to the candidate', () => {
+  const turns = [{ start: 0, end: 4, speaker: ACTOR }, { start: 4, end: 20, speaker: CANDIDATE }];
+  const labelled = labelSpeakers([{ start: 1, end: 5 }, { start: 3, end: 8 }, { start: 25, end: 26 }], turns);
+
+  assert.deepEqual(labelled.map(item => item.speaker), [ACTOR, CANDIDATE, CANDIDATE]);
+  assert.equal(hasSpeakerLabels(labelled), true);
+  assert.equal(hasSpeakerLabels([{ start: 0, end: 1 }]), false);
+});
+
+test("the candidate timeline drops the actor's line and the gap before it", () => {
+  assert.deepEqual(candidateTimeline(segments).map(seg => [seg.id, seg.start, seg.end]), [[0, 0, 5], [2, 7, 15]]);
+});
+
+test('candidate speech is only rebuilt when an actor was labelled', () => {
+  const own = candidateSpeech('full transcript', segments);
+  const unlabelled = [{ id: 0, start: 0, end: 5, text: 'Hello' }];
+
+  assert.equal(own.transcript, 'Hello, I am the doctor. I am sorry for the wait.');
+  assert.equal(own.segments.length, 2);
+  assert.deepEqual(candidateSpeech('Hello', unlabelled), { transcript: 'Hello', segments: unlabelled });
+});
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeTrends, describeTrends, extractThemes, loadPreviousAttempts } from "../src/trends.js";
+
+// Records each query-builder call as [method, ...args] and answers with `rows`
+function fakeSupabase(rows) {
+  const calls = [];
+  const query = new Proxy({}, {
+    get(target, method) {
+      if (method === 'then') {
+        return resolve => resolve({ data: rows, error: null });
+      }
+      return (...args) => {
+        calls.push([method, ...args]);
+        return query;
+      };
+    }
+  });
+  return { calls, from: table => { calls.push(['from', table]); return query; } };
+}
+
+const previous = [
+  {
+    id: 'a2',
+    created_at: '2026-10-12T09:00:00Z',
+    scores: { Structure: 50, Empathy: 70, Overall: 60 },
+    metrics: { wpm: 180, fillerRate: 0.05, longestPauseSec: 3 },
+    feedback: [{ note: 'Use signposting to structure the answer' }]
+  },
+  {
+    id: 'a1',
+    created_at: '2026-10-05T09:00:00Z',
+    scores: { Structure: 40 },
+    metrics: { fillerRate: 0.04 },
+    feedback: []
+  }
+];
+
+const result = {
+  scores: { Structure: 62, Empathy: 60, Overall: 61 },
+  metrics: { wpm: 150, fillerRate: 0.06, longestPauseSec: 2 },
+  feedback: [{ note: 'Too many fillers like um' }]
+};
+
+test('previous attempts exclude this one and recordings the quality gate rejected', async () => {
+  const supabase = fakeSupabase(previous);
+
+  assert.equal(await loadPreviousAttempts(supabase, { id: 'a3', user_id: 'u1', created_at: '2026-10-19T09:00:00Z' }, { limit: 5 }), previous);
+  assert.deepEqual(supabase.calls.filter(([method]) => ['eq', 'neq', 'is', 'lt', 'limit'].includes(method)), [
+    ['eq', 'user_id', 'u1'],
+    ['neq', 'id', 'a3'],
+    ['is', 'metrics->quality->>reason', null],
+    ['limit', 5],
+    ['lt', 'created_at', '2026-10-19T09:00:00Z']
+  ]);
+  assert.deepEqual(await loadPreviousAttempts(fakeSupabase(previous), { id: 'a3', user_id: null }, { limit: 5 }), []);
+});
+
+test('themes come from feedback notes and the speech metrics', () => {
+  assert.deepEqual(extractThemes(previous[0].feedback, previous[0].metrics), ['structure', 'fillers', 'pace']);
+  assert.deepEqual(extractThemes([{ note: 'Long pause here', kind: 'progress' }], null), []);
+});
+
+test('trends compare with the last attempt and average over the window', () => {
+  const trends = computeTrends(result, previous, { window: 3 });
+
+  assert.equal(trends.previousAttemptId, 'a2');
+  assert.equal(trends.attemptsCompared, 2);
+  assert.deepEqual(trends.dimensions.Structure, { current: 62, previous: 50, change: 12, rollingAverage: 50.67 });
+  assert.deepEqual(trends.dimensions.Empathy, { current: 60, previous: 70, change: -10, rollingAverage: 65 });
+  assert.deepEqual(trends.metrics.wpm, { current: 150, previous: 180, change: -30, rollingAverage: 165 });
+  assert.deepEqual(trends.themes.recurring, [{ theme: 'fillers', label: 'filler words', streak: 3 }]);
+  assert.deepEqual(trends.themes.resolved.map(item => item.theme), ['structure', 'pace']);
+  assert.equal(computeTrends(result, [], { window: 3 }), null);
+});
+
+test('the summary weighs improvements against what came up again', () => {
+  const trends = computeTrends(result, previous, { window: 3 });
+
+  assert.equal(trends.summary,
+    'Your Structure score has improved by 12 points, your speaking pace has improved, your longest pause has improved ' +
+    'and answer structure no longer came up, but Empathy dropped (-10) and filler words came up again (3 attempts in a row).');
+  assert.equal(describeTrends({ dimensions: { Overall: { change: 20 } }, metrics: {}, themes: { recurring: [], resolved: [] } }), null);
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { describeUsage, findExceededQuota, summariseUsage, tokenUsage, transcriptionUsage } from "../src/usage.js";
+
+const prices = {
+  'whisper-1': { perMinute: 0.006 },
+  'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.6 }
+};
+
+// usage_quotas rows, and usage_totals answered per scope. RPC arguments are
+// recorded.
+function fakeSupabase(quotas, totals) {
+  const rpcs = [];
+  return {
+    rpcs,
+    from: () => {
+      let scopes = [];
+      const query = {
+        select: () => query,
+        in: (column, values) => { scopes = values; return query; },
+        then: resolve => resolve({ data: quotas.filter(row => scopes.includes(row.scope)), error: null })
+      };
+      return query;
+    },
+    async rpc(name, args) {
+      rpcs.push(args);
+      return { data: [totals[args.p_scope]], error: null };
+    }
+  };
+}
+
+test('usage items default missing counts to zero', () => {
+  assert.deepEqual(transcriptionUsage('whisper-1', '61.234'), { kind: 'transcription', model: 'whisper-1', audioSeconds: 61.23 });
+  assert.deepEqual(tokenUsage('analysis', 'local', undefined), { kind: 'analysis', model: 'local', promptTokens: 0, completionTokens: 0 });
+});
+
+test('costs use the base model price and unpriced models are listed', () => {
+  const summary = summariseUsage([
+    transcriptionUsage('whisper-1', 60),
+    tokenUsage('analysis', 'gpt-4o-mini-2024-07-18', { prompt_tokens: 2000, completion_tokens: 1000 }),
+    tokenUsage('embedding', 'text-embedding-3-small', { prompt_tokens: 200 })
+  ], prices);
+
+  assert.deepEqual(summary, {
+    audioSeconds: 60,
+    promptTokens: 2000,
+    completionTokens: 1000,
+    embeddingTokens: 200,
+    models: ['whisper-1', 'gpt-4o-mini-2024-07-18', 'text-embedding-3-small'],
+    estimatedCostUsd: 0.0069,
+    unpricedModels: ['text-embedding-3-small']
+  });
+  assert.equal(describeUsage(summary), '60s audio, 2000+1000 tokens, 200 embedding tokens, ~$0.0069 (no price for text-embedding-3-small)');
+});
+
+test("a subject's own quota replaces the default and the first exhausted limit is reported", async () => {
+  const supabase = fakeSupabase([
+    { scope: 'user', subject_id: null, period: 'day', max_jobs: 10 },
+    { scope: 'user', subject_id: 'u1', period: 'day', max_jobs: 50 },
+    { scope: 'user', subject_id: 'u2', period: 'day', max_jobs: 1 },
+    { scope: 'organisation', subject_id: null, period: 'month', max_jobs: null, max_cost_usd: '20' }
+  ], {
+    user: { jobs: 12, audio_seconds: 900, cost_usd: 1 },
+    organisation: { jobs: 400, audio_seconds: 90000, cost_usd: 20.5 }
+  });
+
+  const exceeded = await findExceededQuota(supabase, { userId: 'u1', organisationId: 'o1' });
+
+  const now = new Date();
+  const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString();
+  assert.deepEqual(exceeded, {
+    scope: 'organisation',
+    period: 'month',
+    limit: 'max_cost_usd',
+    max: 20,
+    used: 20.5,
+    resetsAt,
+    message: `Your organisation has reached the monthly usage allowance. Your recording has been saved and can be analysed after the limit resets on ${resetsAt.slice(0, 10)} (UTC).`
+  });
+  assert.deepEqual(supabase.rpcs.map(args => [args.p_scope, args.p_subject_id]), [['user', 'u1'], ['organisation', 'o1']]);
+});
+
+test('attempts without a user or organisation are not limited', async () => {
+  const supabase = fakeSupabase([{ scope: 'user', subject_id: null, period: 'day', max_jobs: 0 }], {});
+
+  assert.equal(await findExceededQuota(supabase, {}), null);
+  assert.deepEqual(supabase.rpcs, []);
+});
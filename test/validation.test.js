@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { requestAnalysis } from "../src/analysis.js";
+import { PermanentJobError } from "../src/errors.js";
+import { parseTimestamp, validateAnalysis } from "../src/validation.js";
+
+const rubric = { dimensions: [{ key: 'Structure' }, { key: 'Empathy' }] };
+const valid = {
+  scores: { Structure: 62, Empathy: 55 },
+  questionAlignment: { score: 70, note: 'Mostly on the question.' },
+  feedback: [{ ts: '01:10', segment: 3, quote: 'I would ask her', note: 'Good check of understanding' }]
+};
+
+// Answers complete() calls with `contents` in turn
+function fakeProvider(contents) {
+  const requests = [];
+  return {
+    requests,
+    async complete(request) {
+      requests.push(request);
+      return { content: contents.shift(), model: 'fake-analyst', usage: { prompt_tokens: 100, completion_tokens: 50 } };
+    }
+  };
+}
+
+test('timestamps must be mm:ss', () => {
+  assert.equal(parseTimestamp('02:05'), 125);
+  assert.equal(parseTimestamp(' 00:59 '), 59);
+  assert.equal(parseTimestamp('2:05'), null);
+  assert.equal(parseTimestamp('00:60'), null);
+  assert.equal(parseTimestamp(65), null);
+});
+
+test('scores are coerced, clamped and limited to the rubric', () => {
+  const { analysis, errors } = validateAnalysis({
+    ...valid,
+    scores: { Structure: '104.6', Empathy: -3, Teamwork: 80 }
+  }, { rubric, durationSec: 120 });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(analysis.scores, { Structure: 100, Empathy: 0 });
+});
+
+test('every problem is reported', () => {
+  const { errors } = validateAnalysis({
+    scores: { Structure: 'good' },
+    questionAlignment: { score: 50 },
+    feedback: [{ ts: '9:99', note: '' }, { ts: '05:00', note: 'Late' }, null]
+  }, { rubric, durationSec: 120 });
+
+  assert.deepEqual(errors, [
+    'scores.Structure must be a number, got "good"',
+    'scores.Empathy is missing',
+    'questionAlignment.note must be a non-empty string',
+    'feedback[0].ts must be in mm:ss format, got "9:99"',
+    'feedback[0].note must be a non-empty string',
+    'feedback[1].ts 05:00 is after the end of the recording (02:00)',
+    'feedback[2] must be an object'
+  ]);
+  assert.deepEqual(validateAnalysis([], { rubric, durationSec: 120 }).errors, ['Response must be a JSON object']);
+});
+
+test('valid output is accepted without a repair request', async () => {
+  const provider = fakeProvider([JSON.stringify(valid)]);
+  const result = await requestAnalysis(provider, { systemPrompt: 's', userPrompt: 'u', rubric, durationSec: 120 });
+
+  assert.equal(result.repaired, false);
+  assert.equal(provider.requests.length, 1);
+  assert.equal(result.usage.length, 1);
+});
+
+test('invalid output gets one repair request listing the problems', async () => {
+  const provider = fakeProvider(['{"scores": {}', JSON.stringify(valid)]);
+  const result = await requestAnalysis(provider, { systemPrompt: 's', userPrompt: 'u', rubric, durationSec: 120 });
+
+  assert.equal(result.repaired, true);
+  assert.deepEqual(result.analysis.scores, valid.scores);
+  assert.equal(result.usage.length, 2);
+  assert.match(provider.requests[1].messages.at(-1).content, /- Response was not valid JSON/);
+});
+
+test('output still invalid after repair fails the job permanently', async () => {
+  const invalid = JSON.stringify({ ...valid, scores: {} });
+  const provider = fakeProvider([invalid, invalid]);
+
+  await assert.rejects(
+    requestAnalysis(provider, { systemPrompt: 's', userPrompt: 'u', rubric, durationSec: 120 }),
+    err => err instanceof PermanentJobError && /failed validation after repair/.test(err.message)
+  );
+});
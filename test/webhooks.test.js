@@ -0,0 +1,132 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import http from "http";
+import { createWebhookDispatcher, sign, WEBHOOK_EVENTS } from "../src/webhooks.js";
+
+// webhook_deliveries held in memory. Supports the filters the dispatcher uses,
+// including the failed-or-abandoned `.or()` filter used by replays.
+function fakeSupabase(rows) {
+  let nextId = rows.length + 1;
+  return {
+    rows,
+    from() {
+      const filters = [];
+      let update = null;
+      let insert = null;
+      let single = false;
+      const query = {
+        select: () => query,
+        eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+        in: (column, values) => { filters.push(row => values.includes(row[column])); return query; },
+        or: filter => {
+          const staleBefore = filter.match(/next_attempt_at\.lt\.([^)]+)\)/)[1];
+          filters.push(row => row.status === 'failed' || (row.status === 'pending' && row.next_attempt_at < staleBefore));
+          return query;
+        },
+        order: () => query,
+        limit: () => query,
+        update: changes => { update = changes; return query; },
+        insert: values => { insert = values; return query; },
+        single: () => { single = true; return query; },
+        maybeSingle: () => { single = true; return query; },
+        then(resolve) {
+          if (insert) {
+            const row = { id: `d${nextId++}`, status: 'pending', attempts: 0, ...insert };
+            rows.push(row);
+            return resolve({ data: { ...row }, error: null });
+          }
+          const matched = rows.filter(row => filters.every(filter => filter(row)));
+          if (update) {
+            matched.forEach(row => Object.assign(row, update));
+          }
+          const data = matched.map(row => ({ ...row }));
+          return resolve({ data: single ? data[0] ?? null : data, error: null });
+        }
+      };
+      return query;
+    }
+  };
+}
+
+// Answers with the given status codes in turn, then 200
+async function receiver(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() ?? 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests, close: () => server.close() };
+}
+
+function dispatcher(supabase, url) {
+  return createWebhookDispatcher({ supabase, urls: [url], secret: 'shh', maxAttempts: 2, timeoutMs: 1000, baseDelayMs: 10, maxDelayMs: 20 });
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('signatures are HMAC-SHA256 over the timestamp and body', () => {
+  const expected = crypto.createHmac('sha256', 'shh').update('1760870000.{"a":1}').digest('hex');
+
+  assert.equal(sign('shh', '1760870000', '{"a":1}'), expected);
+});
+
+test('deliveries are signed, logged and retried until they succeed', async () => {
+  const hook = await receiver([503]);
+  const supabase = fakeSupabase([]);
+
+  await dispatcher(supabase, hook.url).dispatch(WEBHOOK_EVENTS.completed, { job_id: 'job-1', status: 'completed' });
+  await wait(200);
+  hook.close();
+
+  assert.equal(hook.requests.length, 2);
+  const { headers, body } = hook.requests[1];
+  assert.equal(headers['x-webhook-event'], 'job.completed');
+  assert.equal(headers['x-webhook-signature'], `sha256=${sign('shh', headers['x-webhook-timestamp'], body)}`);
+  assert.equal(JSON.parse(body).data.job_id, 'job-1');
+  assert.equal(supabase.rows[0].status, 'delivered');
+  assert.equal(supabase.rows[0].attempts, 2);
+});
+
+test('a delivery that runs out of attempts is marked failed', async () => {
+  const hook = await receiver([500, 500]);
+  const supabase = fakeSupabase([]);
+
+  await dispatcher(supabase, hook.url).dispatch(WEBHOOK_EVENTS.failed, { job_id: 'job-1' });
+  await wait(200);
+  hook.close();
+
+  assert.equal(supabase.rows[0].status, 'failed');
+  assert.equal(supabase.rows[0].next_attempt_at, null);
+  assert.match(supabase.rows[0].last_error, /HTTP 500/);
+});
+
+test('replay takes failed and abandoned deliveries, not ones still retrying', async () => {
+  const hook = await receiver();
+  const row = (id, status, nextAttemptAt) => ({ id, status, url: hook.url, event: 'job.completed', payload: {}, attempts: 2, next_attempt_at: nextAttemptAt });
+  const supabase = fakeSupabase([
+    row('failed', 'failed', null),
+    row('abandoned', 'pending', '2026-01-01T00:00:00.000Z'),
+    row('retrying', 'pending', new Date(Date.now() + 60000).toISOString()),
+    row('delivered', 'delivered', null)
+  ]);
+  const webhooks = dispatcher(supabase, hook.url);
+
+  assert.deepEqual(await webhooks.replay('retrying'), { queued: false, status: 'pending' });
+  assert.deepEqual(await webhooks.replay('delivered'), { queued: false, status: 'delivered' });
+  assert.equal(await webhooks.replay('missing'), null);
+  assert.deepEqual(await webhooks.replayFailed(), { queued: 2 });
+  await wait(100);
+  hook.close();
+
+  assert.deepEqual(supabase.rows.map(r => r.status), ['delivered', 'delivered', 'pending', 'delivered']);
+  assert.equal(hook.requests.length, 2);
+});
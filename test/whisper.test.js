@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeTranscriptions } from "../src/whisper.js";
+
+test('a single unchunked transcription is returned as it is', () => {
+  const whisper = { text: 'Hello.', duration: 2, segments: [{ id: 0, start: 0, end: 2, text: ' Hello.' }] };
+
+  assert.equal(mergeTranscriptions([{ whisper, offset: 0 }]), whisper);
+});
+
+test('chunks are shifted onto the recording timeline and renumbered', () => {
+  const merged = mergeTranscriptions([
+    {
+      offset: 0,
+      whisper: {
+        text: ' I want to study medicine. ',
+        language: 'english',
+        duration: 600,
+        segments: [{ id: 0, start: 0, end: 4, text: ' I want to study medicine.' }],
+        words: [{ word: 'I', start: 0, end: 0.2 }]
+      }
+    },
+    {
+      offset: 600,
+      whisper: {
+        text: 'Because of my placement.',
+        duration: 95.5,
+        segments: [{ id: 0, start: 1, end: 5, text: ' Because of my placement.' }],
+        words: [{ word: 'Because', start: 1, end: 1.4 }]
+      }
+    }
+  ]);
+
+  assert.equal(merged.text, 'I want to study medicine. Because of my placement.');
+  assert.equal(merged.language, 'english');
+  assert.equal(merged.duration, 695.5);
+  assert.deepEqual(merged.segments.map(seg => [seg.id, seg.start, seg.end]), [[0, 0, 4], [1, 601, 605]]);
+  assert.deepEqual(merged.words.map(word => word.start), [0, 601]);
+});
+
+test('a chunk without segments becomes one segment spanning the chunk', () => {
+  const merged = mergeTranscriptions([
+    { offset: 0, whisper: { text: 'First part', duration: 300, segments: [{ start: 0, end: 300, text: 'First part' }] } },
+    { offset: 300, whisper: { text: 'Second part', duration: 12 } }
+  ]);
+
+  assert.deepEqual(merged.segments[1], { start: 300, end: 312, text: 'Second part', id: 1 });
+  assert.deepEqual(merged.words, []);
+});